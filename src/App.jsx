@@ -1,13 +1,102 @@
 import React from "react";
 import { createClient } from "@supabase/supabase-js";
+import {
+  DEFAULT_MONEY_FORMAT,
+  currencySymbol,
+  currentMonth,
+  fmtMoney,
+  formatAmount,
+  makeId,
+  monthAdd,
+  monthDiff,
+  monthRange,
+  parseMoney,
+  toNumber,
+  todayISO,
+} from "./helpers.js";
+import {
+  SaveConflictError,
+  createLocalStorage,
+  createSupabaseStorage,
+  hasDataChanges,
+  keepView,
+  mergeStates,
+} from "./storage.js";
+import { NewerSchemaError, SCHEMA_VERSION, migrateState } from "./migrations.js";
+import { backupDiff, makeBackup, mergeBackup, parseBackup } from "./backup.js";
+import { instructionSheet, sheetToCSV, sheetToPDF } from "./instructions.js";
+import { projectCashflow } from "./projection.js";
+import { compareScenario, createScenario, promoteScenario, scenarioState } from "./scenarios.js";
+import { DEFAULT_ROUNDING, ROUNDING_UNITS, TRANSFER_ROUNDING, toCents } from "./money.js";
+import { CURRENCIES, DEFAULT_CURRENCY, LOCALES, accountCurrency, baseCurrency, foreignCurrencies, missingRates, moneyFormat } from "./currency.js";
+import {
+  CSV_FIELDS,
+  DEPOSIT_KINDS,
+  applyImport,
+  csvStatement,
+  depositTotals,
+  guessCSVMapping,
+  isOFX,
+  parseCSV,
+  parseOFX,
+  spendFromCSV,
+  suggestFromStatements,
+} from "./bankImport.js";
+import { EMPTY_UNDO, auditEntries, describePath, diffStates, formatValue, pushUndo, redoStep, undoStep } from "./audit.js";
+import { ACCOUNT_TYPES, WATERFALL_STEPS, accountInUse, accountLabel, defaultAccounts, defaultTransferRules } from "./accounts.js";
+import {
+  EXPENSE_BASES,
+  FUNDING_STRATEGIES,
+  MIN_TRAILING_MONTHS,
+  NEEDS_HORIZONS,
+  NEED_PRIORITIES,
+  NEED_REPEATS,
+  TRAILING_WINDOWS,
+  DEFAULT_RULES,
+  RULE_LIMITS,
+  allocateNeeds,
+  balanceCurrencies,
+  businessPlan,
+  carryForwardWorkingCapital,
+  carryInFromTransfers,
+  closeNeedInList,
+  computeBusinesses,
+  computeCashflow,
+  fundingPreview,
+  isNeedInWindow,
+  monthsUntilDue,
+  needRemaining,
+  needSettlement,
+  needsHorizon,
+  planRules,
+  recordAsSuggested,
+  reopenNeedInList,
+  repeatInterval,
+  transferActual,
+  transferVariance,
+} from "./engine.js";
 
 /**
  * Cashflow Foundation V2 (Supabase Auth + per-user saved state)
  * - Login required
  * - Home menu after login
  * - Working Capital (first) + Cash Flow (second)
- * - Transfer checkboxes tracked per-month
- * - State saved per-user in Supabase table: cashflow_states (user_id, state jsonb, updated_at)
+ * - Inputs, results and recorded transfers snapshotted per-month (carry forward to start a new month)
+ * - 12-month projection rolls the month's rules forward and flags shortfalls and underfunded needs
+ * - Cash Flow checks today's Family Office and Lifestyle balances against the emergency minimum and Lifestyle target
+ * - Named what-if scenarios copy a month; the tools edit the copy, compare it with the plan, or promote it
+ * - Each transfer records what actually moved (amount, date, confirmation, note); differences carry into next month
+ * - User-defined accounts + transfer rules name each step of the waterfall
+ * - Several businesses per user, each with its own Working Capital waterfall into one Family Office
+ * - Monthly spend per business is typed, or a trailing average / median / max of entered or imported actuals
+ * - State saved per-user in Supabase table: cashflow_states (user_id, state jsonb, version, updated_at)
+ * - Local mode (no Supabase keys, or by choice) keeps state in this browser; it can be pushed to an account later
+ * - Saved state carries a schemaVersion; older saves are upgraded step by step on load (migrations.js)
+ * - Every saved change is appended to a per-user change log (Activity); edits can be undone/redone in-session
+ * - Full JSON backup download; restore validates, previews the differences, then replaces or merges
+ * - This month's instructions export to PDF / CSV or print as a one-page sheet
+ * - Bank statements (OFX / QFX, or CSV with a column mapping) prefill balances and Cash In and record matched transfers
+ * - Saves are version-checked; edits from another session arrive live, or prompt reload / merge / keep mine on conflict
  */
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
@@ -16,87 +105,85 @@ const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 const supabase =
   supabaseUrl && supabaseAnonKey ? createClient(supabaseUrl, supabaseAnonKey) : null;
 
-// ---------- helpers ----------
-function makeId() {
-  if (typeof crypto !== "undefined" && crypto && typeof crypto.randomUUID === "function") {
-    return crypto.randomUUID();
-  }
-  return `id_${Math.random().toString(16).slice(2)}_${Date.now()}`;
-}
-
-function toNumber(maybe) {
-  const n = Number(String(maybe ?? "").replace(/,/g, ""));
-  return Number.isFinite(n) ? n : 0;
-}
-
-function fmtUSD(n) {
-  return Number(n || 0).toLocaleString(undefined, {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0,
-  });
-}
-
-function monthOptions(startYear = 2026) {
-  const out = [];
-  for (let m = 1; m <= 12; m++) out.push(`${startYear}-${String(m).padStart(2, "0")}`);
-  return out;
-}
-
-function monthAdd(yyyymm, add) {
-  const [y, m] = String(yyyymm).split("-").map((x) => Number(x));
-  const d = new Date(y, (m || 1) - 1, 1);
-  d.setMonth(d.getMonth() + add);
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
-}
+// ---------- UI atoms ----------
+// The { locale, currency } money is shown in (see moneyFormat); App provides it from the settings on screen
+const MoneyFormatContext = React.createContext(DEFAULT_MONEY_FORMAT);
 
-function monthDiff(a, b) {
-  const [ay, am] = String(a).split("-").map(Number);
-  const [by, bm] = String(b).split("-").map(Number);
-  return (by - ay) * 12 + (bm - am);
+function useMoneyFormat() {
+  return React.useContext(MoneyFormatContext);
 }
 
-// ---------- UI atoms ----------
 function isEmptyValue(v) {
   return String(v ?? "").trim() === "";
 }
 
-function MoneyInput({ value, onChange, placeholder = "0", required = false }) {
+// Shows the stored amount in the user's locale; while focused, edits the text as typed and stores the
+// parsed number (so "1.234,56" in de-DE is saved as "1234.56")
+function MoneyInput({ value, onChange, placeholder = "0", required = false, allowNegative = false, currency, decimals = 2 }) {
+  const money = useMoneyFormat();
+  const [draft, setDraft] = React.useState(null);
   const highlight = required && isEmptyValue(value) ? "border-amber-400 bg-amber-50" : "";
+  const disallowed = allowNegative ? /[^0-9.,'’\s()-]/g : /[^0-9.,'’\s]/g;
+
+  function edit(text) {
+    const typed = text.replace(disallowed, "");
+    setDraft(typed);
+    if (typed.trim() === "") return onChange("");
+    const n = parseMoney(typed, money.locale);
+    if (n !== null) onChange(String(n));
+  }
+
   return (
     <div className="flex items-center gap-2">
-      <span className="text-slate-500">$</span>
+      <span className="text-slate-500">{currencySymbol(money, currency)}</span>
       <input
         inputMode="decimal"
         placeholder={placeholder}
-        value={value}
-        onChange={(e) => onChange(e.target.value.replace(/[^0-9.,]/g, ""))}
+        value={draft ?? formatAmount(value, money, decimals)}
+        onFocus={() => setDraft(formatAmount(value, money, decimals))}
+        onChange={(e) => edit(e.target.value)}
+        onBlur={() => setDraft(null)}
         className={`border rounded-xl px-3 py-2 w-full bg-white ${highlight}`}
       />
     </div>
   );
 }
 
-function PercentInput({ value, onChange, placeholder = "10", required = false }) {
+// A plain number typed in the user's locale like MoneyInput ("7,5" in de-DE is 7.5), kept between 0 and
+// `max`; clearing the field stores `blankAs`
+function NumberInput({ value, onChange, placeholder, unit, max = Infinity, blankAs = "", required = false }) {
+  const money = useMoneyFormat();
+  const [draft, setDraft] = React.useState(null);
   const highlight = required && isEmptyValue(value) ? "border-amber-400 bg-amber-50" : "";
+
+  function edit(text) {
+    const typed = text.replace(/[^0-9.,\s]/g, "");
+    setDraft(typed);
+    if (typed.trim() === "") return onChange(blankAs);
+    const n = parseMoney(typed, money.locale);
+    if (n !== null) onChange(String(Math.min(max, Math.max(0, n))));
+  }
+
   return (
     <div className="flex items-center gap-2">
       <input
         inputMode="decimal"
         placeholder={placeholder}
-        value={value}
-        onChange={(e) => {
-          const v = e.target.value.replace(/[^0-9.]/g, "");
-          const n = Math.min(100, Math.max(0, Number(v || 0)));
-          onChange(String(Number.isFinite(n) ? n : 0));
-        }}
+        value={draft ?? formatAmount(value, money, 4)}
+        onFocus={() => setDraft(formatAmount(value, money, 4))}
+        onChange={(e) => edit(e.target.value)}
+        onBlur={() => setDraft(null)}
         className={`border rounded-xl px-3 py-2 w-full bg-white ${highlight}`}
       />
-      <span className="text-slate-500">%</span>
+      <span className="text-slate-500 whitespace-nowrap">{unit}</span>
     </div>
   );
 }
 
+function PercentInput({ value, onChange, placeholder = "10", required = false }) {
+  return <NumberInput value={value} onChange={onChange} placeholder={placeholder} unit="%" max={100} blankAs="0" required={required} />;
+}
+
 function Toggle({ checked, onChange }) {
   return (
     <button
@@ -118,23 +205,6 @@ function Toggle({ checked, onChange }) {
   );
 }
 
-function Check({ checked, onChange, label }) {
-  return (
-    <label className="inline-flex items-center gap-2 select-none cursor-pointer">
-      <input
-        type="checkbox"
-        checked={!!checked}
-        onChange={(e) => onChange(e.target.checked)}
-        className="h-4 w-4 rounded border-slate-300"
-        aria-label={label}
-      />
-      <span className={"text-xs font-semibold " + (checked ? "text-emerald-700" : "text-slate-500")}>
-        {checked ? "Done" : "Do"}
-      </span>
-    </label>
-  );
-}
-
 function StatCard({ label, value, hint, emphasis = "default" }) {
   const valueClass =
     emphasis === "good" ? "text-emerald-700" : emphasis === "bad" ? "text-red-700" : "text-slate-900";
@@ -175,9 +245,16 @@ function ToolCard({ title, subtitle, bullets, onClick }) {
   );
 }
 
-function TransferTable({ title, subtitle, rows, doneMap, onToggle, onMarkAll }) {
+function signedMoney(n, money) {
+  return `${n > 0 ? "+" : n < 0 ? "−" : ""}${fmtMoney(Math.abs(n), money)}`;
+}
+
+// One row per waterfall step: the suggested amount, and what actually moved once it is recorded
+function TransferTable({ title, subtitle, rows, records, onRecord, onRecordAll }) {
+  const money = useMoneyFormat();
+  const [editing, setEditing] = React.useState(null);
   const total = rows.length;
-  const doneCount = rows.reduce((acc, r) => acc + (doneMap?.[r.key] ? 1 : 0), 0);
+  const recordedCount = rows.reduce((acc, r) => acc + (records?.[r.key] ? 1 : 0), 0);
 
   return (
     <div className="rounded-2xl border bg-white p-4">
@@ -188,14 +265,14 @@ function TransferTable({ title, subtitle, rows, doneMap, onToggle, onMarkAll })
         </div>
         <div className="flex items-center gap-3">
           <div className="text-xs text-slate-500">
-            {doneCount}/{total} done
+            {recordedCount}/{total} recorded
           </div>
           <button
             type="button"
-            onClick={onMarkAll}
+            onClick={onRecordAll}
             className="text-xs font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50"
           >
-            Mark all done
+            Record all as suggested
           </button>
         </div>
       </div>
@@ -206,28 +283,78 @@ function TransferTable({ title, subtitle, rows, doneMap, onToggle, onMarkAll })
             <tr className="text-left text-slate-500">
               <th className="pb-2">Step</th>
               <th className="pb-2">Instruction</th>
-              <th className="pb-2 text-right">Amount</th>
-              <th className="pb-2 text-right">Done</th>
+              <th className="pb-2 text-right">Suggested</th>
+              <th className="pb-2 text-right">Actual</th>
+              <th className="pb-2 text-right"></th>
             </tr>
           </thead>
           <tbody className="text-slate-800">
-            {rows.map((r) => (
-              <tr key={r.key} className="border-t">
-                <td className="py-3 pr-2 font-semibold whitespace-nowrap">{r.stepLabel}</td>
-                <td className={"py-3 pr-2 " + (doneMap?.[r.key] ? "text-slate-500 line-through" : "")}>{r.title}</td>
-                <td
-                  className={
-                    "py-3 pr-2 text-right font-semibold whitespace-nowrap " +
-                    (r.emphasis === "good" ? "text-emerald-700" : r.emphasis === "bad" ? "text-red-700" : "")
-                  }
-                >
-                  {r.amount}
-                </td>
-                <td className="py-3 text-right">
-                  <Check checked={!!doneMap?.[r.key]} onChange={(v) => onToggle(r.key, v)} label={`Mark ${r.stepLabel} done`} />
-                </td>
-              </tr>
-            ))}
+            {rows.map((r) => {
+              const record = records?.[r.key];
+              const variance = transferVariance(record, r.amount);
+              const details = record ? [record.date, record.confirmation && `#${record.confirmation}`, record.note].filter(Boolean) : [];
+              return (
+                <React.Fragment key={r.key}>
+                  <tr className="border-t align-top">
+                    <td className="py-3 pr-2 font-semibold whitespace-nowrap">{r.stepLabel}</td>
+                    <td className={"py-3 pr-2 " + (record ? "text-slate-500" : "")}>
+                      {r.title}
+                      {details.length ? <div className="mt-1 text-xs text-slate-500">{details.join(" · ")}</div> : null}
+                    </td>
+                    <td
+                      className={
+                        "py-3 pr-2 text-right font-semibold whitespace-nowrap " +
+                        (r.emphasis === "good" ? "text-emerald-700" : r.emphasis === "bad" ? "text-red-700" : "")
+                      }
+                    >
+                      {fmtMoney(r.amount, money)}
+                      {r.converted ? (
+                        <div className="mt-1 text-xs font-normal text-slate-500">≈ {fmtMoney(r.converted.amount, money, r.converted.currency)}</div>
+                      ) : null}
+                    </td>
+                    <td className="py-3 pr-2 text-right whitespace-nowrap">
+                      {record ? (
+                        <>
+                          <div className="font-semibold">{fmtMoney(transferActual(record, r.amount), money)}</div>
+                          {toCents(variance) !== 0 ? (
+                            <div className="mt-1 text-xs font-semibold text-amber-700">{signedMoney(variance, money)} vs. suggested</div>
+                          ) : null}
+                        </>
+                      ) : (
+                        <span className="text-slate-400">—</span>
+                      )}
+                    </td>
+                    <td className="py-3 text-right">
+                      <button
+                        type="button"
+                        onClick={() => setEditing(editing === r.key ? null : r.key)}
+                        className={
+                          "text-xs font-semibold rounded-xl border px-3 py-1.5 hover:bg-slate-50 " +
+                          (record ? "text-emerald-700" : "")
+                        }
+                      >
+                        {record ? "Recorded ✓" : "Record"}
+                      </button>
+                    </td>
+                  </tr>
+                  {editing === r.key ? (
+                    <TransferRecordForm
+                      row={r}
+                      record={record}
+                      onSave={(next) => {
+                        onRecord(r.key, next);
+                        setEditing(null);
+                      }}
+                      onClear={() => {
+                        onRecord(r.key, null);
+                        setEditing(null);
+                      }}
+                      onCancel={() => setEditing(null)}
+                    />
+                  ) : null}
+                </React.Fragment>
+              );
+            })}
           </tbody>
         </table>
       </div>
@@ -235,45 +362,200 @@ function TransferTable({ title, subtitle, rows, doneMap, onToggle, onMarkAll })
   );
 }
 
+function TransferRecordForm({ row, record, onSave, onClear, onCancel }) {
+  const money = useMoneyFormat();
+  const [draft, setDraft] = React.useState(() => (record ? { ...record } : recordAsSuggested(row, todayISO())));
+  const set = (k) => (v) => setDraft((d) => ({ ...d, [k]: v }));
+  const variance = transferVariance(draft, row.amount);
+
+  return (
+    <tr className="bg-slate-50">
+      <td colSpan={5} className="p-3">
+        <div className="grid gap-3 md:grid-cols-4 md:items-end">
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Actual amount moved</div>
+            <div className="mt-2">
+              <MoneyInput value={draft.amount} onChange={set("amount")} placeholder={String(row.amount)} />
+            </div>
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Date executed</div>
+            <input
+              type="date"
+              value={draft.date}
+              onChange={(e) => set("date")(e.target.value)}
+              className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+            />
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Confirmation # (optional)</div>
+            <input
+              value={draft.confirmation}
+              onChange={(e) => set("confirmation")(e.target.value)}
+              className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+            />
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Note (optional)</div>
+            <input value={draft.note} onChange={(e) => set("note")(e.target.value)} className="mt-2 border rounded-xl px-3 py-2 w-full bg-white" />
+          </div>
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={() => onSave({ ...draft, suggested: row.amount })}
+            disabled={isEmptyValue(draft.date)}
+            className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800 disabled:opacity-50"
+          >
+            Save transfer
+          </button>
+          {record ? (
+            <button type="button" onClick={onClear} className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-white">
+              Clear record
+            </button>
+          ) : null}
+          <button type="button" onClick={onCancel} className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-white">
+            Cancel
+          </button>
+          <div className="text-xs text-slate-500">
+            Suggested {fmtMoney(row.amount, money)}
+            {toCents(variance) !== 0 ? ` · ${signedMoney(variance, money)} difference carries into next month` : ""}
+          </div>
+        </div>
+      </td>
+    </tr>
+  );
+}
+
 // ---------- app state ----------
-function defaultState() {
+const MAIN_BUSINESS_ID = "biz_main";
+
+function defaultWorkingCapital() {
+  return {
+    operatingExpenses: "",
+    inventoryCost: "",
+    daysPerMonth: "",
+    avgCollectionDays: "",
+    businessChecking: "",
+    reserveAccountBalance: "",
+    bufferDays: "",
+    reserveDays: "",
+    // "typed" uses the two figures above; "average" | "median" | "max" of the business's trailing actuals
+    expenseBasis: "typed",
+    trailingMonths: "6",
+  };
+}
+
+function defaultMonthData() {
   return {
-    month: "2026-02",
-    activeTool: "home",
     suggestedBusinessIn: 0,
 
-    // Done checkboxes per-month
-    // { [month]: { workingCapital: {key:boolean}, cashflow: {key:boolean} } }
-    transferDone: {},
-
-    workingCapital: {
-      operatingExpenses: "",
-      inventoryCost: "",
-      daysPerMonth: "",
-      avgCollectionDays: "",
-      businessChecking: "",
-      reserveAccountBalance: "",
-      bufferDays: "",
-      reserveDays: "",
-    },
+    // What actually moved for each transfer row (see engine.js recorded transfers)
+    // { workingCapital: { [businessId]: { [stepKey]: record } }, cashflow: { [stepKey]: record } }
+    transfers: {},
+
+    // What the tools computed for this month (frozen as last shown)
+    // { workingCapital: {...totals, byBusiness}, cashflow: {...} }
+    results: {},
+
+    // Inputs per business: { [businessId]: defaultWorkingCapital() }
+    workingCapital: { [MAIN_BUSINESS_ID]: defaultWorkingCapital() },
 
     cashflow: {
       businessIn: "",
       w2In: "",
+      // Left in (or overdrawn from) the Family Office by last month's recorded transfers
+      carryIn: "",
       givingIsDollar: true,
       givingPercent: "",
       givingDollar: "",
       lifestyleMonthly: "",
+      // Today's balances, before this month's transfers ("" = not tracked); they size the emergency
+      // top-up and the Lifestyle transfer
+      familyOfficeBalance: "",
+      lifestyleBalance: "",
       needs: [
-        { id: "1", name: "Taxes", target: "12000", dueMonth: "2026-04", funded: "0", status: "open" },
-        { id: "2", name: "Trip", target: "8000", dueMonth: "2026-06", funded: "0", status: "open" },
+        { id: "1", name: "Taxes", target: "12000", dueMonth: monthAdd(currentMonth(), 2), funded: "0", status: "open" },
+        { id: "2", name: "Trip", target: "8000", dueMonth: monthAdd(currentMonth(), 4), funded: "0", status: "open" },
       ],
     },
   };
 }
 
+function defaultState() {
+  return {
+    // Shape version of everything below; older saves are upgraded by migrations.js
+    schemaVersion: SCHEMA_VERSION,
+
+    month: currentMonth(),
+    activeTool: "home",
+
+    // Per-month snapshots: { [YYYY-MM]: defaultMonthData() }
+    months: { [currentMonth()]: defaultMonthData() },
+
+    settings: {
+      // How far ahead upcoming needs are funded (months, counting the current one)
+      needsHorizonMonths: 6,
+      // Totals are in baseCurrency; accounts in other currencies convert at exchangeRates
+      // ({ [code]: base per unit }). locale "" formats numbers the browser's way (see currency.js).
+      baseCurrency: DEFAULT_CURRENCY,
+      locale: "",
+      exchangeRates: {},
+      // What computed amounts (giving %, sweeps, needs set-aside) round to (see money.js)
+      rounding: { ...DEFAULT_ROUNDING },
+      // Emergency / Lifestyle multipliers, needs threshold and default buffer / reserve days (see engine.js)
+      rules: Object.fromEntries(Object.entries(DEFAULT_RULES).map(([k, v]) => [k, String(v)])),
+    },
+
+    // Businesses that each run a Working Capital waterfall into the Family Office.
+    // transferRules here override the wc_* steps of the global rules for that business.
+    // spendActuals: { [YYYY-MM]: { operating, inventory } } of real spend, for trailing expenses.
+    businesses: [{ id: MAIN_BUSINESS_ID, name: "My Business", transferRules: {}, spendActuals: {} }],
+
+    // Chart of accounts + { [stepKey]: { from, to } } (see accounts.js)
+    accounts: defaultAccounts(),
+    transferRules: defaultTransferRules(),
+
+    // Named what-if copies of a month (see scenarios.js); never read by the plan itself
+    scenarios: [],
+  };
+}
+
+// Start a new month from an earlier one: inputs and needs (with funded balances) carry over,
+// balances reflect what was recorded as moved, and transfers and computed results start fresh.
+function carryForwardMonth(prev, state) {
+  if (!prev) return defaultMonthData();
+  const plan = { accounts: state.accounts, transferRules: state.transferRules, settings: state.settings };
+  const workingCapital = {};
+  Object.entries(prev.workingCapital || {}).forEach(([id, wc]) => {
+    const business = (state.businesses || []).find((b) => b.id === id);
+    workingCapital[id] = carryForwardWorkingCapital(wc, prev.transfers?.workingCapital?.[id], businessPlan(plan, business));
+  });
+  const carryIn = carryInFromTransfers(prev.transfers?.cashflow);
+  return {
+    ...defaultMonthData(),
+    workingCapital,
+    cashflow: {
+      ...prev.cashflow,
+      carryIn: carryIn ? String(carryIn) : "",
+      // last month's balances are out of date once its transfers have moved
+      familyOfficeBalance: "",
+      lifestyleBalance: "",
+      needs: (prev.cashflow?.needs || []).map((n) => ({ ...n })),
+    },
+  };
+}
+
+function latestMonthBefore(months, month) {
+  const earlier = Object.keys(months || {}).filter((m) => monthDiff(m, month) > 0);
+  earlier.sort((a, b) => monthDiff(a, b));
+  return earlier[0] || null;
+}
+
 // ---------- Auth ----------
-function AuthGate() {
+const LOCAL_SESSION = { local: true, user: { id: "local", email: "Local mode" } };
+
+function AuthGate({ onUseLocal }) {
   const [mode, setMode] = React.useState("signin");
   const [email, setEmail] = React.useState("");
   const [password, setPassword] = React.useState("");
@@ -281,7 +563,7 @@ function AuthGate() {
 
   async function handle() {
     setMsg("");
-    if (!supabase) return setMsg("Missing Supabase keys (.env.local).");
+    if (!supabase) return setMsg("Missing Supabase keys (.env.local). Use local mode to keep data in this browser.");
     try {
       if (mode === "signup") {
         const { error } = await supabase.auth.signUp({ email, password });
@@ -337,6 +619,14 @@ function AuthGate() {
             {mode === "signup" ? "I already have an account" : "Create a new account"}
           </button>
 
+          <button
+            type="button"
+            onClick={onUseLocal}
+            className="w-full rounded-xl px-3 py-2 text-sm font-semibold text-slate-600 hover:bg-slate-50"
+          >
+            Continue in local mode (this browser only)
+          </button>
+
           {msg ? <div className="text-sm text-slate-700 bg-slate-50 border rounded-xl p-3">{msg}</div> : null}
         </div>
       </div>
@@ -345,8 +635,23 @@ function AuthGate() {
 }
 
 // ---------- layout ----------
-function TopBar({ email, saveStatus, month, setMonth, activeTool, setActiveTool, onLogout }) {
-  const months = monthOptions(2026);
+function TopBar({
+  email,
+  saveStatus,
+  month,
+  setMonth,
+  savedMonths,
+  activeTool,
+  setActiveTool,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
+  onExport,
+  onLogout,
+  logoutLabel = "Log out",
+}) {
+  const months = monthRange({ include: [...(savedMonths || []), month] });
 
   return (
     <div className="rounded-2xl border bg-white p-4">
@@ -390,13 +695,93 @@ function TopBar({ email, saveStatus, month, setMonth, activeTool, setActiveTool,
           >
             Cash Flow
           </button>
+          <button
+            type="button"
+            onClick={() => setActiveTool("history")}
+            className={
+              "text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 " +
+              (activeTool === "history" ? "bg-slate-50" : "bg-white")
+            }
+          >
+            History
+          </button>
+          <button
+            type="button"
+            onClick={() => setActiveTool("projection")}
+            className={
+              "text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 " +
+              (activeTool === "projection" ? "bg-slate-50" : "bg-white")
+            }
+          >
+            Projection
+          </button>
+          <button
+            type="button"
+            onClick={() => setActiveTool("scenarios")}
+            className={
+              "text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 " +
+              (activeTool === "scenarios" ? "bg-slate-50" : "bg-white")
+            }
+          >
+            What-if
+          </button>
+          <button
+            type="button"
+            onClick={() => setActiveTool("activity")}
+            className={
+              "text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 " +
+              (activeTool === "activity" ? "bg-slate-50" : "bg-white")
+            }
+          >
+            Activity
+          </button>
+          <button
+            type="button"
+            onClick={() => setActiveTool("import")}
+            className={
+              "text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 " +
+              (activeTool === "import" ? "bg-slate-50" : "bg-white")
+            }
+          >
+            Import
+          </button>
+          <button
+            type="button"
+            onClick={() => setActiveTool("backup")}
+            className={
+              "text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 " +
+              (activeTool === "backup" ? "bg-slate-50" : "bg-white")
+            }
+          >
+            Backup
+          </button>
+          <button
+            type="button"
+            onClick={() => setActiveTool("accounts")}
+            className={
+              "text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 " +
+              (activeTool === "accounts" ? "bg-slate-50" : "bg-white")
+            }
+          >
+            Accounts
+          </button>
+          <button
+            type="button"
+            onClick={() => setActiveTool("settings")}
+            className={
+              "text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 " +
+              (activeTool === "settings" ? "bg-slate-50" : "bg-white")
+            }
+          >
+            Settings
+          </button>
 
           <div className="w-px h-7 bg-slate-200 mx-1" />
 
           <div className="text-xs font-semibold text-slate-500">Month</div>
           <select value={month} onChange={(e) => setMonth(e.target.value)} className="border rounded-xl px-3 py-2 text-sm bg-white">
             {months.map((m) => (
-              <option key={m} value={m}>{m}</option>
+              <option key={m} value={m}>{savedMonths?.includes(m) ? `${m} •` : m}</option>
             ))}
           </select>
           <button type="button" onClick={() => setMonth((m) => monthAdd(m, 1))} className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50">
@@ -405,128 +790,384 @@ function TopBar({ email, saveStatus, month, setMonth, activeTool, setActiveTool,
 
           <div className="w-px h-7 bg-slate-200 mx-1" />
 
+          <button
+            type="button"
+            onClick={onUndo}
+            disabled={!canUndo}
+            className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 disabled:opacity-40 disabled:hover:bg-white"
+          >
+            ↶ Undo
+          </button>
+          <button
+            type="button"
+            onClick={onRedo}
+            disabled={!canRedo}
+            className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 disabled:opacity-40 disabled:hover:bg-white"
+          >
+            Redo ↷
+          </button>
+
+          <div className="w-px h-7 bg-slate-200 mx-1" />
+
           <button type="button" onClick={onLogout} className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50">
-            Log out
+            {logoutLabel}
           </button>
         </div>
       </div>
 
       <div className="mt-3 rounded-xl border bg-slate-50 p-3 text-sm text-slate-700">
-        <div className="font-semibold text-slate-900">This month’s instructions</div>
-        <div className="mt-1">1) Working Capital … 2) Cash Flow … 3) Check off transfers as you do them.</div>
+        <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+          <div>
+            <div className="font-semibold text-slate-900">This month’s instructions</div>
+            <div className="mt-1">1) Working Capital … 2) Cash Flow … 3) Record transfers as you make them.</div>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {[
+              ["print", "Print"],
+              ["pdf", "Download PDF"],
+              ["csv", "Download CSV"],
+            ].map(([kind, label]) => (
+              <button
+                key={kind}
+                type="button"
+                onClick={() => onExport(kind)}
+                className="text-xs font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
       </div>
     </div>
   );
 }
 
-function HomeChooser({ onPick }) {
+function HomeChooser({ onPick, bufferDays }) {
   return (
     <div className="grid gap-4 lg:grid-cols-2">
       <ToolCard
         title="Working Capital"
-        subtitle="Keep a 45-day buffer … move excess cash with confidence"
-        bullets={["Calculate 45-day working capital goal", "Compare to today’s balances", "Generate step-by-step move instructions"]}
+        subtitle={`Keep a ${bufferDays}-day buffer … move excess cash with confidence`}
+        bullets={[`Calculate ${bufferDays}-day working capital goal`, "Compare to today’s balances", "Generate step-by-step move instructions"]}
         onClick={() => onPick("workingCapital")}
       />
       <ToolCard
         title="Cash Flow Foundation"
         subtitle="Monthly cash allocation dashboard"
-        bullets={["Set inflow … giving … lifestyle", "Track big upcoming cash needs (6 months)", "Suggested funding + transfer checklist"]}
+        bullets={["Set inflow … giving … lifestyle", "Track big upcoming cash needs (3–18 months)", "Suggested funding + transfer checklist"]}
         onClick={() => onPick("cashflow")}
       />
+      <ToolCard
+        title="History"
+        subtitle="Month-over-month trends from your saved months"
+        bullets={["Balances vs. working capital and reserve goals", "Inflow … giving … lifestyle … wealth creation", "Quarterly review table"]}
+        onClick={() => onPick("history")}
+      />
+    </div>
+  );
+}
+
+function MonthStarter({ month, previousMonth, onStart }) {
+  return (
+    <div className="rounded-2xl border bg-white p-5">
+      <div className="text-lg font-semibold">Start {month}</div>
+      <div className="text-xs text-slate-500 mt-1">
+        Nothing saved for this month yet. Each month keeps its own inputs, results and transfer checklist.
+      </div>
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        {previousMonth ? (
+          <button
+            type="button"
+            onClick={() => onStart(previousMonth)}
+            className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800"
+          >
+            Start from {previousMonth}
+          </button>
+        ) : null}
+        <button type="button" onClick={() => onStart(null)} className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50">
+          Start blank
+        </button>
+      </div>
+      {previousMonth ? (
+        <div className="mt-3 text-xs text-slate-500">Carries over inputs, balances and funded needs … transfers start unchecked.</div>
+      ) : null}
     </div>
   );
 }
 
 // ---------- Tools ----------
-function WorkingCapitalTool({ month, wc, setWc, onSuggestBusinessIn, doneMap, onToggleDone, onMarkAllDone }) {
-  const monthlySpend = toNumber(wc.operatingExpenses) + toNumber(wc.inventoryCost);
-  const perDay = toNumber(wc.daysPerMonth) > 0 ? monthlySpend / toNumber(wc.daysPerMonth) : 0;
+function WorkingCapitalTool({
+  month,
+  plan,
+  businesses,
+  setBusinesses,
+  wcByBusiness,
+  setBusinessWc,
+  onSuggestBusinessIn,
+  onResults,
+  transfersByBusiness,
+  onRecordTransfer,
+  onRecordAllTransfers,
+}) {
+  const money = useMoneyFormat();
+  const [selectedId, setSelectedId] = React.useState(businesses[0]?.id);
+  const { byBusiness, totals } = computeBusinesses(businesses, wcByBusiness, plan, month);
+  const selected = byBusiness.find((b) => b.business.id === selectedId) || byBusiness[0];
 
-  const wcGoal = perDay * toNumber(wc.bufferDays);
-  const reserveGoal = perDay * toNumber(wc.reserveDays);
+  React.useEffect(() => {
+    onSuggestBusinessIn(totals.moveToFamilyOffice > 0 ? totals.moveToFamilyOffice : 0);
+  }, [totals.moveToFamilyOffice, onSuggestBusinessIn]);
+
+  // Consolidated figures + each business's sweep, serialised so the effect only fires on real changes
+  const resultsKey = JSON.stringify({
+    ...totals,
+    byBusiness: Object.fromEntries(
+      byBusiness.map((b) => [b.business.id, { name: b.business.name, moveToFamilyOffice: b.result.moveToFamilyOffice }])
+    ),
+  });
+  React.useEffect(() => {
+    onResults(JSON.parse(resultsKey));
+  }, [resultsKey, onResults]);
+
+  function addBusiness() {
+    const id = makeId();
+    setBusinesses((list) => [...list, { id, name: `Business ${list.length + 1}`, transferRules: {}, spendActuals: {} }]);
+    setSelectedId(id);
+  }
+
+  function renameBusiness(id, name) {
+    setBusinesses((list) => list.map((b) => (b.id === id ? { ...b, name } : b)));
+  }
+
+  function removeBusiness(id) {
+    setBusinesses((list) => (list.length > 1 ? list.filter((b) => b.id !== id) : list));
+    setSelectedId(null);
+  }
 
-  const businessBalance = toNumber(wc.businessChecking);
-  const reserveBalance = toNumber(wc.reserveAccountBalance);
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="flex flex-col gap-2 md:flex-row md:items-end md:justify-between">
+          <div>
+            <div className="text-lg font-semibold">Working Capital</div>
+            <div className="text-xs text-slate-500 mt-1">Set your buffer … enter balances … get step-by-step move instructions.</div>
+          </div>
+          <div className="text-xs text-slate-500">Month: {month}</div>
+        </div>
 
-  const businessShortOrExcess = businessBalance - wcGoal;
-  const availableFromBusiness = Math.max(0, businessShortOrExcess);
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          {byBusiness.map(({ business }) => (
+            <button
+              key={business.id}
+              type="button"
+              onClick={() => setSelectedId(business.id)}
+              className={
+                "text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50 " +
+                (business.id === selected?.business.id ? "bg-slate-900 text-white hover:bg-slate-800" : "bg-white")
+              }
+            >
+              {business.name || "Unnamed business"}
+            </button>
+          ))}
+          <button type="button" onClick={addBusiness} className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50">
+            + Add business
+          </button>
+        </div>
 
-  const reserveShort = Math.max(0, reserveGoal - reserveBalance);
-  const moveToReserve = Math.min(availableFromBusiness, reserveShort);
+        {selected ? (
+          <div className="mt-3 flex flex-wrap items-center gap-2">
+            <div className="text-xs font-semibold text-slate-500">Business name</div>
+            <input
+              value={selected.business.name}
+              onChange={(e) => renameBusiness(selected.business.id, e.target.value)}
+              className={"border rounded-xl px-3 py-2 bg-white " + (isEmptyValue(selected.business.name) ? "border-amber-400 bg-amber-50" : "")}
+            />
+            {businesses.length > 1 ? (
+              <button
+                type="button"
+                onClick={() => removeBusiness(selected.business.id)}
+                className="text-xs font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50"
+              >
+                Remove business
+              </button>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
 
-  const moveToFamilyOffice = Math.max(0, availableFromBusiness - moveToReserve);
+      {selected ? (
+        <BusinessWorkingCapital
+          key={selected.business.id}
+          month={month}
+          business={selected.business}
+          result={selected.result}
+          wc={wcByBusiness?.[selected.business.id] || defaultWorkingCapital()}
+          setWc={(fn) => setBusinessWc(selected.business.id, fn)}
+          setActuals={(fn) =>
+            setBusinesses((list) => list.map((b) => (b.id === selected.business.id ? { ...b, spendActuals: fn(b.spendActuals || {}) } : b)))
+          }
+          transfers={transfersByBusiness?.[selected.business.id] || {}}
+          onRecordTransfer={(key, record) => onRecordTransfer(selected.business.id, key, record)}
+          onRecordAllTransfers={() => onRecordAllTransfers(selected.business.id, selected.result.transferRows)}
+        />
+      ) : null}
 
-  React.useEffect(() => {
-    onSuggestBusinessIn(moveToFamilyOffice > 0 ? moveToFamilyOffice : 0);
-  }, [moveToFamilyOffice, onSuggestBusinessIn]);
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-sm font-semibold">Cash Flow Impact</div>
+        <div className="text-xs text-slate-500 mt-1">The total flows into Cash Flow as “Business Cash In”.</div>
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="pb-2">Business</th>
+                <th className="pb-2 text-right">Working Capital Goal</th>
+                <th className="pb-2 text-right">To reserve</th>
+                <th className="pb-2 text-right">To Family Office</th>
+              </tr>
+            </thead>
+            <tbody className="text-slate-800">
+              {byBusiness.map(({ business, result }) => (
+                <tr key={business.id} className="border-t">
+                  <td className="py-2 pr-2 font-semibold">{business.name || "Unnamed business"}</td>
+                  <td className="py-2 pr-2 text-right">{fmtMoney(result.wcGoal, money)}</td>
+                  <td className="py-2 pr-2 text-right">{fmtMoney(result.moveToReserve, money)}</td>
+                  <td className="py-2 pr-2 text-right">{fmtMoney(result.moveToFamilyOffice, money)}</td>
+                </tr>
+              ))}
+              <tr className="border-t font-semibold">
+                <td className="py-2 pr-2">Total</td>
+                <td className="py-2 pr-2 text-right">{fmtMoney(totals.wcGoal, money)}</td>
+                <td className="py-2 pr-2 text-right">{fmtMoney(totals.moveToReserve, money)}</td>
+                <td className="py-2 pr-2 text-right text-emerald-700">{fmtMoney(totals.moveToFamilyOffice, money)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-  const businessDelta = businessShortOrExcess;
-  const reserveDelta = reserveBalance - reserveGoal;
+function BusinessWorkingCapital({ month, business, result, wc, setWc, setActuals, transfers, onRecordTransfer, onRecordAllTransfers }) {
+  const money = useMoneyFormat();
+  const {
+    spend,
+    perDay,
+    bufferDays,
+    reserveDays,
+    collectionDays,
+    baseBuffer,
+    collectionBuffer,
+    wcGoal,
+    reserveGoal,
+    businessDelta,
+    reserveDelta,
+    moveToReserve,
+    moveToFamilyOffice,
+    transferRows,
+    balanceCurrencies,
+    businessBalance,
+    reserveBalance,
+  } = result;
+  // A balance held in another currency, as the waterfall counts it
+  const inBase = (currency, amount) =>
+    currency !== money.currency ? <div className="text-xs text-slate-500 mt-1">≈ {fmtMoney(amount, money)}</div> : null;
 
   const businessAction =
     businessDelta < 0
-      ? `Add ${fmtUSD(Math.abs(businessDelta))} to Business Checking to reach your buffer.`
+      ? `Add ${fmtMoney(Math.abs(businessDelta), money)} to Business Checking to reach your buffer.`
       : moveToReserve > 0
-      ? `Move ${fmtUSD(moveToReserve)} from Business Checking → Business Reserve.`
+      ? `Move ${fmtMoney(moveToReserve, money)} from Business Checking → Business Reserve.`
       : moveToFamilyOffice > 0
-      ? `Move ${fmtUSD(moveToFamilyOffice)} from Business Checking → Family Office.`
+      ? `Move ${fmtMoney(moveToFamilyOffice, money)} from Business Checking → Family Office.`
       : "Business Checking is fully funded.";
 
   const reserveAction =
     reserveDelta < 0
-      ? `Business Reserve needs ${fmtUSD(Math.abs(reserveDelta))} to reach target.`
+      ? `Business Reserve needs ${fmtMoney(Math.abs(reserveDelta), money)} to reach target.`
       : moveToFamilyOffice > 0
-      ? `After topping off reserve, ${fmtUSD(moveToFamilyOffice)} flows to Family Office.`
+      ? `After topping off reserve, ${fmtMoney(moveToFamilyOffice, money)} flows to Family Office.`
       : "Business Reserve is fully funded.";
 
-  const transferRows = [
-    {
-      key: "wc_reserve",
-      stepLabel: "1",
-      title: moveToReserve > 0 ? `Move ${fmtUSD(moveToReserve)} from Business Checking → Business Reserve` : "No move needed",
-      amount: fmtUSD(Math.max(0, moveToReserve)),
-      emphasis: moveToReserve > 0 ? "good" : "default",
-    },
-    {
-      key: "wc_familyOffice",
-      stepLabel: "2",
-      title: moveToFamilyOffice > 0 ? `Move ${fmtUSD(moveToFamilyOffice)} from Business Checking → Family Office` : "No excess available",
-      amount: fmtUSD(Math.max(0, moveToFamilyOffice)),
-      emphasis: moveToFamilyOffice > 0 ? "good" : "default",
-    },
-  ];
-
   return (
     <div className="space-y-4">
       <div className="rounded-2xl border bg-white p-5">
-        <div className="flex flex-col gap-2 md:flex-row md:items-end md:justify-between">
-          <div>
-            <div className="text-lg font-semibold">Working Capital</div>
-            <div className="text-xs text-slate-500 mt-1">Set your buffer … enter balances … get step-by-step move instructions.</div>
-          </div>
-          <div className="text-xs text-slate-500">Month: {month}</div>
-        </div>
+        <div className="text-lg font-semibold">{business.name || "Unnamed business"}</div>
+        <div className="text-xs text-slate-500 mt-1">Buffer, balances and moves for this business.</div>
 
         <div className="mt-4 grid gap-4 lg:grid-cols-3">
           <div className="rounded-2xl border bg-white p-5">
             <div className="text-sm font-semibold">Inputs</div>
             <div className="mt-3 space-y-3">
-              <div>
-                <div className="text-xs font-semibold text-slate-500">Operating expenses / month</div>
-                <div className="mt-2">
-                  <MoneyInput value={wc.operatingExpenses} onChange={(v) => setWc((s) => ({ ...s, operatingExpenses: v }))} placeholder="55000" required />
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <div className="text-xs font-semibold text-slate-500">Monthly spend from</div>
+                  <select
+                    value={spend.requested}
+                    onChange={(e) => setWc((s) => ({ ...s, expenseBasis: e.target.value }))}
+                    className="mt-2 border rounded-xl px-3 py-2 w-full bg-white text-sm"
+                  >
+                    {EXPENSE_BASES.map((b) => (
+                      <option key={b.value} value={b.value}>{b.label}</option>
+                    ))}
+                  </select>
                 </div>
+                {spend.requested !== "typed" ? (
+                  <div>
+                    <div className="text-xs font-semibold text-slate-500">Trailing months</div>
+                    <select
+                      value={spend.window}
+                      onChange={(e) => setWc((s) => ({ ...s, trailingMonths: e.target.value }))}
+                      className="mt-2 border rounded-xl px-3 py-2 w-full bg-white text-sm"
+                    >
+                      {TRAILING_WINDOWS.map((n) => (
+                        <option key={n} value={n}>{n} months</option>
+                      ))}
+                    </select>
+                  </div>
+                ) : null}
               </div>
-              <div>
-                <div className="text-xs font-semibold text-slate-500">Inventory cost / month</div>
-                <div className="mt-2">
-                  <MoneyInput value={wc.inventoryCost} onChange={(v) => setWc((s) => ({ ...s, inventoryCost: v }))} placeholder="0" required />
+              {spend.basis !== "typed" ? (
+                <div className="rounded-xl border bg-slate-50 p-3 text-xs text-slate-600">
+                  <div className="flex justify-between gap-2">
+                    <span>Operating expenses / month</span>
+                    <span className="font-semibold text-slate-900">{fmtMoney(spend.operatingExpenses, money)}</span>
+                  </div>
+                  <div className="flex justify-between gap-2">
+                    <span>Inventory cost / month</span>
+                    <span className="font-semibold text-slate-900">{fmtMoney(spend.inventoryCost, money)}</span>
+                  </div>
+                  <div className="mt-1">
+                    {EXPENSE_BASES.find((b) => b.value === spend.basis)?.label} of {spend.trailing.months.length} months of actual spend (below).
+                  </div>
                 </div>
-              </div>
-              <div className="grid grid-cols-2 gap-3">
-                <div>
-                  <div className="text-xs font-semibold text-slate-500">Days / month</div>
+              ) : null}
+              {spend.requested !== "typed" && spend.basis === "typed" ? (
+                <div className="rounded-xl border border-amber-300 bg-amber-50 p-3 text-xs text-slate-700">
+                  {spend.trailing.months.length} of the last {spend.window} months have actual spend … enter at least {MIN_TRAILING_MONTHS} below.
+                  Until then the typed figures are used.
+                </div>
+              ) : null}
+              {spend.basis === "typed" ? (
+                <>
+                  <div>
+                    <div className="text-xs font-semibold text-slate-500">Operating expenses / month</div>
+                    <div className="mt-2">
+                      <MoneyInput value={wc.operatingExpenses} onChange={(v) => setWc((s) => ({ ...s, operatingExpenses: v }))} placeholder="55000" required />
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-xs font-semibold text-slate-500">Inventory cost / month</div>
+                    <div className="mt-2">
+                      <MoneyInput value={wc.inventoryCost} onChange={(v) => setWc((s) => ({ ...s, inventoryCost: v }))} placeholder="0" required />
+                    </div>
+                  </div>
+                </>
+              ) : null}
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <div className="text-xs font-semibold text-slate-500">Days / month</div>
                   <input
                     value={wc.daysPerMonth}
                     onChange={(e) => setWc((s) => ({ ...s, daysPerMonth: e.target.value.replace(/[^0-9]/g, "") }))}
@@ -551,7 +1192,8 @@ function WorkingCapitalTool({ month, wc, setWc, onSuggestBusinessIn, doneMap, on
                 </div>
               </div>
               <div className="text-xs text-slate-500">
-                {toNumber(wc.avgCollectionDays) <= 1 ? "Collections are fast (≈1 day)." : `Collections average ≈${toNumber(wc.avgCollectionDays)} days.`}
+                {collectionDays <= 1 ? "Collections are fast (≈1 day)." : `Collections average ≈${collectionDays} days.`} Each collection day adds one
+                day of spend to the Business Checking goal.
               </div>
             </div>
           </div>
@@ -565,39 +1207,45 @@ function WorkingCapitalTool({ month, wc, setWc, onSuggestBusinessIn, doneMap, on
                   <input
                     value={wc.bufferDays}
                     onChange={(e) => setWc((s) => ({ ...s, bufferDays: e.target.value.replace(/[^0-9]/g, "") }))}
-                    className={
-                      "mt-2 border rounded-xl px-3 py-2 w-full bg-white " +
-                      (isEmptyValue(wc.bufferDays) ? "border-amber-400 bg-amber-50" : "")
-                    }
-                    placeholder="45"
+                    className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+                    placeholder={String(bufferDays)}
                   />
+                  {isEmptyValue(wc.bufferDays) ? <div className="mt-1 text-[11px] text-slate-500">Your default ({bufferDays})</div> : null}
                 </div>
                 <div>
                   <div className="text-xs font-semibold text-slate-500">Reserve days (personal)</div>
                   <input
                     value={wc.reserveDays}
                     onChange={(e) => setWc((s) => ({ ...s, reserveDays: e.target.value.replace(/[^0-9]/g, "") }))}
-                    className={
-                      "mt-2 border rounded-xl px-3 py-2 w-full bg-white " +
-                      (isEmptyValue(wc.reserveDays) ? "border-amber-400 bg-amber-50" : "")
-                    }
-                    placeholder="45"
+                    className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+                    placeholder={String(reserveDays)}
                   />
+                  {isEmptyValue(wc.reserveDays) ? <div className="mt-1 text-[11px] text-slate-500">Your default ({reserveDays})</div> : null}
                 </div>
               </div>
 
               <div className="grid gap-3">
                 <div className="rounded-xl border bg-slate-50 p-3">
                   <div className="text-xs font-semibold text-slate-500">Working capital per day</div>
-                  <div className="mt-1 text-lg font-semibold">{fmtUSD(perDay)}</div>
+                  <div className="mt-1 text-lg font-semibold">{fmtMoney(perDay, money)}</div>
                 </div>
                 <div className="rounded-xl border bg-slate-50 p-3">
                   <div className="text-xs font-semibold text-slate-500">Working Capital Goal</div>
-                  <div className="mt-1 text-lg font-semibold">{fmtUSD(wcGoal)}</div>
+                  <div className="mt-1 text-lg font-semibold">{fmtMoney(wcGoal, money)}</div>
+                  <div className="mt-2 space-y-1 text-xs text-slate-500">
+                    <div className="flex justify-between gap-2">
+                      <span>Buffer ({bufferDays} days)</span>
+                      <span>{fmtMoney(baseBuffer, money)}</span>
+                    </div>
+                    <div className="flex justify-between gap-2">
+                      <span>Collections lag ({collectionDays} days)</span>
+                      <span>{fmtMoney(collectionBuffer, money)}</span>
+                    </div>
+                  </div>
                 </div>
                 <div className="rounded-xl border bg-slate-50 p-3">
                   <div className="text-xs font-semibold text-slate-500">Business Reserve Goal</div>
-                  <div className="mt-1 text-lg font-semibold">{fmtUSD(reserveGoal)}</div>
+                  <div className="mt-1 text-lg font-semibold">{fmtMoney(reserveGoal, money)}</div>
                 </div>
               </div>
             </div>
@@ -609,26 +1257,40 @@ function WorkingCapitalTool({ month, wc, setWc, onSuggestBusinessIn, doneMap, on
               <div>
                 <div className="text-xs font-semibold text-slate-500">Business Checking balance</div>
                 <div className="mt-2">
-                  <MoneyInput value={wc.businessChecking} onChange={(v) => setWc((s) => ({ ...s, businessChecking: v }))} placeholder="0" required />
+                  <MoneyInput
+                    value={wc.businessChecking}
+                    onChange={(v) => setWc((s) => ({ ...s, businessChecking: v }))}
+                    placeholder="0"
+                    required
+                    currency={balanceCurrencies.businessChecking}
+                  />
+                  {inBase(balanceCurrencies.businessChecking, businessBalance)}
                 </div>
               </div>
               <div>
                 <div className="text-xs font-semibold text-slate-500">Business Reserve (Personal Account) balance</div>
                 <div className="mt-2">
-                  <MoneyInput value={wc.reserveAccountBalance} onChange={(v) => setWc((s) => ({ ...s, reserveAccountBalance: v }))} placeholder="0" required />
+                  <MoneyInput
+                    value={wc.reserveAccountBalance}
+                    onChange={(v) => setWc((s) => ({ ...s, reserveAccountBalance: v }))}
+                    placeholder="0"
+                    required
+                    currency={balanceCurrencies.reserveAccountBalance}
+                  />
+                  {inBase(balanceCurrencies.reserveAccountBalance, reserveBalance)}
                 </div>
               </div>
 
               <div className="mt-2 rounded-xl border bg-slate-50 p-3">
                 <div className="text-xs font-semibold text-slate-500">Business delta vs goal</div>
                 <div className={"mt-1 text-lg font-semibold " + (businessDelta >= 0 ? "text-emerald-700" : "text-red-700")}>
-                  {fmtUSD(businessDelta)}
+                  {fmtMoney(businessDelta, money)}
                 </div>
               </div>
               <div className="rounded-xl border bg-slate-50 p-3">
                 <div className="text-xs font-semibold text-slate-500">Business Reserve delta vs goal</div>
                 <div className={"mt-1 text-lg font-semibold " + (reserveDelta >= 0 ? "text-emerald-700" : "text-red-700")}>
-                  {fmtUSD(reserveDelta)}
+                  {fmtMoney(reserveDelta, money)}
                 </div>
               </div>
             </div>
@@ -636,6 +1298,8 @@ function WorkingCapitalTool({ month, wc, setWc, onSuggestBusinessIn, doneMap, on
         </div>
       </div>
 
+      <SpendHistory month={month} actuals={business.spendActuals || {}} setActuals={setActuals} spend={spend} />
+
       <div className="rounded-2xl border bg-white p-5">
         <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
           <div>
@@ -648,24 +1312,26 @@ function WorkingCapitalTool({ month, wc, setWc, onSuggestBusinessIn, doneMap, on
         <div className="mt-4 grid gap-3 md:grid-cols-2">
           <div className="rounded-2xl border bg-slate-50 p-4">
             <div className="text-sm font-semibold">Business Checking</div>
-            <div className="text-xs text-slate-500 mt-1">Goal: {fmtUSD(wcGoal)}</div>
+            <div className="text-xs text-slate-500 mt-1">
+              Goal: {fmtMoney(wcGoal, money)} {collectionBuffer > 0 ? `(includes ${fmtMoney(collectionBuffer, money)} for collections)` : ""}
+            </div>
             <div className="mt-3 text-sm text-slate-800">{businessAction}</div>
             <div className="mt-3">
               <div className="text-xs text-slate-500">Excess available from Business Checking</div>
               <div className={"mt-1 text-lg font-semibold " + (businessDelta >= 0 ? "text-emerald-700" : "text-red-700")}>
-                {businessDelta >= 0 ? fmtUSD(businessDelta) : fmtUSD(0)}
+                {businessDelta >= 0 ? fmtMoney(businessDelta, money) : fmtMoney(0, money)}
               </div>
             </div>
           </div>
 
           <div className="rounded-2xl border bg-slate-50 p-4">
             <div className="text-sm font-semibold">Business Reserve (Personal Account)</div>
-            <div className="text-xs text-slate-500 mt-1">Goal: {fmtUSD(reserveGoal)}</div>
+            <div className="text-xs text-slate-500 mt-1">Goal: {fmtMoney(reserveGoal, money)}</div>
             <div className="mt-3 text-sm text-slate-800">{reserveAction}</div>
             <div className="mt-3">
               <div className="text-xs text-slate-500">Reserve delta</div>
               <div className={"mt-1 text-lg font-semibold " + (reserveDelta >= 0 ? "text-emerald-700" : "text-red-700")}>
-                {reserveDelta >= 0 ? fmtUSD(reserveDelta) : fmtUSD(0)}
+                {reserveDelta >= 0 ? fmtMoney(reserveDelta, money) : fmtMoney(0, money)}
               </div>
             </div>
           </div>
@@ -674,65 +1340,190 @@ function WorkingCapitalTool({ month, wc, setWc, onSuggestBusinessIn, doneMap, on
         <div className="mt-5">
           <TransferTable
             title="Transfer Instructions"
-            subtitle="Check off each transfer as you complete it at the bank."
+            subtitle="Record each transfer as you complete it at the bank … the actual amount sets next month’s starting balances."
             rows={transferRows}
-            doneMap={doneMap}
-            onToggle={onToggleDone}
-            onMarkAll={onMarkAllDone}
+            records={transfers}
+            onRecord={onRecordTransfer}
+            onRecordAll={onRecordAllTransfers}
           />
-
-          <div className="mt-4 rounded-2xl border bg-slate-50 p-4">
-            <div className="text-sm font-semibold">Cash Flow Impact</div>
-            <div className="text-xs text-slate-500 mt-1">This number flows into Cash Flow as “Business Cash In”.</div>
-            <div className="mt-2 text-lg font-semibold">{fmtUSD(Math.max(0, moveToFamilyOffice))}</div>
-          </div>
         </div>
       </div>
     </div>
   );
 }
 
-function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggleDone, onMarkAllDone }) {
-  // Prefill from Working Capital (user can override after)
-  React.useEffect(() => {
-    if (Number.isFinite(suggestedBusinessIn) && suggestedBusinessIn >= 0) {
-      setCf((s) => ({ ...s, businessIn: String(Math.round(suggestedBusinessIn)) }));
-    }
-  }, [suggestedBusinessIn, setCf]);
-
-  const inflow = toNumber(cf.businessIn) + toNumber(cf.w2In);
+// Twelve months of actual spend for one business, feeding the trailing basis above
+function SpendHistory({ month, actuals, setActuals, spend }) {
+  const money = useMoneyFormat();
+  const [msg, setMsg] = React.useState("");
+  const months = Array.from({ length: 12 }, (_, i) => monthAdd(month, i - 12));
+  const inWindow = new Set(spend.trailing.months.map((x) => x.month));
+  const indexOf = Object.fromEntries(spend.trailing.months.map((x) => [x.month, x.index]));
+  const { stats, sameMonthLastYear } = spend.trailing;
+  const maxIndex = Math.max(1, ...spend.trailing.months.map((x) => x.index));
+
+  function setCell(m, key, v) {
+    setActuals((all) => ({ ...all, [m]: { operating: "", inventory: "", ...(all[m] || {}), [key]: v } }));
+  }
 
-  const givingAmount = cf.givingIsDollar
-    ? Math.min(toNumber(cf.givingDollar), inflow)
-    : (toNumber(cf.givingPercent) / 100) * inflow;
+  async function importFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const imported = spendFromCSV(parseCSV(await file.text()));
+    const count = Object.keys(imported).length;
+    if (!count) {
+      setMsg(`No months found in ${file.name} … it needs a month (or date) column and a spend column.`);
+      return;
+    }
+    setActuals((all) => ({ ...all, ...imported }));
+    setMsg(`Imported ${count} month${count === 1 ? "" : "s"} from ${file.name}.`);
+  }
 
-  const emergencyHeldInFO = 1 * toNumber(cf.lifestyleMonthly);
-  const lifestyleTargetBalance = 2 * toNumber(cf.lifestyleMonthly);
+  return (
+    <div className="rounded-2xl border bg-white p-5">
+      <div className="flex flex-col gap-2 md:flex-row md:items-start md:justify-between">
+        <div>
+          <div className="text-sm font-semibold">Actual spend</div>
+          <div className="text-xs text-slate-500 mt-1">
+            What the business really spent each month. The last {spend.window} months drive the trailing basis; bars show each month
+            against the average so seasonal months stand out.
+          </div>
+        </div>
+        <label className="text-xs font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50 cursor-pointer whitespace-nowrap">
+          Import CSV…
+          <input type="file" accept=".csv,text/csv" onChange={importFile} className="hidden" />
+        </label>
+      </div>
+      {msg ? <div className="mt-2 text-xs text-slate-600">{msg}</div> : null}
 
-  const inWindow = (n) => {
-    if (!n || n.status !== "open") return false;
-    const diff = monthDiff(month, n.dueMonth);
-    return diff >= 0 && diff <= 5;
-  };
+      <div className="mt-3 overflow-x-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="py-2 pr-3 font-medium">Month</th>
+              <th className="py-2 pr-3 font-medium">Operating</th>
+              <th className="py-2 pr-3 font-medium">Inventory</th>
+              <th className="py-2 pr-3 font-medium text-right">Total</th>
+              <th className="py-2 font-medium w-48">vs. average</th>
+            </tr>
+          </thead>
+          <tbody>
+            {months.map((m) => {
+              const a = actuals[m] || {};
+              const index = indexOf[m];
+              return (
+                <tr key={m} className={"border-t " + (inWindow.has(m) ? "" : "text-slate-400")}>
+                  <td className="py-1 pr-3 whitespace-nowrap">{m}</td>
+                  <td className="py-1 pr-3 w-40">
+                    <MoneyInput value={a.operating ?? ""} onChange={(v) => setCell(m, "operating", v)} placeholder="—" />
+                  </td>
+                  <td className="py-1 pr-3 w-40">
+                    <MoneyInput value={a.inventory ?? ""} onChange={(v) => setCell(m, "inventory", v)} placeholder="—" />
+                  </td>
+                  <td className="py-1 pr-3 text-right">{a.operating || a.inventory ? fmtMoney(toNumber(a.operating) + toNumber(a.inventory), money) : "—"}</td>
+                  <td className="py-1">
+                    {index !== undefined ? (
+                      <div className="flex items-center gap-2">
+                        <div className="h-2 flex-1 rounded bg-slate-100">
+                          <div
+                            className={"h-2 rounded " + (index > 1.1 ? "bg-amber-500" : index < 0.9 ? "bg-sky-400" : "bg-slate-400")}
+                            style={{ width: `${(index / maxIndex) * 100}%` }}
+                          />
+                        </div>
+                        <span className="text-xs text-slate-600 w-10 text-right">{Math.round(index * 100)}%</span>
+                      </div>
+                    ) : null}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
 
-  const activeNeeds = cf.needs.filter((n) => n.status === "open");
-  const windowNeeds = cf.needs.filter(inWindow);
+      <div className="mt-3 grid gap-2 text-xs text-slate-600 md:grid-cols-3">
+        <div>Average: <span className="font-semibold text-slate-900">{fmtMoney(stats.average.total, money)}</span></div>
+        <div>Median: <span className="font-semibold text-slate-900">{fmtMoney(stats.median.total, money)}</span></div>
+        <div>Highest: <span className="font-semibold text-slate-900">{fmtMoney(stats.max.total, money)}</span></div>
+      </div>
+      {sameMonthLastYear ? (
+        <div className="mt-2 text-xs text-slate-600">
+          Same month last year ({sameMonthLastYear.month}): {fmtMoney(sameMonthLastYear.total, money)} ·{" "}
+          {Math.round(sameMonthLastYear.index * 100)}% of the current average.
+          {sameMonthLastYear.index > 1.1 ? " Expect a heavier month than usual." : sameMonthLastYear.index < 0.9 ? " Usually a lighter month." : ""}
+        </div>
+      ) : null}
+    </div>
+  );
+}
 
-  const totalReservedOpen = activeNeeds.reduce((sum, n) => sum + toNumber(n.funded), 0);
+function CashflowTool({
+  month,
+  plan,
+  setSettings,
+  cf,
+  setCf,
+  suggestedBusinessIn,
+  businessBreakdown,
+  onResults,
+  transfers,
+  onRecordTransfer,
+  onRecordAllTransfers,
+}) {
+  const money = useMoneyFormat();
+  // Prefill from Working Capital whenever its suggestion changes (user can override after; the
+  // override, or an imported figure, survives until Working Capital suggests something new)
+  React.useEffect(() => {
+    if (!Number.isFinite(suggestedBusinessIn) || suggestedBusinessIn < 0) return;
+    setCf((s) =>
+      s.businessInSuggestion === suggestedBusinessIn
+        ? s
+        : { ...s, businessIn: String(suggestedBusinessIn), businessInSuggestion: suggestedBusinessIn }
+    );
+  }, [suggestedBusinessIn, setCf]);
 
-  const remainingTotal = windowNeeds.reduce((sum, n) => {
-    const remaining = Math.max(0, toNumber(n.target) - toNumber(n.funded));
-    return sum + remaining;
-  }, 0);
+  const {
+    carryIn,
+    inflow,
+    givingAmount,
+    lifestyle,
+    lifestyleSpend,
+    lifestyleTracked,
+    lifestyleBalance,
+    emergencyHeldInFO,
+    emergencyMonths,
+    lifestyleTargetMonths,
+    familyOfficeTracked,
+    emergencyHeld,
+    emergencyShort,
+    emergencyTopUp,
+    lifestyleTargetBalance,
+    horizon,
+    activeNeeds,
+    archivedNeeds,
+    totalReservedOpen,
+    remainingTotal,
+    fundingStrategy,
+    releasedToWealth,
+    releasedToFamilyOffice,
+    shortfallCovered,
+    settledFromNeeds,
+    availableAfterRequired,
+    allocateToNeeds,
+    excess,
+    transferRows,
+    alerts,
+  } = computeCashflow(cf, month, plan);
 
-  const availableAfterRequired = inflow - givingAmount - toNumber(cf.lifestyleMonthly);
-  const allocateToNeeds = Math.max(0, Math.min(availableAfterRequired, remainingTotal));
-  const excess = availableAfterRequired - allocateToNeeds;
+  React.useEffect(() => {
+    onResults({ inflow, givingAmount, lifestyle, remainingTotal, allocateToNeeds, excess });
+  }, [inflow, givingAmount, lifestyle, remainingTotal, allocateToNeeds, excess, onResults]);
 
   function addNeed() {
     setCf((s) => ({
       ...s,
-      needs: [...s.needs, { id: makeId(), name: "", target: "0", dueMonth: monthAdd(month, 1), funded: "0", status: "open" }],
+      needs: [...s.needs, { id: makeId(), name: "", target: "0", dueMonth: monthAdd(month, 1), funded: "0", status: "open", repeat: "" }],
     }));
   }
 
@@ -744,43 +1535,53 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
     setCf((s) => ({ ...s, needs: s.needs.filter((n) => n.id !== id) }));
   }
 
-  function runMonthlyAllocation() {
-    const sorted = [...cf.needs].sort((a, b) => monthDiff(a.dueMonth, b.dueMonth));
-    let remainingPool = allocateToNeeds;
-
-    const next = sorted.map((n) => {
-      if (!inWindow(n)) return n;
-      if (remainingPool <= 0) return n;
+  const [closingId, setClosingId] = React.useState(null);
 
-      const remaining = Math.max(0, toNumber(n.target) - toNumber(n.funded));
-      const add = Math.min(remaining, remainingPool);
-      remainingPool -= add;
-
-      return { ...n, funded: String(toNumber(n.funded) + add) };
-    });
+  function closeOutNeed(id, details) {
+    setCf((s) => ({ ...s, needs: closeNeedInList(s.needs, id, { ...details, month }) }));
+    setClosingId(null);
+  }
 
-    const byId = new Map(next.map((n) => [n.id, n]));
-    setCf((s) => ({ ...s, needs: s.needs.map((n) => byId.get(n.id) ?? n) }));
+  function reopen(id) {
+    setCf((s) => ({ ...s, needs: reopenNeedInList(s.needs, id) }));
   }
 
-  const months = monthOptions(2026);
+  function runMonthlyAllocation() {
+    setCf((s) => ({ ...s, needs: allocateNeeds(s.needs, month, allocateToNeeds, fundingStrategy, horizon) }));
+  }
 
-  const transferRows = [
-    { key: "cf_giving", stepLabel: "1", title: "Family Office → Giving", amount: fmtUSD(Math.max(0, givingAmount)) },
-    { key: "cf_lifestyle", stepLabel: "2", title: "Family Office → Lifestyle", amount: fmtUSD(toNumber(cf.lifestyleMonthly)) },
-    { key: "cf_needs", stepLabel: "3", title: "Family Office → Needs reserve (set aside; stays in FO)", amount: fmtUSD(allocateToNeeds) },
-    { key: "cf_wealth", stepLabel: "4", title: "Family Office → Wealth Creation", amount: fmtUSD(excess), emphasis: excess >= 0 ? "good" : "bad" },
-  ];
+  const months = monthRange({ around: month, back: 0, ahead: Math.max(24, horizon) });
 
   return (
     <div className="space-y-4">
       <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
-        <StatCard label="Emergency minimum" value={fmtUSD(emergencyHeldInFO)} hint="Required balance in Family Office" />
-        <StatCard label="Reserved for open needs" value={fmtUSD(totalReservedOpen)} hint="Counts toward Family Office reserve" />
-        <StatCard label="Remaining needs (next 6 months)" value={fmtUSD(remainingTotal)} hint="Gap still to fund" />
-        <StatCard label="Excess after rules" value={fmtUSD(excess)} hint="Available for wealth creation" emphasis={excess >= 0 ? "good" : "bad"} />
+        <StatCard
+          label="Emergency minimum"
+          value={fmtMoney(emergencyHeldInFO, money)}
+          hint={familyOfficeTracked ? `Held today: ${fmtMoney(emergencyHeld, money)}` : `${emergencyMonths}× lifestyle, held in Family Office`}
+          emphasis={familyOfficeTracked ? (emergencyShort > 0 ? "bad" : "good") : "default"}
+        />
+        <StatCard label="Reserved for open needs" value={fmtMoney(totalReservedOpen, money)} hint="Counts toward Family Office reserve" />
+        <StatCard label={`Remaining needs (next ${horizon} months)`} value={fmtMoney(remainingTotal, money)} hint="Gap still to fund" />
+        <StatCard label="Excess after rules" value={fmtMoney(excess, money)} hint="Available for wealth creation" emphasis={excess >= 0 ? "good" : "bad"} />
       </div>
 
+      {alerts.length ? (
+        <div className="space-y-2">
+          {alerts.map((a) => (
+            <div
+              key={a.kind}
+              className={
+                "rounded-xl border p-3 text-sm " +
+                (a.severity === "bad" ? "border-rose-300 bg-rose-50 text-rose-900" : "border-amber-300 bg-amber-50 text-amber-900")
+              }
+            >
+              {a.message}
+            </div>
+          ))}
+        </div>
+      ) : null}
+
       <div className="grid gap-4 lg:grid-cols-3">
         <div className="rounded-2xl border bg-white p-5">
           <div className="text-sm font-semibold">Cash In</div>
@@ -793,6 +1594,16 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
               <div className="mt-2">
                 <MoneyInput value={cf.businessIn} onChange={(v) => setCf((s) => ({ ...s, businessIn: v }))} required />
               </div>
+              {businessBreakdown?.length > 1 ? (
+                <div className="mt-2 space-y-1 text-xs text-slate-500">
+                  {businessBreakdown.map(({ business, result }) => (
+                    <div key={business.id} className="flex justify-between gap-2">
+                      <span>{business.name || "Unnamed business"}</span>
+                      <span>{fmtMoney(result.moveToFamilyOffice, money)}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : null}
             </div>
             <div>
               <div className="text-xs font-semibold text-slate-500">W-2 / Other</div>
@@ -800,11 +1611,22 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
                 <MoneyInput value={cf.w2In} onChange={(v) => setCf((s) => ({ ...s, w2In: v }))} required />
               </div>
             </div>
+            <div className="md:col-span-2">
+              <div className="flex items-center justify-between">
+                <div className="text-xs font-semibold text-slate-500">Carried over from last month</div>
+                <div className="text-[11px] text-slate-500">From recorded transfers … negative if overdrawn</div>
+              </div>
+              <div className="mt-2">
+                <MoneyInput value={cf.carryIn ?? ""} onChange={(v) => setCf((s) => ({ ...s, carryIn: v }))} allowNegative />
+              </div>
+            </div>
           </div>
           <div className="mt-3 rounded-xl border bg-slate-50 p-3">
             <div className="text-xs font-semibold text-slate-500">Total inflow</div>
-            <div className="mt-1 text-lg font-semibold">{fmtUSD(inflow)}</div>
-            <div className="mt-1 text-xs text-slate-500">All cash lands in Family Office first</div>
+            <div className="mt-1 text-lg font-semibold">{fmtMoney(inflow, money)}</div>
+            <div className="mt-1 text-xs text-slate-500">
+              All cash lands in Family Office first{carryIn ? ` … includes ${fmtMoney(carryIn, money)} carried over (not counted for giving %)` : ""}
+            </div>
           </div>
         </div>
 
@@ -817,7 +1639,7 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
             <div className="flex items-center gap-2">
               <span className={"text-xs " + (!cf.givingIsDollar ? "font-semibold text-slate-900" : "text-slate-500")}>%</span>
               <Toggle checked={cf.givingIsDollar} onChange={(v) => setCf((s) => ({ ...s, givingIsDollar: v }))} />
-              <span className={"text-xs " + (cf.givingIsDollar ? "font-semibold text-slate-900" : "text-slate-500")}>$</span>
+              <span className={"text-xs " + (cf.givingIsDollar ? "font-semibold text-slate-900" : "text-slate-500")}>{currencySymbol(money)}</span>
             </div>
           </div>
 
@@ -831,7 +1653,7 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
 
           <div className="mt-3 rounded-xl border bg-slate-50 p-3">
             <div className="text-xs font-semibold text-slate-500">This month … giving transfer</div>
-            <div className="mt-1 text-lg font-semibold">{fmtUSD(Math.max(0, givingAmount))}</div>
+            <div className="mt-1 text-lg font-semibold">{fmtMoney(Math.max(0, givingAmount), money)}</div>
           </div>
         </div>
 
@@ -841,17 +1663,73 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
           <div className="mt-3">
             <MoneyInput value={cf.lifestyleMonthly} onChange={(v) => setCf((s) => ({ ...s, lifestyleMonthly: v }))} placeholder="15000" required />
           </div>
-          <div className="mt-2 text-xs text-slate-500">Target Lifestyle balance (2× spend): {fmtUSD(lifestyleTargetBalance)}</div>
+          <div className="mt-2 text-xs text-slate-500">Target Lifestyle balance ({lifestyleTargetMonths}× spend): {fmtMoney(lifestyleTargetBalance, money)}</div>
+          {lifestyleTracked && lifestyle !== lifestyleSpend ? (
+            <div className="mt-1 text-xs text-slate-500">This month’s transfer: {fmtMoney(lifestyle, money)} (tops up to target)</div>
+          ) : null}
+        </div>
+      </div>
+
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-sm font-semibold">Balances today</div>
+        <div className="text-xs text-slate-500 mt-1">
+          Before this month’s transfers. Leave blank to skip the check … with a balance, the emergency minimum is topped up before needs and
+          Wealth Creation, and Lifestyle is topped up to its target.
+        </div>
+        <div className="mt-3 grid gap-4 md:grid-cols-2">
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Family Office balance</div>
+            <div className="mt-2">
+              <MoneyInput value={cf.familyOfficeBalance ?? ""} onChange={(v) => setCf((s) => ({ ...s, familyOfficeBalance: v }))} placeholder="—" />
+            </div>
+            {familyOfficeTracked ? (
+              <div className={"mt-2 text-xs " + (emergencyShort > 0 ? "text-rose-700 font-semibold" : "text-emerald-700")}>
+                {fmtMoney(emergencyHeld, money)} free of need set-asides vs. {fmtMoney(emergencyHeldInFO, money)} minimum
+                {emergencyShort > 0 ? ` … ${fmtMoney(emergencyShort, money)} short, ${fmtMoney(emergencyTopUp, money)} kept back this month` : ""}
+              </div>
+            ) : null}
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Lifestyle balance</div>
+            <div className="mt-2">
+              <MoneyInput value={cf.lifestyleBalance ?? ""} onChange={(v) => setCf((s) => ({ ...s, lifestyleBalance: v }))} placeholder="—" />
+            </div>
+            {lifestyleTracked ? (
+              <div className={"mt-2 text-xs " + (lifestyleBalance < lifestyleSpend ? "text-amber-700 font-semibold" : "text-slate-500")}>
+                {fmtMoney(lifestyleBalance, money)} vs. {fmtMoney(lifestyleTargetBalance, money)} target
+              </div>
+            ) : null}
+          </div>
         </div>
       </div>
 
       <div className="rounded-2xl border bg-white p-5">
         <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
           <div>
-            <div className="text-lg font-semibold">Upcoming Cash Needs (Next 6 Months)</div>
+            <div className="text-lg font-semibold">Upcoming Cash Needs (Next {horizon} Months)</div>
             <div className="text-xs text-slate-500 mt-1">Funded balances carry forward … click “Fund needs this month” for suggested allocation.</div>
           </div>
-          <div className="flex items-center gap-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={horizon}
+              onChange={(e) => setSettings((s) => ({ ...s, needsHorizonMonths: Number(e.target.value) }))}
+              className="border rounded-xl px-3 py-2 text-sm bg-white"
+              title="Needs horizon"
+            >
+              {(NEEDS_HORIZONS.includes(horizon) ? NEEDS_HORIZONS : [...NEEDS_HORIZONS, horizon]).map((h) => (
+                <option key={h} value={h}>{h} months ahead</option>
+              ))}
+            </select>
+            <select
+              value={fundingStrategy}
+              onChange={(e) => setCf((s) => ({ ...s, fundingStrategy: e.target.value }))}
+              className="border rounded-xl px-3 py-2 text-sm bg-white"
+              title="Funding strategy"
+            >
+              {FUNDING_STRATEGIES.map((f) => (
+                <option key={f.value} value={f.value}>{f.label}</option>
+              ))}
+            </select>
             <button type="button" onClick={addNeed} className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50">
               + Add item
             </button>
@@ -867,6 +1745,8 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
               <tr className="text-left text-slate-500">
                 <th className="pb-2">Need</th>
                 <th className="pb-2">Due</th>
+                <th className="pb-2">Repeats</th>
+                <th className="pb-2">Priority</th>
                 <th className="pb-2">Target</th>
                 <th className="pb-2">Already funded</th>
                 <th className="pb-2">Remaining</th>
@@ -875,9 +1755,9 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
             </thead>
             <tbody className="text-slate-800">
               {activeNeeds.map((n) => {
-                const remaining = Math.max(0, toNumber(n.target) - toNumber(n.funded));
-                const dim = inWindow(n) ? "" : "opacity-50";
-                return (
+                const remaining = needRemaining(n);
+                const dim = isNeedInWindow(n, month, horizon) ? "" : "opacity-50";
+                const row = (
                   <tr key={n.id} className={"border-t " + dim}>
                     <td className="py-2 pr-2">
                       <input
@@ -896,31 +1776,81 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
                         onChange={(e) => updateNeed(n.id, { dueMonth: e.target.value })}
                         className="border rounded-xl px-3 py-2 bg-white"
                       >
-                        {months.map((m) => (
+                        {(months.includes(n.dueMonth) ? months : [...months, n.dueMonth]).map((m) => (
                           <option key={m} value={m}>{m}</option>
                         ))}
                       </select>
                     </td>
+                    <td className="py-2 pr-2">
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={n.repeat || ""}
+                          onChange={(e) => updateNeed(n.id, { repeat: e.target.value })}
+                          className="border rounded-xl px-3 py-2 bg-white"
+                        >
+                          {NEED_REPEATS.map((r) => (
+                            <option key={r.value} value={r.value}>{r.label}</option>
+                          ))}
+                        </select>
+                        {n.repeat === "custom" ? (
+                          <input
+                            value={n.repeatMonths || ""}
+                            onChange={(e) => updateNeed(n.id, { repeatMonths: e.target.value.replace(/[^0-9]/g, "") })}
+                            placeholder="6"
+                            title="Months between occurrences"
+                            className={
+                              "border rounded-xl px-3 py-2 w-16 bg-white " + (isEmptyValue(n.repeatMonths) ? "border-amber-400 bg-amber-50" : "")
+                            }
+                          />
+                        ) : null}
+                      </div>
+                    </td>
+                    <td className="py-2 pr-2">
+                      <select
+                        value={n.priority || "normal"}
+                        onChange={(e) => updateNeed(n.id, { priority: e.target.value })}
+                        className="border rounded-xl px-3 py-2 bg-white"
+                      >
+                        {NEED_PRIORITIES.map((p) => (
+                          <option key={p.value} value={p.value}>{p.label}</option>
+                        ))}
+                      </select>
+                    </td>
                     <td className="py-2 pr-2 w-[170px]">
                       <MoneyInput value={n.target} onChange={(v) => updateNeed(n.id, { target: v })} required />
                     </td>
                     <td className="py-2 pr-2 w-[170px]">
                       <MoneyInput value={n.funded} onChange={(v) => updateNeed(n.id, { funded: v })} />
                     </td>
-                    <td className="py-2 pr-2 font-semibold">{fmtUSD(remaining)}</td>
-                    <td className="py-2 text-right">
+                    <td className="py-2 pr-2 font-semibold">{fmtMoney(remaining, money)}</td>
+                    <td className="py-2 text-right whitespace-nowrap">
+                      <button
+                        type="button"
+                        onClick={() => setClosingId(closingId === n.id ? null : n.id)}
+                        className="text-xs font-semibold rounded-xl border px-2 py-1 mr-2 hover:bg-slate-50"
+                      >
+                        Paid…
+                      </button>
                       <button type="button" onClick={() => removeNeed(n.id)} className="text-slate-500 hover:text-slate-900" title="Remove">
                         ×
                       </button>
                     </td>
                   </tr>
                 );
+                return closingId === n.id ? (
+                  <React.Fragment key={n.id}>
+                    {row}
+                    <NeedCloseOut need={n} onConfirm={(details) => closeOutNeed(n.id, details)} onCancel={() => setClosingId(null)} />
+                  </React.Fragment>
+                ) : (
+                  row
+                );
               })}
 
               {activeNeeds.length === 0 ? (
                 <tr className="border-t">
-                  <td className="py-6 text-sm text-slate-500" colSpan={6}>
-                    No active needs. Add an item if you expect a &gt;$5k cash need in the next six months.
+                  <td className="py-6 text-sm text-slate-500" colSpan={8}>
+                    No active needs. Add an item if you expect a cash need over {fmtMoney(planRules(plan).needsThreshold, money)} in the next {horizon} months.
                   </td>
                 </tr>
               ) : null}
@@ -928,19 +1858,35 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
           </table>
         </div>
 
+        <FundingPreview cf={cf} month={month} plan={plan} horizon={horizon} selected={fundingStrategy} />
+
+        {releasedToWealth > 0 || releasedToFamilyOffice > 0 || shortfallCovered > 0 ? (
+          <div className="mt-4 rounded-xl border bg-slate-50 p-3 text-xs text-slate-600">
+            <span className="font-semibold text-slate-900">Needs paid this month:</span>{" "}
+            {releasedToFamilyOffice > 0 ? `${fmtMoney(releasedToFamilyOffice, money)} left over stays in Family Office and is added to this month's needs and Wealth Creation. ` : ""}
+            {releasedToWealth > 0 ? `${fmtMoney(releasedToWealth, money)} left over moves to Wealth Creation. ` : ""}
+            {shortfallCovered > 0 ? `${fmtMoney(shortfallCovered, money)} over the set-aside was paid from Family Office and comes out of this month's needs and Wealth Creation.` : ""}
+          </div>
+        ) : null}
+
         <div className="mt-4 grid gap-3 md:grid-cols-3">
           <div className="rounded-xl border bg-slate-50 p-3">
             <div className="text-xs font-semibold text-slate-500">This month … suggested funding</div>
-            <div className="mt-1 text-lg font-semibold">{fmtUSD(allocateToNeeds)}</div>
+            <div className="mt-1 text-lg font-semibold">{fmtMoney(allocateToNeeds, money)}</div>
           </div>
           <div className="rounded-xl border bg-slate-50 p-3">
             <div className="text-xs font-semibold text-slate-500">Available after giving + lifestyle</div>
-            <div className="mt-1 text-lg font-semibold">{fmtUSD(availableAfterRequired)}</div>
+            <div className="mt-1 text-lg font-semibold">{fmtMoney(availableAfterRequired, money)}</div>
+            {settledFromNeeds !== 0 ? (
+              <div className="mt-1 text-xs text-slate-500">
+                {signedMoney(settledFromNeeds, money)} from needs paid this month
+              </div>
+            ) : null}
           </div>
           <div className="rounded-xl border bg-slate-50 p-3">
             <div className="text-xs font-semibold text-slate-500">Excess to Wealth Creation</div>
             <div className={"mt-1 text-lg font-semibold " + (excess >= 0 ? "text-emerald-700" : "text-red-700")}>
-              {fmtUSD(excess)}
+              {fmtMoney(excess, money)}
             </div>
           </div>
         </div>
@@ -948,248 +1894,2157 @@ function CashflowTool({ month, cf, setCf, suggestedBusinessIn, doneMap, onToggle
         <div className="mt-5">
           <TransferTable
             title="Transfer Instructions"
-            subtitle="Check off each step when you complete the transfer at the bank."
+            subtitle="Record each step when you complete the transfer at the bank … any difference carries into next month."
             rows={transferRows}
-            doneMap={doneMap}
-            onToggle={onToggleDone}
-            onMarkAll={onMarkAllDone}
+            records={transfers}
+            onRecord={onRecordTransfer}
+            onRecordAll={() => onRecordAllTransfers(transferRows)}
           />
         </div>
       </div>
+
+      {archivedNeeds.length > 0 ? <ArchivedNeeds needs={archivedNeeds} onReopen={reopen} onRemove={removeNeed} /> : null}
     </div>
   );
 }
 
-// ---------- Tests ----------
-function TestHarness() {
-  React.useEffect(() => {
-    console.assert(monthAdd("2026-01", 1) === "2026-02", "monthAdd +1 failed");
-    console.assert(monthAdd("2026-12", 1) === "2027-01", "monthAdd year rollover failed");
-    console.assert(monthDiff("2026-01", "2026-06") === 5, "monthDiff failed");
-
-    // Waterfall example:
-    // WC goal = 82,500 and Reserve goal = 82,500
-    // Business checking = 125,000 => excess 42,500
-    // Reserve balance = 75,000 => short 7,500
-    // Move to reserve 7,500; move to family office 35,000
-    const wcGoal = 82500;
-    const reserveGoal = 82500;
-    const businessBal = 125000;
-    const reserveBal = 75000;
-    const available = Math.max(0, businessBal - wcGoal);
-    const reserveShort = Math.max(0, reserveGoal - reserveBal);
-    const moveToReserve = Math.min(available, reserveShort);
-    const moveToFO = Math.max(0, available - moveToReserve);
-    console.assert(moveToReserve === 7500, "waterfall moveToReserve failed");
-    console.assert(moveToFO === 35000, "waterfall moveToFamilyOffice failed");
-  }, []);
-  return null;
-}
-
-// ---------- App ----------
-export default function App() {
-  const [session, setSession] = React.useState(null);
-  const [loading, setLoading] = React.useState(true);
-  const [saveStatus, setSaveStatus] = React.useState("Saved");
-  const [state, setState] = React.useState(defaultState());
-
-  // init session + listener
-  React.useEffect(() => {
-    let sub = null;
-
-    async function init() {
-      if (!supabase) {
-        setLoading(false);
-        return;
-      }
-      const { data } = await supabase.auth.getSession();
-      setSession(data.session || null);
-
-      sub = supabase.auth.onAuthStateChange((_event, newSession) => {
-        setSession(newSession);
-      }).data.subscription;
-
-      setLoading(false);
-    }
-
-    init();
-    return () => {
-      if (sub) sub.unsubscribe();
-    };
-  }, []);
-
-  // load user state
-  React.useEffect(() => {
-    if (!session || !supabase) return;
+// What each in-window need would receive this month under every strategy, before committing
+function FundingPreview({ cf, month, plan, horizon, selected }) {
+  const money = useMoneyFormat();
+  const windowNeeds = (cf.needs || []).filter((n) => isNeedInWindow(n, month, horizon));
+  const plans = fundingPreview(cf, month, plan);
+  const cell = (f) => "py-2 pr-2 text-right whitespace-nowrap " + (f.value === selected ? "font-semibold text-slate-900 bg-slate-50" : "text-slate-500");
 
-    (async () => {
-      setSaveStatus("Loading…");
-      const userId = session.user.id;
+  if (windowNeeds.length === 0) return null;
 
-      const { data, error } = await supabase
-        .from("cashflow_states")
-        .select("state")
-        .eq("user_id", userId)
-        .maybeSingle();
+  return (
+    <div className="mt-4 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-semibold">Funding preview</div>
+      <div className="text-xs text-slate-500 mt-1">What each need receives this month under each strategy. The highlighted column is applied by “Fund needs this month”.</div>
+      <div className="mt-3 overflow-x-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="pb-2">Need</th>
+              <th className="pb-2 text-right">Remaining</th>
+              <th className="pb-2 text-right">Months left</th>
+              {plans.map((f) => (
+                <th key={f.value} className={"pb-2 text-right " + (f.value === selected ? "text-slate-900" : "")}>
+                  {f.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="text-slate-800">
+            {windowNeeds.map((n) => (
+              <tr key={n.id} className="border-t">
+                <td className="py-2 pr-2">{n.name || "Unnamed need"}</td>
+                <td className="py-2 pr-2 text-right">{fmtMoney(needRemaining(n), money)}</td>
+                <td className="py-2 pr-2 text-right">{monthsUntilDue(n, month)}</td>
+                {plans.map((f) => (
+                  <td key={f.value} className={cell(f)}>
+                    {fmtMoney(f.plan[n.id] || 0, money)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr className="border-t">
+              <td className="py-2 pr-2 font-semibold" colSpan={3}>
+                Total to needs this month
+              </td>
+              {plans.map((f) => (
+                <td key={f.value} className={cell(f)}>
+                  {fmtMoney(f.pool, money)}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
-      if (error) {
-        setSaveStatus("Loaded (new)");
-        return;
-      }
+function NeedCloseOut({ need, onConfirm, onCancel }) {
+  const money = useMoneyFormat();
+  const [paidOn, setPaidOn] = React.useState(todayISO());
+  const [actualAmount, setActualAmount] = React.useState(need.target);
+  const [leftoverTo, setLeftoverTo] = React.useState("familyOffice");
+  const { leftover, shortfall } = needSettlement({ ...need, actualAmount });
 
-      if (data?.state) {
-        // merge so you can safely add new defaults later
-        setState((prev) => ({ ...prev, ...data.state }));
-        setSaveStatus("Loaded");
-      } else {
-        await supabase.from("cashflow_states").upsert({ user_id: userId, state: defaultState() });
-        setSaveStatus("Loaded (new)");
-      }
-    })();
-  }, [session]);
+  return (
+    <tr className="bg-slate-50">
+      <td colSpan={8} className="p-3">
+        <div className="grid gap-3 md:grid-cols-4 md:items-end">
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Paid on</div>
+            <input
+              type="date"
+              value={paidOn}
+              onChange={(e) => setPaidOn(e.target.value)}
+              className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+            />
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Actual amount paid</div>
+            <div className="mt-2">
+              <MoneyInput value={actualAmount} onChange={setActualAmount} required />
+            </div>
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Left over goes to</div>
+            <select
+              value={leftoverTo}
+              onChange={(e) => setLeftoverTo(e.target.value)}
+              className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+            >
+              <option value="familyOffice">Stay in Family Office</option>
+              <option value="wealth">Wealth Creation</option>
+            </select>
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => onConfirm({ paidOn, actualAmount, leftoverTo })}
+              disabled={isEmptyValue(paidOn) || isEmptyValue(actualAmount)}
+              className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800 disabled:opacity-50"
+            >
+              Mark paid
+            </button>
+            <button type="button" onClick={onCancel} className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-white">
+              Cancel
+            </button>
+          </div>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Set aside {fmtMoney(toNumber(need.funded), money)} ·{" "}
+          {shortfall > 0
+            ? `${fmtMoney(shortfall, money)} more than set aside … paid from Family Office.`
+            : `${fmtMoney(leftover, money)} left over.`}
+          {repeatInterval(need) ? ` Next occurrence will be due ${monthAdd(need.dueMonth, repeatInterval(need))}.` : ""}
+        </div>
+      </td>
+    </tr>
+  );
+}
 
-  // save user state (debounced)
-  React.useEffect(() => {
-    if (!session || !supabase) return;
+function ArchivedNeeds({ needs, onReopen, onRemove }) {
+  const money = useMoneyFormat();
+  return (
+    <div className="rounded-2xl border bg-white p-5">
+      <div className="text-lg font-semibold">Completed needs</div>
+      <div className="text-xs text-slate-500 mt-1">Paid needs … what was set aside vs. what was actually spent.</div>
 
-    setSaveStatus("Saving…");
-    const t = setTimeout(async () => {
-      const userId = session.user.id;
-      const payload = { user_id: userId, state, updated_at: new Date().toISOString() };
-      const { error } = await supabase.from("cashflow_states").upsert(payload);
-      setSaveStatus(error ? "Save failed" : "Saved");
-    }, 600);
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="pb-2">Need</th>
+              <th className="pb-2">Paid on</th>
+              <th className="pb-2 text-right">Target</th>
+              <th className="pb-2 text-right">Set aside</th>
+              <th className="pb-2 text-right">Actual</th>
+              <th className="pb-2 text-right">Vs. target</th>
+              <th className="pb-2">Left over</th>
+              <th className="pb-2" />
+            </tr>
+          </thead>
+          <tbody className="text-slate-800">
+            {needs.map((n) => {
+              const st = needSettlement(n);
+              return (
+                <tr key={n.id} className="border-t">
+                  <td className="py-2 pr-2 font-semibold">{n.name || "Unnamed need"}</td>
+                  <td className="py-2 pr-2 whitespace-nowrap">{n.paidOn}</td>
+                  <td className="py-2 pr-2 text-right">{fmtMoney(toNumber(n.target), money)}</td>
+                  <td className="py-2 pr-2 text-right">{fmtMoney(st.funded, money)}</td>
+                  <td className="py-2 pr-2 text-right">{fmtMoney(st.actual, money)}</td>
+                  <td className={"py-2 pr-2 text-right " + (st.vsTarget > 0 ? "text-red-700" : "text-emerald-700")}>
+                    {st.vsTarget > 0 ? "+" : ""}
+                    {fmtMoney(st.vsTarget, money)}
+                  </td>
+                  <td className="py-2 pr-2 text-xs text-slate-500 whitespace-nowrap">
+                    {st.shortfall > 0
+                      ? `Short ${fmtMoney(st.shortfall, money)}`
+                      : `${fmtMoney(st.leftover, money)} → ${n.leftoverTo === "wealth" ? "Wealth Creation" : "Family Office"}`}
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button type="button" onClick={() => onReopen(n.id)} className="text-xs font-semibold rounded-xl border px-2 py-1 mr-2 hover:bg-slate-50">
+                      Reopen
+                    </button>
+                    <button type="button" onClick={() => onRemove(n.id)} className="text-slate-500 hover:text-slate-900" title="Remove">
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
-    return () => clearTimeout(t);
-  }, [state, session]);
+// ---------- Accounts ----------
+function AccountsTool({ accounts, setAccounts, rules, setRules, businesses, setBusinesses, settings, setSettings }) {
+  const base = baseCurrency(settings);
+  const foreign = foreignCurrencies(accounts, settings);
+  const missing = missingRates(accounts, settings);
+  const rounding = { ...DEFAULT_ROUNDING, ...(settings?.rounding || {}) };
 
-  async function signOut() {
-    if (!supabase) return;
-    await supabase.auth.signOut();
-    setSession(null);
-    setState(defaultState());
+  function addAccount() {
+    setAccounts((list) => [...list, { id: makeId(), name: "", type: "other", institution: "", last4: "", currency: "" }]);
   }
 
-  if (loading) return <div className="min-h-screen bg-slate-50 p-6">Loading…</div>;
-  if (!session) return <AuthGate />;
+  function updateAccount(id, patch) {
+    setAccounts((list) => list.map((a) => (a.id === id ? { ...a, ...patch } : a)));
+  }
 
-  // ---- state helpers ----
-  const month = state.month;
-  const activeTool = state.activeTool;
+  function removeAccount(id) {
+    setAccounts((list) => list.filter((a) => a.id !== id));
+  }
 
-  function setMonth(next) {
-    setState((s) => ({ ...s, month: typeof next === "function" ? next(s.month) : next }));
+  function setRule(stepKey, patch) {
+    setRules((r) => ({ ...r, [stepKey]: { ...(r[stepKey] || {}), ...patch } }));
   }
 
-  function setActiveTool(next) {
-    setState((s) => ({ ...s, activeTool: next }));
+  // Working Capital steps are per business; unset ones fall back to the global rule
+  function businessRule(business, stepKey) {
+    return business.transferRules?.[stepKey] || rules[stepKey];
   }
 
-  function getDone(tool) {
-    return state.transferDone?.[month]?.[tool] || {};
+  function setBusinessRule(businessId, stepKey, patch) {
+    setBusinesses((list) =>
+      list.map((b) => {
+        if (b.id !== businessId) return b;
+        const current = businessRule(b, stepKey) || {};
+        return { ...b, transferRules: { ...(b.transferRules || {}), [stepKey]: { ...current, ...patch } } };
+      })
+    );
   }
 
-  function toggleDone(tool, key, val) {
-    setState((prev) => {
-      const m = prev.transferDone?.[month] || {};
-      const t = m?.[tool] || {};
-      return {
-        ...prev,
-        transferDone: {
-          ...(prev.transferDone || {}),
-          [month]: {
-            ...m,
-            [tool]: { ...t, [key]: val },
-          },
-        },
-      };
-    });
+  function setRounding(patch) {
+    setSettings((s) => ({ ...s, rounding: { ...DEFAULT_ROUNDING, ...(s.rounding || {}), ...patch } }));
   }
 
-  function markAllDone(tool, rows) {
-    setState((prev) => {
-      const m = prev.transferDone?.[month] || {};
-      const t = m?.[tool] || {};
-      const nextTool = { ...t };
-      rows.forEach((r) => (nextTool[r.key] = true));
-      return {
-        ...prev,
-        transferDone: {
-          ...(prev.transferDone || {}),
-          [month]: {
-            ...m,
-            [tool]: nextTool,
-          },
-        },
-      };
-    });
+  function setRate(code, value) {
+    setSettings((s) => ({ ...s, exchangeRates: { ...(s.exchangeRates || {}), [code]: value } }));
   }
 
-  const email = session.user.email || "Signed in";
+  const usedRules = [rules, ...businesses.map((b) => b.transferRules)];
 
-  return (
-    <div className="min-h-screen bg-slate-50 p-4 md:p-6">
-      <div className="max-w-7xl mx-auto space-y-4">
-        <TopBar
-          email={email}
-          saveStatus={saveStatus}
-          month={month}
-          setMonth={setMonth}
-          activeTool={activeTool}
-          setActiveTool={setActiveTool}
-          onLogout={signOut}
-        />
+  const accountSelect = (value, onChange) => (
+    <select value={value || ""} onChange={(e) => onChange(e.target.value)} className="border rounded-xl px-3 py-2 bg-white w-full">
+      {!accounts.some((a) => a.id === value) ? <option value="">Choose account…</option> : null}
+      {accounts.map((a) => (
+        <option key={a.id} value={a.id}>{accountLabel(a)}</option>
+      ))}
+    </select>
+  );
 
-        {activeTool === "home" ? (
-          <div className="rounded-3xl border bg-white p-6">
-            <div className="text-2xl font-semibold">What are we working on today?</div>
-            <div className="text-sm text-slate-600 mt-1">Do Working Capital first … then Cash Flow … done in ~10 minutes.</div>
-            <div className="mt-6">
-              <HomeChooser onPick={setActiveTool} />
-            </div>
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <div className="text-lg font-semibold">Accounts</div>
+            <div className="text-xs text-slate-500 mt-1">Your chart of accounts … used to name every transfer instruction.</div>
           </div>
-        ) : null}
-
-        {activeTool === "workingCapital" ? (
-          <WorkingCapitalTool
-            month={month}
-            wc={state.workingCapital}
-            setWc={(fn) => setState((s) => ({ ...s, workingCapital: typeof fn === "function" ? fn(s.workingCapital) : fn }))}
-            onSuggestBusinessIn={(amount) => setState((s) => ({ ...s, suggestedBusinessIn: amount }))}
-            doneMap={getDone("workingCapital")}
-            onToggleDone={(key, val) => toggleDone("workingCapital", key, val)}
-            onMarkAllDone={() =>
-              markAllDone("workingCapital", [
-                { key: "wc_reserve" },
-                { key: "wc_familyOffice" },
-              ])
-            }
-          />
-        ) : null}
-
-        {activeTool === "cashflow" ? (
-          <CashflowTool
-            month={month}
-            cf={state.cashflow}
-            setCf={(fn) => setState((s) => ({ ...s, cashflow: typeof fn === "function" ? fn(s.cashflow) : fn }))}
-            suggestedBusinessIn={state.suggestedBusinessIn}
-            doneMap={getDone("cashflow")}
-            onToggleDone={(key, val) => toggleDone("cashflow", key, val)}
-            onMarkAllDone={() =>
-              markAllDone("cashflow", [
-                { key: "cf_giving" },
-                { key: "cf_lifestyle" },
-                { key: "cf_needs" },
-                { key: "cf_wealth" },
-              ])
-            }
-          />
-        ) : null}
+          <button type="button" onClick={addAccount} className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50">
+            + Add account
+          </button>
+        </div>
 
-        <div className="text-xs text-slate-500 text-center pt-2">V2 … behind login … per-user saved state …</div>
-      </div>
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="pb-2">Name</th>
+                <th className="pb-2">Type</th>
+                <th className="pb-2">Institution</th>
+                <th className="pb-2">Last 4</th>
+                <th className="pb-2">Currency</th>
+                <th className="pb-2" />
+              </tr>
+            </thead>
+            <tbody className="text-slate-800">
+              {accounts.map((a) => {
+                const inUse = usedRules.some((r) => accountInUse(r, a.id));
+                return (
+                  <tr key={a.id} className="border-t">
+                    <td className="py-2 pr-2">
+                      <input
+                        value={a.name}
+                        onChange={(e) => updateAccount(a.id, { name: e.target.value })}
+                        placeholder="e.g. Acme Operating"
+                        className={"border rounded-xl px-3 py-2 w-full bg-white " + (isEmptyValue(a.name) ? "border-amber-400 bg-amber-50" : "")}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <select value={a.type} onChange={(e) => updateAccount(a.id, { type: e.target.value })} className="border rounded-xl px-3 py-2 bg-white">
+                        {ACCOUNT_TYPES.map((t) => (
+                          <option key={t.value} value={t.value}>{t.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2 pr-2">
+                      <input
+                        value={a.institution}
+                        onChange={(e) => updateAccount(a.id, { institution: e.target.value })}
+                        placeholder="Bank"
+                        className="border rounded-xl px-3 py-2 w-full bg-white"
+                      />
+                    </td>
+                    <td className="py-2 pr-2 w-[110px]">
+                      <input
+                        value={a.last4}
+                        onChange={(e) => updateAccount(a.id, { last4: e.target.value.replace(/[^0-9]/g, "").slice(0, 4) })}
+                        placeholder="1234"
+                        inputMode="numeric"
+                        className="border rounded-xl px-3 py-2 w-full bg-white"
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <select
+                        value={a.currency || ""}
+                        onChange={(e) => updateAccount(a.id, { currency: e.target.value })}
+                        className="border rounded-xl px-3 py-2 bg-white"
+                      >
+                        <option value="">{base} (base)</option>
+                        {CURRENCIES.filter((c) => c.code !== base).map((c) => (
+                          <option key={c.code} value={c.code}>{c.code}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => removeAccount(a.id)}
+                        disabled={inUse}
+                        className="text-slate-500 hover:text-slate-900 disabled:opacity-30 disabled:cursor-not-allowed"
+                        title={inUse ? "Used by a transfer rule" : "Remove"}
+                      >
+                        ×
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-lg font-semibold">Currency &amp; rounding</div>
+        <div className="text-xs text-slate-500 mt-1">
+          Totals, goals and transfers are in the base currency. Balances of accounts in another currency convert at the rates below.
+        </div>
+
+        <div className="mt-4 grid gap-3 md:grid-cols-2">
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Base currency</div>
+            <select
+              value={base}
+              onChange={(e) => setSettings((s) => ({ ...s, baseCurrency: e.target.value }))}
+              className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+            >
+              {CURRENCIES.map((c) => (
+                <option key={c.code} value={c.code}>{c.code} · {c.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Number format</div>
+            <select
+              value={settings?.locale || ""}
+              onChange={(e) => setSettings((s) => ({ ...s, locale: e.target.value }))}
+              className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+            >
+              {LOCALES.map((l) => (
+                <option key={l.value} value={l.value}>{l.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Round suggested amounts to</div>
+            <select
+              value={rounding.unit}
+              onChange={(e) => setRounding({ unit: e.target.value })}
+              className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+            >
+              {ROUNDING_UNITS.map((u) => (
+                <option key={u.value} value={u.value}>{u.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Transfers</div>
+            <select
+              value={rounding.transfers}
+              onChange={(e) => setRounding({ transfers: e.target.value })}
+              className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+            >
+              {TRANSFER_ROUNDING.map((r) => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Typed amounts are used as typed. Excess to Wealth Creation takes whatever rounding leaves, so the Cash Flow transfers add up to
+          the inflow exactly.
+        </div>
+
+        {foreign.length ? (
+          <div className="mt-4 space-y-2">
+            <div className="text-xs font-semibold text-slate-500">Exchange rates</div>
+            {foreign.map((c) => (
+              <div key={c.code} className="flex items-center gap-3 text-sm">
+                <span className="whitespace-nowrap">1 {c.code} =</span>
+                <div className="w-48">
+                  <MoneyInput value={settings?.exchangeRates?.[c.code] ?? ""} onChange={(v) => setRate(c.code, v)} decimals={6} required />
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : null}
+        {missing.length ? (
+          <div className="mt-3 rounded-xl border border-amber-300 bg-amber-50 p-3 text-sm text-amber-900">
+            No rate for {missing.join(", ")} yet … those balances count at face value.
+          </div>
+        ) : null}
+      </div>
+
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-lg font-semibold">Transfer rules</div>
+        <div className="text-xs text-slate-500 mt-1">Pick the source and destination account for each step of the waterfall.</div>
+
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="pb-2">Tool</th>
+                <th className="pb-2">Step</th>
+                <th className="pb-2">From</th>
+                <th className="pb-2">To</th>
+              </tr>
+            </thead>
+            <tbody className="text-slate-800">
+              {businesses.flatMap((b) =>
+                WATERFALL_STEPS.filter((step) => step.tool === "workingCapital").map((step) => (
+                  <tr key={`${b.id}-${step.key}`} className="border-t">
+                    <td className="py-2 pr-2 text-xs text-slate-500 whitespace-nowrap">Working Capital · {b.name || "Unnamed business"}</td>
+                    <td className="py-2 pr-2 font-semibold">{step.label}</td>
+                    <td className="py-2 pr-2">{accountSelect(businessRule(b, step.key)?.from, (v) => setBusinessRule(b.id, step.key, { from: v }))}</td>
+                    <td className="py-2 pr-2">{accountSelect(businessRule(b, step.key)?.to, (v) => setBusinessRule(b.id, step.key, { to: v }))}</td>
+                  </tr>
+                ))
+              )}
+              {WATERFALL_STEPS.filter((step) => step.tool === "cashflow").map((step) => (
+                <tr key={step.key} className="border-t">
+                  <td className="py-2 pr-2 text-xs text-slate-500 whitespace-nowrap">Cash Flow</td>
+                  <td className="py-2 pr-2 font-semibold">{step.label}</td>
+                  <td className="py-2 pr-2">{accountSelect(rules[step.key]?.from, (v) => setRule(step.key, { from: v }))}</td>
+                  <td className="py-2 pr-2">{accountSelect(rules[step.key]?.to, (v) => setRule(step.key, { to: v }))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Settings ----------
+// Per-user planning rules; in a what-if they edit the scenario's copy
+function SettingsTool({ settings, setSettings, inScenario }) {
+  const money = useMoneyFormat();
+  const rules = planRules({ settings });
+  const saved = settings?.rules || {};
+  const horizon = needsHorizon({ settings });
+
+  function setRule(key, value) {
+    setSettings((s) => ({ ...s, rules: { ...(s.rules || {}), [key]: value } }));
+  }
+
+  const numberField = (key, label, hint, unit) => (
+    <div>
+      <div className="text-xs font-semibold text-slate-500">{label}</div>
+      <div className="mt-2">
+        <NumberInput
+          value={saved[key] ?? ""}
+          onChange={(v) => setRule(key, v)}
+          placeholder={formatAmount(DEFAULT_RULES[key], money)}
+          unit={unit}
+          max={RULE_LIMITS[key]}
+        />
+      </div>
+      <div className="mt-1 text-xs text-slate-500">
+        {hint} (up to {formatAmount(RULE_LIMITS[key], money)})
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-lg font-semibold">Planning rules</div>
+        <div className="text-xs text-slate-500 mt-1">
+          {inScenario ? "These apply to the open what-if only … your plan keeps its own." : "Used by Working Capital, Cash Flow and the projection."}
+        </div>
+
+        <div className="mt-4 grid gap-4 md:grid-cols-2">
+          {numberField(
+            "emergencyMonths",
+            "Emergency minimum",
+            `Kept in the Family Office … ${rules.emergencyMonths}× monthly lifestyle spend`,
+            "× lifestyle"
+          )}
+          {numberField(
+            "lifestyleTargetMonths",
+            "Lifestyle target balance",
+            `Lifestyle checking is topped up to ${rules.lifestyleTargetMonths}× monthly spend`,
+            "× spend"
+          )}
+          {numberField("bufferDays", "Default buffer days (business)", "Used when a business leaves buffer days blank", "days")}
+          {numberField("reserveDays", "Default reserve days (personal)", "Used when a business leaves reserve days blank", "days")}
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Needs worth tracking</div>
+            <div className="mt-2">
+              <MoneyInput value={saved.needsThreshold ?? ""} onChange={(v) => setRule("needsThreshold", v)} placeholder={String(DEFAULT_RULES.needsThreshold)} />
+            </div>
+            <div className="mt-1 text-xs text-slate-500">Cash needs over {fmtMoney(rules.needsThreshold, money)} belong in Upcoming Cash Needs</div>
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-slate-500">Needs horizon</div>
+            <select
+              value={horizon}
+              onChange={(e) => setSettings((s) => ({ ...s, needsHorizonMonths: Number(e.target.value) }))}
+              className="mt-2 border rounded-xl px-3 py-2 w-full bg-white"
+            >
+              {(NEEDS_HORIZONS.includes(horizon) ? NEEDS_HORIZONS : [...NEEDS_HORIZONS, horizon]).map((h) => (
+                <option key={h} value={h}>{h} months ahead</option>
+              ))}
+            </select>
+            <div className="mt-1 text-xs text-slate-500">How far ahead needs are funded</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------- History ----------
+function historyRows(months) {
+  return Object.keys(months || {})
+    .sort((a, b) => monthDiff(b, a))
+    .map((m) => {
+      const d = months[m] || {};
+      const wcRes = d.results?.workingCapital;
+      const cfRes = d.results?.cashflow;
+      return {
+        month: m,
+        businessChecking: wcRes?.businessBalance ?? null,
+        wcGoal: wcRes?.wcGoal ?? null,
+        reserveBalance: wcRes?.reserveBalance ?? null,
+        reserveGoal: wcRes?.reserveGoal ?? null,
+        inflow: cfRes?.inflow ?? null,
+        giving: cfRes?.givingAmount ?? null,
+        lifestyle: cfRes?.lifestyle ?? null,
+        excess: cfRes?.excess ?? null,
+      };
+    });
+}
+
+const CHART_W = 560;
+const CHART_H = 180;
+const CHART_PAD = 8;
+
+function TrendChart({ title, labels, series }) {
+  const money = useMoneyFormat();
+  const all = series.flatMap((s) => s.values).filter((v) => v !== null);
+  const min = Math.min(0, ...all);
+  const max = Math.max(1, ...all);
+  const x = (i) => (labels.length <= 1 ? CHART_W / 2 : CHART_PAD + (i * (CHART_W - 2 * CHART_PAD)) / (labels.length - 1));
+  const y = (v) => CHART_H - CHART_PAD - ((v - min) * (CHART_H - 2 * CHART_PAD)) / (max - min);
+
+  // Break lines where a month has no value so gaps stay visible
+  function segments(values) {
+    const out = [];
+    let cur = [];
+    values.forEach((v, i) => {
+      if (v === null) {
+        if (cur.length) out.push(cur);
+        cur = [];
+      } else {
+        cur.push([x(i), y(v)]);
+      }
+    });
+    if (cur.length) out.push(cur);
+    return out;
+  }
+
+  return (
+    <div className="rounded-2xl border bg-white p-4">
+      <div className="text-sm font-semibold">{title}</div>
+      <div className="mt-2 flex flex-wrap gap-4 text-xs">
+        {series.map((s) => {
+          const known = s.values.filter((v) => v !== null);
+          const last = known[known.length - 1];
+          const prior = known[known.length - 2];
+          const change = last !== undefined && prior !== undefined ? last - prior : null;
+          return (
+            <div key={s.label} className="flex items-center gap-2">
+              <span className={`inline-block h-2 w-4 rounded-full ${s.swatch}`} />
+              <span className="text-slate-600">{s.label}</span>
+              <span className="font-semibold text-slate-900">{last !== undefined ? fmtMoney(last, money) : "—"}</span>
+              {change !== null ? (
+                <span className={change >= 0 ? "text-emerald-700" : "text-red-700"}>
+                  {change >= 0 ? "▲" : "▼"} {fmtMoney(Math.abs(change), money)}
+                </span>
+              ) : null}
+            </div>
+          );
+        })}
+      </div>
+      <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="mt-3 w-full h-44" preserveAspectRatio="none">
+        {min < 0 ? <line x1={0} x2={CHART_W} y1={y(0)} y2={y(0)} className="stroke-slate-300" strokeDasharray="4 4" /> : null}
+        {series.map((s) =>
+          segments(s.values).map((pts, i) =>
+            pts.length === 1 ? (
+              <circle key={`${s.label}-${i}`} cx={pts[0][0]} cy={pts[0][1]} r={3} className={s.fill} />
+            ) : (
+              <polyline key={`${s.label}-${i}`} points={pts.map((p) => p.join(",")).join(" ")} fill="none" strokeWidth={2} className={s.stroke} />
+            )
+          )
+        )}
+      </svg>
+      <div className="mt-1 flex justify-between text-[11px] text-slate-500">
+        <span>{labels[0]}</span>
+        <span>{labels[labels.length - 1]}</span>
+      </div>
+    </div>
+  );
+}
+
+const SERIES_STYLE = {
+  primary: { stroke: "stroke-slate-900", fill: "fill-slate-900", swatch: "bg-slate-900" },
+  goal: { stroke: "stroke-amber-500", fill: "fill-amber-500", swatch: "bg-amber-500" },
+  good: { stroke: "stroke-emerald-600", fill: "fill-emerald-600", swatch: "bg-emerald-600" },
+  alt: { stroke: "stroke-sky-600", fill: "fill-sky-600", swatch: "bg-sky-600" },
+};
+
+function HistoryTool({ months }) {
+  const money = useMoneyFormat();
+  const rows = historyRows(months);
+  const labels = rows.map((r) => r.month);
+  const pick = (key) => rows.map((r) => r[key]);
+
+  if (rows.length === 0) {
+    return (
+      <div className="rounded-2xl border bg-white p-5 text-sm text-slate-500">
+        No saved months yet. Complete Working Capital and Cash Flow for a month to start building history.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-lg font-semibold">History</div>
+        <div className="text-xs text-slate-500 mt-1">
+          Month-over-month trends from each saved month. Goals and transfers are the figures the tools showed at the time.
+        </div>
+      </div>
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        <TrendChart
+          title="Business Checking vs. Working Capital Goal (all businesses)"
+          labels={labels}
+          series={[
+            { label: "Business Checking", values: pick("businessChecking"), ...SERIES_STYLE.primary },
+            { label: "WC goal", values: pick("wcGoal"), ...SERIES_STYLE.goal },
+          ]}
+        />
+        <TrendChart
+          title="Business Reserve vs. Reserve Goal (all businesses)"
+          labels={labels}
+          series={[
+            { label: "Reserve balance", values: pick("reserveBalance"), ...SERIES_STYLE.primary },
+            { label: "Reserve goal", values: pick("reserveGoal"), ...SERIES_STYLE.goal },
+          ]}
+        />
+        <TrendChart
+          title="Inflow, Giving and Lifestyle"
+          labels={labels}
+          series={[
+            { label: "Total inflow", values: pick("inflow"), ...SERIES_STYLE.primary },
+            { label: "Giving", values: pick("giving"), ...SERIES_STYLE.alt },
+            { label: "Lifestyle", values: pick("lifestyle"), ...SERIES_STYLE.goal },
+          ]}
+        />
+        <TrendChart
+          title="Wealth Creation (excess)"
+          labels={labels}
+          series={[{ label: "Excess", values: pick("excess"), ...SERIES_STYLE.good }]}
+        />
+      </div>
+
+      <div className="rounded-2xl border bg-white p-4">
+        <div className="text-sm font-semibold">By month</div>
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="pb-2">Month</th>
+                <th className="pb-2 text-right">Business Checking</th>
+                <th className="pb-2 text-right">WC goal</th>
+                <th className="pb-2 text-right">Reserve</th>
+                <th className="pb-2 text-right">Reserve goal</th>
+                <th className="pb-2 text-right">Inflow</th>
+                <th className="pb-2 text-right">Giving</th>
+                <th className="pb-2 text-right">Lifestyle</th>
+                <th className="pb-2 text-right">Excess</th>
+              </tr>
+            </thead>
+            <tbody className="text-slate-800">
+              {rows.map((r) => (
+                <tr key={r.month} className="border-t">
+                  <td className="py-2 pr-2 font-semibold whitespace-nowrap">{r.month}</td>
+                  {["businessChecking", "wcGoal", "reserveBalance", "reserveGoal", "inflow", "giving", "lifestyle", "excess"].map((k) => (
+                    <td
+                      key={k}
+                      className={
+                        "py-2 pr-2 text-right whitespace-nowrap " +
+                        (k === "excess" && r[k] !== null ? (r[k] >= 0 ? "text-emerald-700" : "text-red-700") : "")
+                      }
+                    >
+                      {r[k] === null ? "—" : fmtMoney(r[k], money)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Projection ----------
+function ProjectionTool({ state, month }) {
+  const money = useMoneyFormat();
+  const projection = projectCashflow(state, month);
+  if (!projection) {
+    return (
+      <div className="rounded-2xl border bg-white p-5 text-sm text-slate-600">
+        Start {month} in Working Capital or Cash Flow first … the projection rolls that month’s inputs forward.
+      </div>
+    );
+  }
+
+  const { months } = projection;
+  const labels = months.map((r) => r.month);
+  const flagged = months.filter((r) => r.flags.length);
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-lg font-semibold">Next {months.length} months</div>
+        <div className="text-xs text-slate-500 mt-1">
+          {month}’s inputs and rules rolled forward: the same W-2 and Business Cash In (plus whatever stops going to reserve top-offs once
+          reserves are full), the same giving and lifestyle, needs funded by your strategy and paid at target when due. Edit this month to
+          see the effect.
+        </div>
+
+        {flagged.length ? (
+          <div className="mt-4 rounded-xl border border-rose-300 bg-rose-50 p-3 text-sm text-slate-800">
+            <div className="font-semibold">
+              {flagged.length} month{flagged.length === 1 ? "" : "s"} need attention
+            </div>
+            <ul className="mt-1 list-disc pl-5 text-xs text-slate-700">
+              {flagged.flatMap((r) =>
+                r.flags.map((f) => (
+                  <li key={`${r.month}-${f.kind}-${f.message}`}>
+                    {r.month}: {f.message}
+                  </li>
+                ))
+              )}
+            </ul>
+          </div>
+        ) : (
+          <div className="mt-4 rounded-xl border border-emerald-300 bg-emerald-50 p-3 text-sm text-slate-800">
+            Every month covers giving and lifestyle, and every need is fully funded by its due month.
+          </div>
+        )}
+      </div>
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        <TrendChart
+          title="Projected Family Office balance"
+          labels={labels}
+          series={[
+            { label: "Family Office", values: months.map((r) => r.familyOfficeBalance), ...SERIES_STYLE.primary },
+            { label: "Set aside for needs", values: months.map((r) => r.setAside), ...SERIES_STYLE.goal },
+          ]}
+        />
+        <TrendChart
+          title="Inflow vs. what it has to cover"
+          labels={labels}
+          series={[
+            { label: "Inflow", values: months.map((r) => r.inflow), ...SERIES_STYLE.primary },
+            { label: "Giving + lifestyle", values: months.map((r) => r.giving + r.lifestyle), ...SERIES_STYLE.goal },
+            { label: "To Wealth Creation", values: months.map((r) => r.toWealth), ...SERIES_STYLE.good },
+          ]}
+        />
+      </div>
+
+      <div className="rounded-2xl border bg-white p-4">
+        <div className="text-sm font-semibold">By month</div>
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="py-2 pr-3 font-medium">Month</th>
+                <th className="py-2 pr-3 font-medium text-right">Inflow</th>
+                <th className="py-2 pr-3 font-medium text-right">Giving</th>
+                <th className="py-2 pr-3 font-medium text-right">Lifestyle</th>
+                <th className="py-2 pr-3 font-medium text-right">After required</th>
+                <th className="py-2 pr-3 font-medium text-right">Needs set aside</th>
+                <th className="py-2 pr-3 font-medium">Needs paid</th>
+                <th className="py-2 pr-3 font-medium text-right">Reserve top-off</th>
+                <th className="py-2 pr-3 font-medium text-right">To Wealth</th>
+                <th className="py-2 pr-3 font-medium text-right">Family Office</th>
+              </tr>
+            </thead>
+            <tbody>
+              {months.map((r) => (
+                <tr key={r.month} className={"border-t align-top " + (r.flags.length ? "bg-rose-50" : "")}>
+                  <td className="py-2 pr-3 whitespace-nowrap font-medium">{r.month}</td>
+                  <td className="py-2 pr-3 text-right">{fmtMoney(r.inflow, money)}</td>
+                  <td className="py-2 pr-3 text-right">{fmtMoney(r.giving, money)}</td>
+                  <td className="py-2 pr-3 text-right">{fmtMoney(r.lifestyle, money)}</td>
+                  <td className={"py-2 pr-3 text-right " + (r.availableAfterRequired < 0 ? "text-red-700 font-semibold" : "")}>
+                    {fmtMoney(r.availableAfterRequired, money)}
+                  </td>
+                  <td className="py-2 pr-3 text-right">{fmtMoney(r.needsFunding, money)}</td>
+                  <td className="py-2 pr-3 text-xs">
+                    {r.payouts.length
+                      ? r.payouts.map((p) => (
+                          <div key={p.id} className={p.shortfall > 0.5 ? "text-red-700" : "text-slate-600"}>
+                            {p.name || "Unnamed need"} {fmtMoney(p.target, money)}
+                            {p.shortfall > 0.5 ? ` (short ${fmtMoney(p.shortfall, money)})` : ""}
+                          </div>
+                        ))
+                      : "—"}
+                  </td>
+                  <td className="py-2 pr-3 text-right">{r.moveToReserve > 0 ? fmtMoney(r.moveToReserve, money) : "—"}</td>
+                  <td className="py-2 pr-3 text-right">{fmtMoney(r.toWealth, money)}</td>
+                  <td className={"py-2 pr-3 text-right font-semibold " + (r.familyOfficeBalance < 0 ? "text-red-700" : "")}>
+                    {fmtMoney(r.familyOfficeBalance, money)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Family Office starts at {fmtMoney(projection.start, money)} (
+          {projection.startsFrom === "balance" ? "today’s balance" : "what is already set aside for open needs"}); money swept to Wealth Creation
+          leaves it.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Scenarios ----------
+function ScenariosTool({ state, month, activeId, onCreate, onOpen, onRename, onRemove, onPromote }) {
+  const money = useMoneyFormat();
+  const [name, setName] = React.useState("");
+  const [promoting, setPromoting] = React.useState(null);
+  const scenarios = (state.scenarios || []).filter((x) => x.month === month);
+  const others = (state.scenarios || []).length - scenarios.length;
+  const comparisons = scenarios.map((x) => ({ scenario: x, rows: compareScenario(state, x) }));
+  const metrics = comparisons[0]?.rows || [];
+  const fmt = (m, v) => (m.count ? String(v) : fmtMoney(v, money));
+
+  function create() {
+    onCreate(name.trim() || `Scenario ${scenarios.length + 1}`);
+    setName("");
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-lg font-semibold">What-if scenarios · {month}</div>
+        <div className="text-xs text-slate-500 mt-1">
+          A scenario copies {month}’s inputs, businesses and settings. Open it and change anything in Working Capital or Cash Flow … W-2
+          down 30%, buffer days at 60 … your real plan stays as it is until you promote a scenario.
+        </div>
+        {state.months?.[month] ? (
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={`Scenario ${scenarios.length + 1}`}
+              className="border rounded-xl px-3 py-2 bg-white text-sm"
+            />
+            <button type="button" onClick={create} className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800">
+              New scenario from {month}
+            </button>
+          </div>
+        ) : (
+          <div className="mt-4 text-sm text-slate-600">Start {month} in Working Capital or Cash Flow first.</div>
+        )}
+        {others > 0 ? <div className="mt-2 text-xs text-slate-500">{others} more in other months … switch month to see them.</div> : null}
+      </div>
+
+      {comparisons.length ? (
+        <div className="rounded-2xl border bg-white p-4">
+          <div className="text-sm font-semibold">Compared with the plan</div>
+          <div className="mt-3 overflow-x-auto">
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="text-left text-slate-500 align-bottom">
+                  <th className="py-2 pr-3 font-medium" />
+                  <th className="py-2 pr-3 font-medium text-right">Plan</th>
+                  {comparisons.map(({ scenario }) => (
+                    <th key={scenario.id} className="py-2 pr-3 font-medium text-right min-w-[11rem]">
+                      <input
+                        value={scenario.name}
+                        onChange={(e) => onRename(scenario.id, e.target.value)}
+                        className="w-full border rounded-lg px-2 py-1 text-right text-sm font-semibold text-slate-900"
+                      />
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {metrics.map((m, i) => (
+                  <React.Fragment key={m.key}>
+                    {i === 0 || metrics[i - 1].group !== m.group ? (
+                      <tr>
+                        <td colSpan={2 + comparisons.length} className="pt-3 pb-1 text-xs font-semibold text-slate-500">
+                          {m.group}
+                        </td>
+                      </tr>
+                    ) : null}
+                    <tr className="border-t">
+                      <td className="py-1 pr-3">{m.label}</td>
+                      <td className="py-1 pr-3 text-right">{fmt(m, m.baseline)}</td>
+                      {comparisons.map(({ scenario, rows }) => {
+                        const row = rows[i];
+                        const changed = toCents(row.delta) !== 0;
+                        return (
+                          <td key={scenario.id} className="py-1 pr-3 text-right">
+                            <span className="font-semibold">{fmt(m, row.scenario)}</span>
+                            {changed ? (
+                              <span className="ml-1 text-xs text-slate-500">
+                                ({row.delta > 0 ? "+" : "−"}
+                                {fmt(m, Math.abs(row.delta))})
+                              </span>
+                            ) : null}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  </React.Fragment>
+                ))}
+                <tr className="border-t">
+                  <td className="pt-3" colSpan={2} />
+                  {comparisons.map(({ scenario }) => (
+                    <td key={scenario.id} className="pt-3 pr-3 text-right">
+                      <div className="flex flex-wrap justify-end gap-1">
+                        <button
+                          type="button"
+                          onClick={() => onOpen(scenario.id)}
+                          className={
+                            "text-xs font-semibold rounded-lg border px-2 py-1 " +
+                            (scenario.id === activeId ? "bg-amber-100 border-amber-300" : "bg-white hover:bg-slate-50")
+                          }
+                        >
+                          {scenario.id === activeId ? "Editing" : "Edit"}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setPromoting(scenario.id)}
+                          className="text-xs font-semibold rounded-lg border px-2 py-1 bg-white hover:bg-slate-50"
+                        >
+                          Promote
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onRemove(scenario.id)}
+                          className="text-xs font-semibold rounded-lg border px-2 py-1 bg-white hover:bg-slate-50"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : null}
+
+      {promoting && scenarios.some((x) => x.id === promoting) ? (
+        <div className="rounded-2xl border border-amber-300 bg-amber-50 p-4 text-sm text-slate-800">
+          <div className="font-semibold">Make “{scenarios.find((x) => x.id === promoting).name}” your plan for {month}?</div>
+          <div className="mt-1 text-xs text-slate-600">
+            Its inputs, businesses and settings replace the plan’s. Transfers you already recorded and your actual spend stay. Undo takes
+            it back.
+          </div>
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                onPromote(promoting);
+                setPromoting(null);
+              }}
+              className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800"
+            >
+              Promote to plan
+            </button>
+            <button type="button" onClick={() => setPromoting(null)} className="text-sm font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// ---------- Activity ----------
+function ActivityTool({ storage, month }) {
+  const [entries, setEntries] = React.useState(null);
+  const [error, setError] = React.useState("");
+  const [refreshKey, setRefreshKey] = React.useState(0);
+
+  React.useEffect(() => {
+    if (!storage?.loadLog) return;
+    let cancelled = false;
+    storage
+      .loadLog({ month })
+      .then((list) => {
+        if (cancelled) return;
+        setEntries(list);
+        setError("");
+      })
+      .catch(() => !cancelled && setError("Couldn’t load the change log."));
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, month, refreshKey]);
+
+  return (
+    <div className="rounded-2xl border bg-white p-5">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-lg font-semibold">Activity · {month}</div>
+          <div className="text-xs text-slate-500 mt-1">
+            Every saved change to this month, plus account, rule and settings changes. Newest first; entries are never edited or removed.
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => setRefreshKey((k) => k + 1)}
+          className="text-sm font-semibold rounded-xl border px-3 py-2 hover:bg-slate-50"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error ? <div className="mt-3 text-sm text-rose-700">{error}</div> : null}
+
+      {!entries ? (
+        <div className="mt-3 text-sm text-slate-500">{storage?.loadLog ? "Loading…" : "No change log for this storage."}</div>
+      ) : entries.length === 0 ? (
+        <div className="mt-3 text-sm text-slate-500">No changes recorded for {month} yet.</div>
+      ) : (
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="py-2 pr-3 font-medium">When</th>
+                <th className="py-2 pr-3 font-medium">Who</th>
+                <th className="py-2 pr-3 font-medium">What</th>
+                <th className="py-2 pr-3 font-medium">From</th>
+                <th className="py-2 pr-3 font-medium">To</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((e, i) => (
+                <tr key={`${e.at}-${e.path}-${i}`} className="border-t align-top">
+                  <td className="py-2 pr-3 whitespace-nowrap text-slate-600">{new Date(e.at).toLocaleString()}</td>
+                  <td className="py-2 pr-3 text-slate-600">{e.actor || "—"}</td>
+                  <td className="py-2 pr-3">
+                    {describePath(e.path)}
+                    {e.month ? null : <span className="ml-1 text-xs text-slate-400">(all months)</span>}
+                  </td>
+                  <td className="py-2 pr-3 text-slate-600">{formatValue(e.from)}</td>
+                  <td className="py-2 pr-3 font-medium">{formatValue(e.to)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Printable instructions ----------
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Only shown when printing (see the print styles in index.css)
+function InstructionSheet({ sheet }) {
+  const money = useMoneyFormat();
+  return (
+    <div className="hidden print:block text-slate-900">
+      <div className="text-xl font-semibold">This month’s instructions</div>
+      <div className="text-xs text-slate-600">Month {sheet.month} · printed {todayISO()}</div>
+
+      <div className="mt-3 grid grid-cols-2 gap-x-6 gap-y-1 text-sm">
+        {sheet.stats.map((s) => (
+          <div key={s.label} className="flex justify-between border-b border-slate-200 py-0.5">
+            <span>{s.label}</span>
+            <span className="font-semibold">{fmtMoney(s.value, money)}</span>
+          </div>
+        ))}
+      </div>
+
+      {sheet.sections.map((section) => (
+        <div key={section.title} className="mt-4 break-inside-avoid">
+          <div className="text-sm font-semibold">{section.title}</div>
+          <table className="mt-1 w-full text-xs border-collapse">
+            <thead>
+              <tr className="text-left border-b border-slate-400">
+                <th className="py-1 pr-2">Step</th>
+                <th className="py-1 pr-2">Instruction</th>
+                <th className="py-1 pr-2 text-right">Suggested</th>
+                <th className="py-1 pr-2 text-right">Actual</th>
+                <th className="py-1">Done</th>
+              </tr>
+            </thead>
+            <tbody>
+              {section.rows.map((r) => (
+                <tr key={r.key} className="border-b border-slate-200 align-top">
+                  <td className="py-1 pr-2 font-semibold">{r.step}</td>
+                  <td className="py-1 pr-2">
+                    {r.instruction}
+                    {r.date || r.confirmation || r.note ? (
+                      <div className="text-[10px] text-slate-600">
+                        {[r.date, r.confirmation && `#${r.confirmation}`, r.note].filter(Boolean).join(" · ")}
+                      </div>
+                    ) : null}
+                  </td>
+                  <td className="py-1 pr-2 text-right">{fmtMoney(r.suggested, money)}</td>
+                  <td className="py-1 pr-2 text-right">{r.actual === null ? "" : fmtMoney(r.actual, money)}</td>
+                  <td className="py-1">{r.status === "To do" ? "☐" : "☑"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ---------- Backup ----------
+function BackupTool({ state, onRestore }) {
+  const [pending, setPending] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  function download() {
+    downloadFile(`cashflow-backup-${todayISO()}.json`, JSON.stringify(makeBackup(state), null, 2), "application/json");
+  }
+
+  async function pickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setPending(null);
+    setError(null);
+    try {
+      const backup = parseBackup(await file.text());
+      setPending({ name: file.name, ...backup, diff: backupDiff(state, backup.state) });
+    } catch (err) {
+      setError({ message: err.message, problems: err.problems || [] });
+    }
+  }
+
+  function restore(mode) {
+    onRestore(mode === "merge" ? mergeBackup(state, pending.state) : pending.state);
+    setPending(null);
+  }
+
+  const monthList = (list) => (list.length ? list.join(", ") : "none");
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-lg font-semibold">Backup & restore</div>
+        <div className="text-xs text-slate-500 mt-1">
+          A backup is one JSON file with every month, need, recorded transfer, account and setting. Keep it somewhere safe, use it to
+          move to another account, or restore after a bad edit.
+        </div>
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <button
+            type="button"
+            onClick={download}
+            className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800"
+          >
+            Download backup
+          </button>
+          <label className="text-sm font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50 cursor-pointer">
+            Restore from file…
+            <input type="file" accept="application/json,.json" onChange={pickFile} className="hidden" />
+          </label>
+        </div>
+
+        {error ? (
+          <div className="mt-4 rounded-xl border border-rose-300 bg-rose-50 p-3 text-sm text-slate-800">
+            <div className="font-semibold">{error.message}</div>
+            {error.problems.length ? (
+              <ul className="mt-1 list-disc pl-5 text-xs text-slate-600">
+                {error.problems.slice(0, 10).map((p) => (
+                  <li key={p}>{p}</li>
+                ))}
+              </ul>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
+
+      {pending ? (
+        <div className="rounded-2xl border border-amber-300 bg-amber-50 p-5 text-sm text-slate-800">
+          <div className="font-semibold">Restore {pending.name}?</div>
+          <div className="mt-1 text-xs text-slate-600">
+            Backed up {pending.exportedAt ? new Date(pending.exportedAt).toLocaleString() : "at an unknown time"} ·{" "}
+            {Object.keys(pending.state.months).length} months · {pending.diff.fieldCount} values differ from what you have now.
+          </div>
+          <div className="mt-3 grid gap-1 text-xs">
+            <div>Months only in the backup: {monthList(pending.diff.added)}</div>
+            <div>Months only here (removed by Replace): {monthList(pending.diff.removed)}</div>
+            <div>Months that differ: {monthList(pending.diff.changed)}</div>
+            <div>Plan-wide changes: {pending.diff.planChanged.length ? pending.diff.planChanged.join(", ") : "none"}</div>
+          </div>
+          <div className="mt-4 flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() => restore("replace")}
+              className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800"
+            >
+              Replace everything
+            </button>
+            <button
+              type="button"
+              onClick={() => restore("merge")}
+              className="text-sm font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50"
+            >
+              Merge (add only what’s missing here)
+            </button>
+            <button type="button" onClick={() => setPending(null)} className="text-sm font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50">
+              Cancel
+            </button>
+          </div>
+          <div className="mt-2 text-xs text-slate-500">Either way, Undo in the top bar takes it back.</div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// ---------- Bank import ----------
+function BankImportTool({ month, state, onApply }) {
+  const money = useMoneyFormat();
+  // One entry per statement: OFX files can hold several accounts; CSV rows are read through a column mapping
+  const [entries, setEntries] = React.useState([]);
+  const [error, setError] = React.useState("");
+  const [skipped, setSkipped] = React.useState(() => new Set());
+  const [kinds, setKinds] = React.useState({});
+  const [applied, setApplied] = React.useState("");
+
+  const accounts = state.accounts || [];
+  const accountFor = (last4) => (last4 && accounts.find((a) => a.last4 === last4)?.id) || "";
+
+  async function pickFiles(e) {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    setError("");
+    setApplied("");
+    const added = [];
+    for (const file of files) {
+      const text = await file.text();
+      if (isOFX(text)) {
+        const statements = parseOFX(text);
+        if (!statements.length) setError(`${file.name} has no bank or card statements.`);
+        statements.forEach((s, i) => {
+          const name = statements.length > 1 ? `${file.name} #${i + 1}` : file.name;
+          added.push({ id: makeId(), name, statement: s, accountId: accountFor(s.last4) });
+        });
+      } else {
+        const rows = parseCSV(text);
+        if (rows.length < 2) {
+          setError(`${file.name} doesn’t look like a CSV export with a header row.`);
+          continue;
+        }
+        added.push({ id: makeId(), name: file.name, rows, mapping: guessCSVMapping(rows[0]), accountId: "" });
+      }
+    }
+    setEntries((list) => [...list, ...added]);
+  }
+
+  function updateEntry(id, patch) {
+    setEntries((list) => list.map((x) => (x.id === id ? { ...x, ...patch } : x)));
+  }
+
+  // Transactions carry a ref unique across files, for the pick / category state below
+  const statements = entries.map((x) => {
+    const s = x.rows ? csvStatement(x.rows, x.mapping) : x.statement;
+    return { ...s, accountId: x.accountId, transactions: s.transactions.map((tx) => ({ ...tx, ref: `${x.id}:${tx.id}` })) };
+  });
+  const suggestion = state.months?.[month] && entries.length ? suggestFromStatements(statements, state, month) : null;
+
+  const businessName = (id) => state.businesses?.find((b) => b.id === id)?.name || "Unnamed business";
+  const wcRows = suggestion
+    ? Object.entries(suggestion.workingCapital).flatMap(([bizId, patch]) =>
+        Object.entries(patch).map(([field, value]) => ({ pick: `wc:${bizId}:${field}`, bizId, field, value }))
+      )
+    : [];
+  // balances are shown in the currency their account holds
+  const plan = { accounts: state.accounts, transferRules: state.transferRules, settings: state.settings };
+  const currencyOf = (accountId) => accountCurrency((state.accounts || []).find((a) => a.id === accountId), state.settings);
+  const balanceCurrency = (bizId, field) =>
+    balanceCurrencies(businessPlan(plan, (state.businesses || []).find((b) => b.id === bizId)))[field];
+  const deposits = (suggestion?.deposits || []).map((d) => ({ ...d, kind: kinds[d.tx.ref] || d.kind }));
+  const totals = depositTotals(deposits);
+  const matches = (suggestion?.matches || []).map((m) => ({ ...m, pick: `match:${m.scope.join(":")}:${m.key}` }));
+  const stepLabel = (key) => WATERFALL_STEPS.find((s) => s.key === key)?.label || key;
+  const isOn = (pick) => !skipped.has(pick);
+
+  function toggle(pick) {
+    setSkipped((set) => {
+      const next = new Set(set);
+      if (next.has(pick)) next.delete(pick);
+      else next.add(pick);
+      return next;
+    });
+  }
+
+  function apply() {
+    const workingCapital = {};
+    wcRows.filter((r) => isOn(r.pick)).forEach((r) => (workingCapital[r.bizId] = { ...workingCapital[r.bizId], [r.field]: r.value }));
+    const cashflow = {};
+    if (deposits.length && isOn("cf:businessIn")) cashflow.businessIn = String(totals.businessIn);
+    if (deposits.length && isOn("cf:w2In")) cashflow.w2In = String(totals.w2In);
+    const picked = matches.filter((m) => isOn(m.pick));
+    onApply({ workingCapital, cashflow, matches: picked });
+    setApplied(`Applied to ${month}: ${wcRows.filter((r) => isOn(r.pick)).length} balances, ${Object.keys(cashflow).length} Cash In figures, ${picked.length} transfers recorded.`);
+  }
+
+  const pickBox = (pick) => <input type="checkbox" checked={isOn(pick)} onChange={() => toggle(pick)} className="h-4 w-4" />;
+  const fieldLabel = { businessChecking: "Business checking balance", reserveAccountBalance: "Reserve account balance" };
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border bg-white p-5">
+        <div className="text-lg font-semibold">Import bank statements · {month}</div>
+        <div className="text-xs text-slate-500 mt-1">
+          Load OFX / QFX downloads or CSV exports. Balances prefill Working Capital, deposits into the Family Office prefill Cash In, and
+          outgoing transfers are matched to this month’s transfer rows. Nothing changes until you apply.
+        </div>
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <label className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800 cursor-pointer">
+            Choose files…
+            <input type="file" multiple accept=".csv,.ofx,.qfx,text/csv" onChange={pickFiles} className="hidden" />
+          </label>
+          {entries.length ? (
+            <button
+              type="button"
+              onClick={() => {
+                setEntries([]);
+                setSkipped(new Set());
+                setKinds({});
+                setApplied("");
+              }}
+              className="text-sm font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50"
+            >
+              Clear
+            </button>
+          ) : null}
+        </div>
+        {error ? <div className="mt-3 text-sm text-rose-700">{error}</div> : null}
+      </div>
+
+      {entries.map((x, i) => (
+        <div key={x.id} className="rounded-2xl border bg-white p-5">
+          <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+            <div>
+              <div className="font-semibold">{x.name}</div>
+              <div className="text-xs text-slate-500 mt-1">
+                {statements[i].transactions.length} transactions
+                {statements[i].balance !== null ? ` · balance ${fmtMoney(statements[i].balance, money, currencyOf(x.accountId))}` : " · no balance found"}
+                {statements[i].balanceDate ? ` on ${statements[i].balanceDate}` : ""}
+                {statements[i].last4 ? ` · account ••${statements[i].last4}` : ""}
+              </div>
+            </div>
+            <label className="text-sm text-slate-700 flex items-center gap-2">
+              Account
+              <select value={x.accountId} onChange={(e) => updateEntry(x.id, { accountId: e.target.value })} className="border rounded-xl px-3 py-2 text-sm bg-white">
+                <option value="">Choose…</option>
+                {accounts.map((a) => (
+                  <option key={a.id} value={a.id}>{accountLabel(a)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {x.rows ? (
+            <div className="mt-3 grid gap-2 sm:grid-cols-3 lg:grid-cols-6">
+              {CSV_FIELDS.map((f) => (
+                <label key={f.key} className="text-xs text-slate-600">
+                  {f.label}
+                  <select
+                    value={x.mapping[f.key]}
+                    onChange={(e) => updateEntry(x.id, { mapping: { ...x.mapping, [f.key]: Number(e.target.value) } })}
+                    className="mt-1 w-full border rounded-xl px-2 py-1 text-sm bg-white"
+                  >
+                    <option value={-1}>—</option>
+                    {x.rows[0].map((h, col) => (
+                      <option key={col} value={col}>{h || `Column ${col + 1}`}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          ) : null}
+        </div>
+      ))}
+
+      {entries.length && !state.months?.[month] ? (
+        <div className="rounded-2xl border border-amber-300 bg-amber-50 p-4 text-sm text-slate-800">Start {month} in Working Capital or Cash Flow first.</div>
+      ) : null}
+
+      {suggestion ? (
+        <div className="rounded-2xl border bg-white p-5 space-y-5 text-sm">
+          <div>
+            <div className="font-semibold">Working Capital balances</div>
+            {wcRows.length ? (
+              <div className="mt-2 grid gap-1">
+                {wcRows.map((r) => (
+                  <label key={r.pick} className="flex items-center gap-2">
+                    {pickBox(r.pick)}
+                    {(state.businesses || []).length > 1 ? `${businessName(r.bizId)} · ` : ""}
+                    {fieldLabel[r.field]}: <span className="font-semibold">{fmtMoney(toNumber(r.value), money, balanceCurrency(r.bizId, r.field))}</span>
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <div className="mt-1 text-xs text-slate-500">Assign a statement to a business checking or reserve account to fill balances.</div>
+            )}
+          </div>
+
+          <div>
+            <div className="font-semibold">Deposits into the Family Office</div>
+            {deposits.length ? (
+              <>
+                <div className="mt-2 overflow-x-auto">
+                  <table className="w-full text-sm border-collapse">
+                    <tbody>
+                      {deposits.map((d) => (
+                        <tr key={d.tx.ref} className="border-t">
+                          <td className="py-1 pr-3 whitespace-nowrap text-slate-600">{d.tx.date}</td>
+                          <td className="py-1 pr-3">{d.tx.description || "—"}</td>
+                          <td className="py-1 pr-3 text-right font-medium">{fmtMoney(d.amount, money)}</td>
+                          <td className="py-1">
+                            <select
+                              value={d.kind}
+                              onChange={(e) => setKinds((k) => ({ ...k, [d.tx.ref]: e.target.value }))}
+                              className="border rounded-xl px-2 py-1 text-sm bg-white"
+                            >
+                              {DEPOSIT_KINDS.map((k) => (
+                                <option key={k.value} value={k.value}>{k.label}</option>
+                              ))}
+                            </select>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="mt-2 grid gap-1">
+                  <label className="flex items-center gap-2">
+                    {pickBox("cf:businessIn")}
+                    Business Cash In: <span className="font-semibold">{fmtMoney(totals.businessIn, money)}</span>
+                  </label>
+                  <label className="flex items-center gap-2">
+                    {pickBox("cf:w2In")}
+                    W-2 / Other Cash In: <span className="font-semibold">{fmtMoney(totals.w2In, money)}</span>
+                  </label>
+                </div>
+              </>
+            ) : (
+              <div className="mt-1 text-xs text-slate-500">No {month} deposits found in a statement assigned to the Family Office account.</div>
+            )}
+          </div>
 
-      <TestHarness />
+          <div>
+            <div className="font-semibold">Transfers found</div>
+            {matches.length ? (
+              <div className="mt-2 grid gap-1">
+                {matches.map((m) => (
+                  <label key={m.pick} className="flex items-center gap-2">
+                    {pickBox(m.pick)}
+                    {m.scope[0] === "workingCapital" && (state.businesses || []).length > 1 ? `${businessName(m.scope[1])} · ` : ""}
+                    {stepLabel(m.key)}: {fmtMoney(toNumber(m.record.amount), money)} on {m.record.date}
+                    <span className="text-xs text-slate-500">({m.tx.description || "no description"}; suggested {fmtMoney(m.record.suggested, money)})</span>
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <div className="mt-1 text-xs text-slate-500">No withdrawals match an open transfer row this month (within 5%).</div>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              type="button"
+              onClick={apply}
+              className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800"
+            >
+              Apply to {month}
+            </button>
+            {applied ? <span className="text-xs text-slate-600">{applied} Undo takes it back.</span> : null}
+          </div>
+        </div>
+      ) : null}
     </div>
   );
 }
+
+// ---------- App ----------
+export default function App() {
+  const [session, setSession] = React.useState(null);
+  const [loading, setLoading] = React.useState(true);
+  const [saveStatus, setSaveStatus] = React.useState("Saved");
+  const [state, setState] = React.useState(defaultState());
+
+  // init session + listener
+  React.useEffect(() => {
+    let sub = null;
+
+    async function init() {
+      if (!supabase) {
+        // no backend configured: run entirely in this browser
+        setSession(LOCAL_SESSION);
+        setLoading(false);
+        return;
+      }
+      const { data } = await supabase.auth.getSession();
+      setSession(data.session || null);
+
+      sub = supabase.auth.onAuthStateChange((_event, newSession) => {
+        setSession(newSession);
+      }).data.subscription;
+
+      setLoading(false);
+    }
+
+    init();
+    return () => {
+      if (sub) sub.unsubscribe();
+    };
+  }, []);
+
+  // local mode uses browser storage; signed-in users use their Supabase row
+  const storage = React.useMemo(() => {
+    if (!session) return null;
+    if (session.local) return createLocalStorage();
+    return supabase ? createSupabaseStorage(supabase, session.user.id) : null;
+  }, [session]);
+
+  const actor = session?.user?.email || null;
+
+  // What this tab last loaded or saved (state object + its version); edits are measured against it
+  const syncedRef = React.useRef({ state: null, version: null });
+  const stateRef = React.useRef(state);
+  const savingRef = React.useRef(Promise.resolve());
+  // Versions this tab wrote recently, so late echoes of its own saves are recognised
+  const writtenRef = React.useRef([]);
+  const [ready, setReady] = React.useState(false);
+  const [conflict, setConflict] = React.useState(null);
+
+  React.useEffect(() => {
+    stateRef.current = state;
+  }, [state]);
+
+  // load user state
+  React.useEffect(() => {
+    if (!storage) return;
+    let cancelled = false;
+    setReady(false);
+    setConflict(null);
+
+    (async () => {
+      setSaveStatus("Loading…");
+
+      let saved;
+      try {
+        saved = await storage.load();
+        if (saved) saved = { ...saved, state: migrateState(saved.state) };
+      } catch (e) {
+        // don't autosave over data we couldn't read
+        if (!cancelled) setSaveStatus(e instanceof NewerSchemaError ? e.message : "Load failed … changes won't be saved");
+        return;
+      }
+      if (cancelled) return;
+
+      if (saved) {
+        // merge so you can safely add new top-level defaults later
+        const next = { ...defaultState(), ...saved.state };
+        syncedRef.current = { state: next, version: saved.version };
+        setState(next);
+        setSaveStatus("Loaded");
+      } else {
+        const fresh = defaultState();
+        const version = await storage.save(fresh, null).catch(() => null);
+        if (cancelled) return;
+        syncedRef.current = { state: fresh, version };
+        setState(fresh);
+        setSaveStatus("Loaded (new)");
+      }
+      setReady(true);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [storage]);
+
+  // save user state (debounced); paused until loaded and while a conflict is open
+  React.useEffect(() => {
+    if (!storage || !ready || conflict) return;
+    if (state === syncedRef.current.state) return;
+
+    setSaveStatus("Saving…");
+    const t = setTimeout(() => {
+      // one write at a time, so each save starts from the version the previous one produced
+      savingRef.current = savingRef.current.then(async () => {
+        try {
+          const before = syncedRef.current.state;
+          const version = await storage.save(state, syncedRef.current.version);
+          syncedRef.current = { state, version };
+          writtenRef.current = [...writtenRef.current.slice(-19), version];
+          setSaveStatus("Saved");
+          // the change log is best-effort: a failed append never blocks saving
+          storage.appendLog?.(auditEntries(before, state, { actor })).catch(() => {});
+        } catch (e) {
+          const remote = e instanceof SaveConflictError ? await storage.load().catch(() => null) : null;
+          if (!remote) {
+            setSaveStatus("Save failed");
+            return;
+          }
+          try {
+            setConflict({ ...remote, state: migrateState(remote.state) });
+          } catch (err) {
+            setSaveStatus(err.message);
+            return;
+          }
+          setSaveStatus("Changed elsewhere");
+        }
+      });
+    }, 600);
+
+    return () => clearTimeout(t);
+  }, [state, storage, ready, conflict, actor]);
+
+  // live updates from other sessions: apply them when this tab has no unsaved edits, otherwise ask
+  React.useEffect(() => {
+    if (!storage?.subscribe || !ready) return;
+
+    return storage.subscribe((remote) => {
+      // wait for our own in-flight save, so its echo (a version this tab wrote) is recognised and dropped
+      savingRef.current = savingRef.current.then(() => {
+        if (remote.version === syncedRef.current.version || writtenRef.current.includes(remote.version)) return;
+
+        let theirs;
+        try {
+          theirs = { ...defaultState(), ...migrateState(remote.state) };
+        } catch (e) {
+          setSaveStatus(e.message);
+          return;
+        }
+
+        const mine = stateRef.current;
+        if (hasDataChanges(mine, syncedRef.current.state)) {
+          setConflict({ ...remote, state: theirs });
+          setSaveStatus("Changed elsewhere");
+          return;
+        }
+        const next = keepView(theirs, mine);
+        syncedRef.current = { state: next, version: remote.version };
+        setState(next);
+        setSaveStatus("Updated from another session");
+      });
+    });
+  }, [storage, ready]);
+
+  function resolveConflict(choice) {
+    if (!conflict) return;
+    const theirs = { ...defaultState(), ...conflict.state };
+    const base = syncedRef.current.state;
+
+    if (choice === "theirs") {
+      const next = keepView(theirs, state);
+      syncedRef.current = { state: next, version: conflict.version };
+      setState(next);
+    } else if (choice === "merge") {
+      syncedRef.current = { state: theirs, version: conflict.version };
+      setState(mergeStates(base, state, theirs));
+    } else {
+      // keep mine: write this tab's state over the other session's save
+      syncedRef.current = { state: theirs, version: conflict.version };
+    }
+    setConflict(null);
+  }
+
+  // the what-if scenario this tab is editing instead of the plan (null = the plan itself)
+  const [scenarioId, setScenarioId] = React.useState(null);
+
+  // in-session undo/redo of edits; snapshots are whole states, minus what the tab is showing
+  const [undo, setUndo] = React.useState(EMPTY_UNDO);
+  const undoTrack = React.useRef({ prev: state, at: 0, skip: false });
+
+  React.useEffect(() => {
+    const track = undoTrack.current;
+    const prev = track.prev;
+    track.prev = state;
+
+    if (track.skip) {
+      track.skip = false;
+      return;
+    }
+    // freshly loaded or taken from another session: older snapshots no longer apply
+    if (state === syncedRef.current.state) {
+      track.at = 0;
+      setUndo(EMPTY_UNDO);
+      return;
+    }
+    if (!ready || diffStates(prev, state).length === 0) return;
+
+    // keystrokes less than a second apart are one step
+    const now = Date.now();
+    const sameStep = now - track.at < 1000;
+    track.at = now;
+    setUndo((h) => (sameStep && h.past.length ? h : pushUndo(h, prev)));
+  }, [state, ready]);
+
+  function stepUndo(step) {
+    const result = step(undo, state);
+    if (!result) return;
+    undoTrack.current.skip = true;
+    undoTrack.current.at = 0;
+    setUndo(result.history);
+    setState(keepView(result.state, state));
+  }
+
+  // data left in this browser from local mode, offered for upload after signing in
+  const [localCopy, setLocalCopy] = React.useState(null);
+  React.useEffect(() => {
+    if (!session || session.local) {
+      setLocalCopy(null);
+      return;
+    }
+    const local = createLocalStorage();
+    local
+      .load()
+      .then((saved) => setLocalCopy(saved ? { state: migrateState(saved.state), savedAt: local.savedAt() } : null))
+      .catch(() => setLocalCopy(null));
+  }, [session]);
+
+  function pushLocalCopy() {
+    if (!localCopy) return;
+    setState((prev) => ({ ...prev, ...localCopy.state }));
+    createLocalStorage().clear();
+    setLocalCopy(null);
+  }
+
+  function discardLocalCopy() {
+    createLocalStorage().clear();
+    setLocalCopy(null);
+  }
+
+  async function signOut() {
+    if (supabase && !session?.local) await supabase.auth.signOut();
+    setSession(null);
+    setState(defaultState());
+  }
+
+  if (loading) return <div className="min-h-screen bg-slate-50 p-6">Loading…</div>;
+  if (!session) return <AuthGate onUseLocal={() => setSession(LOCAL_SESSION)} />;
+
+  // ---- state helpers ----
+  const month = state.month;
+  const activeTool = state.activeTool;
+
+  function setMonth(next) {
+    setState((s) => ({ ...s, month: typeof next === "function" ? next(s.month) : next }));
+  }
+
+  function setActiveTool(next) {
+    setState((s) => ({ ...s, activeTool: next }));
+  }
+
+  // In a scenario the tools read and write its copy of this month, businesses and settings; `view` is the
+  // plan as the tools see it
+  const scenario = (scenarioId && (state.scenarios || []).find((x) => x.id === scenarioId && x.month === month)) || null;
+  const view = scenarioState(state, scenario);
+  const monthData = view.months?.[month] || null;
+  // fmtMoney, MoneyInput and friends show money in the number locale and base currency of what is on screen
+  const money = moneyFormat(view.settings);
+
+  function updateScenario(fn) {
+    setState((prev) => {
+      const list = prev.scenarios || [];
+      const current = list.find((x) => x.id === scenarioId);
+      if (!current) return prev;
+      const next = fn(current);
+      if (next === current) return prev;
+      return { ...prev, scenarios: list.map((x) => (x.id === scenarioId ? next : x)) };
+    });
+  }
+
+  function setMonthData(fn) {
+    if (scenario) {
+      updateScenario((sc) => {
+        const next = fn(sc.data);
+        return next === sc.data ? sc : { ...sc, data: next };
+      });
+      return;
+    }
+    setState((prev) => {
+      const current = prev.months?.[month];
+      if (!current) return prev;
+      const next = fn(current);
+      if (next === current) return prev;
+      return { ...prev, months: { ...prev.months, [month]: next } };
+    });
+  }
+
+  function startMonth(fromMonth) {
+    setState((prev) => {
+      if (prev.months?.[month]) return prev;
+      const base = fromMonth ? carryForwardMonth(prev.months?.[fromMonth], prev) : defaultMonthData();
+      return { ...prev, months: { ...(prev.months || {}), [month]: base } };
+    });
+  }
+
+  function setTool(key, fn) {
+    setMonthData((d) => {
+      const next = typeof fn === "function" ? fn(d[key]) : fn;
+      return next === d[key] ? d : { ...d, [key]: next };
+    });
+  }
+
+  function setResults(tool, values) {
+    setMonthData((d) => {
+      const same = JSON.stringify(d.results?.[tool] || {}) === JSON.stringify(values);
+      return same ? d : { ...d, results: { ...(d.results || {}), [tool]: values } };
+    });
+  }
+
+  function setSuggestedBusinessIn(amount) {
+    setMonthData((d) => (d.suggestedBusinessIn === amount ? d : { ...d, suggestedBusinessIn: amount }));
+  }
+
+  function setBusinessWc(businessId, fn) {
+    setTool("workingCapital", (all) => {
+      const current = all?.[businessId] || defaultWorkingCapital();
+      return { ...(all || {}), [businessId]: typeof fn === "function" ? fn(current) : fn };
+    });
+  }
+
+  // Transfer records live at a path under transfers: ["cashflow"] or ["workingCapital", businessId]
+  function getTransfers(scope) {
+    return scope.reduce((node, k) => node?.[k], monthData?.transfers) || {};
+  }
+
+  function updateTransfers(scope, fn) {
+    setMonthData((d) => {
+      const write = (node, [k, ...rest]) => ({ ...(node || {}), [k]: rest.length ? write(node?.[k], rest) : fn(node?.[k] || {}) });
+      return { ...d, transfers: write(d.transfers, scope) };
+    });
+  }
+
+  // record null clears the row
+  function recordTransfer(scope, key, record) {
+    updateTransfers(scope, (t) => {
+      const next = { ...t };
+      if (record) next[key] = record;
+      else delete next[key];
+      return next;
+    });
+  }
+
+  // Rows already recorded keep what was entered
+  function recordAllTransfers(scope, rows) {
+    const date = todayISO();
+    updateTransfers(scope, (t) => {
+      const next = { ...t };
+      rows.forEach((r) => (next[r.key] = next[r.key] || recordAsSuggested(r, date)));
+      return next;
+    });
+  }
+
+  const plan = { accounts: state.accounts, transferRules: state.transferRules, settings: view.settings };
+
+  function setBusinesses(fn) {
+    setState((s) => ({ ...s, businesses: fn(s.businesses) }));
+  }
+
+  const setToolBusinesses = scenario ? (fn) => updateScenario((sc) => ({ ...sc, businesses: fn(sc.businesses) })) : setBusinesses;
+  const setToolSettings = scenario
+    ? (fn) => updateScenario((sc) => ({ ...sc, settings: fn(sc.settings || {}) }))
+    : (fn) => setState((s) => ({ ...s, settings: fn(s.settings || {}) }));
+
+  function createWhatIf(name) {
+    const id = makeId();
+    setState((s) => {
+      const created = createScenario(s, month, { id, name });
+      return created ? { ...s, scenarios: [...(s.scenarios || []), created] } : s;
+    });
+    setScenarioId(id);
+  }
+
+  function promoteWhatIf(id) {
+    setState((s) => promoteScenario(s, id));
+    setScenarioId(null);
+  }
+
+  const email = session.user.email || "Signed in";
+
+  // Same rows the transfer tables render, with what was recorded against them
+  const sheet = instructionSheet(state, month);
+
+  function exportInstructions(kind) {
+    if (kind === "print") window.print();
+    // the byte-order mark makes spreadsheet apps read the file as UTF-8
+    else if (kind === "csv") downloadFile(`instructions-${month}.csv`, `\ufeff${sheetToCSV(sheet)}`, "text/csv;charset=utf-8");
+    else downloadFile(`instructions-${month}.pdf`, sheetToPDF(sheet), "application/pdf");
+  }
+
+  return (
+    <MoneyFormatContext.Provider value={money}>
+      <div className="min-h-screen bg-slate-50 p-4 md:p-6 print:bg-white print:p-0">
+        <InstructionSheet sheet={sheet} />
+        <div className="max-w-7xl mx-auto space-y-4 print:hidden">
+          <TopBar
+            email={email}
+            saveStatus={storage ? `${storage.label} · ${saveStatus}` : saveStatus}
+            logoutLabel={session.local ? "Exit local mode" : "Log out"}
+            month={month}
+            setMonth={setMonth}
+            savedMonths={Object.keys(state.months || {})}
+            activeTool={activeTool}
+            setActiveTool={setActiveTool}
+            onUndo={() => stepUndo(undoStep)}
+            onRedo={() => stepUndo(redoStep)}
+            canUndo={undo.past.length > 0}
+            canRedo={undo.future.length > 0}
+            onExport={exportInstructions}
+            onLogout={signOut}
+          />
+
+          {conflict ? (
+            <div className="rounded-2xl border border-rose-300 bg-rose-50 p-4 text-sm text-slate-800">
+              <div className="font-semibold">Your data was changed in another session</div>
+              <div className="mt-1 text-xs text-slate-600">
+                Saved elsewhere {conflict.savedAt ? new Date(conflict.savedAt).toLocaleString() : "just now"}. Autosave is paused until you
+                choose which version to keep. Merging keeps their changes plus every month and setting you edited here.
+              </div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={() => resolveConflict("merge")}
+                  className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800"
+                >
+                  Merge both
+                </button>
+                <button type="button" onClick={() => resolveConflict("theirs")} className="text-sm font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50">
+                  Reload their version
+                </button>
+                <button type="button" onClick={() => resolveConflict("mine")} className="text-sm font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50">
+                  Keep mine
+                </button>
+              </div>
+            </div>
+          ) : null}
+
+          {localCopy ? (
+            <div className="rounded-2xl border border-amber-300 bg-amber-50 p-4 text-sm text-slate-800">
+              <div className="font-semibold">This browser has data from local mode</div>
+              <div className="mt-1 text-xs text-slate-600">
+                Last saved {localCopy.savedAt ? new Date(localCopy.savedAt).toLocaleString() : "at an unknown time"}. Push it into your
+                account to keep working with it here … this replaces what is currently saved in your account.
+              </div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={pushLocalCopy}
+                  className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800"
+                >
+                  Push local data to my account
+                </button>
+                <button type="button" onClick={discardLocalCopy} className="text-sm font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50">
+                  Discard local data
+                </button>
+              </div>
+            </div>
+          ) : null}
+
+          {activeTool === "home" ? (
+            <div className="rounded-3xl border bg-white p-6">
+              <div className="text-2xl font-semibold">What are we working on today?</div>
+              <div className="text-sm text-slate-600 mt-1">Do Working Capital first … then Cash Flow … done in ~10 minutes.</div>
+              <div className="mt-6">
+                <HomeChooser onPick={setActiveTool} bufferDays={planRules(plan).bufferDays} />
+              </div>
+            </div>
+          ) : null}
+
+          {activeTool === "history" ? <HistoryTool months={state.months} /> : null}
+
+          {scenario ? (
+            <div className="rounded-2xl border border-amber-300 bg-amber-50 p-4 text-sm text-slate-800">
+              <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+                <div>
+                  <div className="font-semibold">What-if: {scenario.name || "Unnamed scenario"}</div>
+                  <div className="mt-1 text-xs text-slate-600">
+                    Working Capital, Cash Flow, Projection and Settings show this scenario. Edits stay in it … your plan for {month} is unchanged.
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setActiveTool("scenarios")}
+                    className="text-sm font-semibold rounded-xl border px-3 py-2 bg-white hover:bg-slate-50"
+                  >
+                    Compare
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setScenarioId(null)}
+                    className="text-sm font-semibold rounded-xl px-3 py-2 bg-slate-900 text-white hover:bg-slate-800"
+                  >
+                    Back to the plan
+                  </button>
+                </div>
+              </div>
+            </div>
+          ) : null}
+
+          {activeTool === "scenarios" ? (
+            <ScenariosTool
+              state={state}
+              month={month}
+              activeId={scenario?.id || null}
+              onCreate={createWhatIf}
+              onOpen={(id) => {
+                setScenarioId(id);
+                setActiveTool("workingCapital");
+              }}
+              onRename={(id, name) => setState((s) => ({ ...s, scenarios: s.scenarios.map((x) => (x.id === id ? { ...x, name } : x)) }))}
+              onRemove={(id) => {
+                setState((s) => ({ ...s, scenarios: s.scenarios.filter((x) => x.id !== id) }));
+                if (id === scenarioId) setScenarioId(null);
+              }}
+              onPromote={promoteWhatIf}
+            />
+          ) : null}
+
+          {activeTool === "projection" ? <ProjectionTool state={view} month={month} /> : null}
+
+          {activeTool === "activity" ? <ActivityTool storage={storage} month={month} /> : null}
+
+          {activeTool === "import" ? (
+            <BankImportTool month={month} state={state} onApply={(picks) => setState((s) => applyImport(s, month, picks))} />
+          ) : null}
+
+          {activeTool === "backup" ? (
+            <BackupTool state={state} onRestore={(next) => setState((s) => keepView({ ...defaultState(), ...next }, s))} />
+          ) : null}
+
+          {activeTool === "accounts" ? (
+            <AccountsTool
+              accounts={state.accounts}
+              setAccounts={(fn) => setState((s) => ({ ...s, accounts: fn(s.accounts) }))}
+              rules={state.transferRules}
+              setRules={(fn) => setState((s) => ({ ...s, transferRules: fn(s.transferRules) }))}
+              businesses={state.businesses}
+              setBusinesses={setBusinesses}
+              settings={state.settings}
+              setSettings={(fn) => setState((s) => ({ ...s, settings: fn(s.settings || {}) }))}
+            />
+          ) : null}
+
+          {activeTool === "settings" ? <SettingsTool settings={view.settings} setSettings={setToolSettings} inScenario={!!scenario} /> : null}
+
+          {(activeTool === "workingCapital" || activeTool === "cashflow") && !monthData ? (
+            <MonthStarter month={month} previousMonth={latestMonthBefore(state.months, month)} onStart={startMonth} />
+          ) : null}
+
+          {activeTool === "workingCapital" && monthData ? (
+            <WorkingCapitalTool
+              month={month}
+              plan={plan}
+              businesses={view.businesses}
+              setBusinesses={setToolBusinesses}
+              wcByBusiness={monthData.workingCapital}
+              setBusinessWc={setBusinessWc}
+              onSuggestBusinessIn={setSuggestedBusinessIn}
+              onResults={(values) => setResults("workingCapital", values)}
+              transfersByBusiness={getTransfers(["workingCapital"])}
+              onRecordTransfer={(businessId, key, record) => recordTransfer(["workingCapital", businessId], key, record)}
+              onRecordAllTransfers={(businessId, rows) => recordAllTransfers(["workingCapital", businessId], rows)}
+            />
+          ) : null}
+
+          {activeTool === "cashflow" && monthData ? (
+            <CashflowTool
+              month={month}
+              plan={plan}
+              setSettings={setToolSettings}
+              cf={monthData.cashflow}
+              setCf={(fn) => setTool("cashflow", fn)}
+              suggestedBusinessIn={monthData.suggestedBusinessIn}
+              businessBreakdown={computeBusinesses(view.businesses, monthData.workingCapital, plan, month).byBusiness}
+              onResults={(values) => setResults("cashflow", values)}
+              transfers={getTransfers(["cashflow"])}
+              onRecordTransfer={(key, record) => recordTransfer(["cashflow"], key, record)}
+              onRecordAllTransfers={(rows) => recordAllTransfers(["cashflow"], rows)}
+            />
+          ) : null}
+
+          <div className="text-xs text-slate-500 text-center pt-2">V2 … behind login … per-user saved state …</div>
+        </div>
+      </div>
+    </MoneyFormatContext.Provider>
+  );
+}
@@ -0,0 +1,71 @@
+/**
+ * Chart of accounts + transfer rules
+ * - Accounts are user-defined (name, type, institution, last-4, currency — "" is the base currency)
+ * - Each waterfall step moves money from one account to another; the rule picks which
+ */
+
+export const ACCOUNT_TYPES = [
+  { value: "operating", label: "Business operating" },
+  { value: "reserve", label: "Business reserve" },
+  { value: "familyOffice", label: "Family Office" },
+  { value: "giving", label: "Giving" },
+  { value: "lifestyle", label: "Lifestyle" },
+  { value: "wealth", label: "Wealth Creation" },
+  { value: "tax", label: "Tax" },
+  { value: "other", label: "Other" },
+];
+
+// Fixed waterfall steps, in the order the tools run them
+export const WATERFALL_STEPS = [
+  { key: "wc_reserve", tool: "workingCapital", label: "Top off business reserve" },
+  { key: "wc_familyOffice", tool: "workingCapital", label: "Sweep excess to Family Office" },
+  { key: "cf_giving", tool: "cashflow", label: "Giving" },
+  { key: "cf_lifestyle", tool: "cashflow", label: "Lifestyle" },
+  { key: "cf_emergency", tool: "cashflow", label: "Top up emergency minimum" },
+  { key: "cf_needs", tool: "cashflow", label: "Set aside for upcoming needs" },
+  { key: "cf_wealth", tool: "cashflow", label: "Excess to Wealth Creation" },
+];
+
+export function defaultAccounts() {
+  return [
+    { id: "acct_business", name: "Business Checking", type: "operating", institution: "", last4: "", currency: "" },
+    { id: "acct_reserve", name: "Business Reserve", type: "reserve", institution: "", last4: "", currency: "" },
+    { id: "acct_familyOffice", name: "Family Office", type: "familyOffice", institution: "", last4: "", currency: "" },
+    { id: "acct_giving", name: "Giving", type: "giving", institution: "", last4: "", currency: "" },
+    { id: "acct_lifestyle", name: "Lifestyle", type: "lifestyle", institution: "", last4: "", currency: "" },
+    { id: "acct_wealth", name: "Wealth Creation", type: "wealth", institution: "", last4: "", currency: "" },
+  ];
+}
+
+// { [stepKey]: { from: accountId, to: accountId } }
+export function defaultTransferRules() {
+  return {
+    wc_reserve: { from: "acct_business", to: "acct_reserve" },
+    wc_familyOffice: { from: "acct_business", to: "acct_familyOffice" },
+    cf_giving: { from: "acct_familyOffice", to: "acct_giving" },
+    cf_lifestyle: { from: "acct_familyOffice", to: "acct_lifestyle" },
+    cf_emergency: { from: "acct_familyOffice", to: "acct_familyOffice" },
+    cf_needs: { from: "acct_familyOffice", to: "acct_familyOffice" },
+    cf_wealth: { from: "acct_familyOffice", to: "acct_wealth" },
+  };
+}
+
+export function accountLabel(account) {
+  if (!account) return "Unassigned account";
+  const name = account.name?.trim() || "Unnamed account";
+  return account.last4 ? `${name} ••${account.last4}` : name;
+}
+
+// Resolve a step's source/destination accounts, falling back to the default rule when unset
+export function resolveTransfer(plan, stepKey) {
+  const accounts = plan?.accounts || defaultAccounts();
+  const rule = plan?.transferRules?.[stepKey] || defaultTransferRules()[stepKey] || {};
+  const byId = (id) => accounts.find((a) => a.id === id) || null;
+  const from = byId(rule.from);
+  const to = byId(rule.to);
+  return { from, to, fromLabel: accountLabel(from), toLabel: accountLabel(to) };
+}
+
+export function accountInUse(rules, accountId) {
+  return Object.values(rules || {}).some((r) => r?.from === accountId || r?.to === accountId);
+}
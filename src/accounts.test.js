@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { accountInUse, accountLabel, defaultTransferRules, resolveTransfer } from "./accounts.js";
+
+describe("accountLabel", () => {
+  it("adds the last four digits when known", () => {
+    expect(accountLabel({ name: "Operating", last4: "4321" })).toBe("Operating ••4321");
+    expect(accountLabel({ name: " ", last4: "" })).toBe("Unnamed account");
+    expect(accountLabel(null)).toBe("Unassigned account");
+  });
+});
+
+describe("resolveTransfer", () => {
+  it("falls back to the default rule for steps without one", () => {
+    const t = resolveTransfer({ transferRules: {} }, "wc_familyOffice");
+    expect(t.fromLabel).toBe("Business Checking");
+    expect(t.toLabel).toBe("Family Office");
+  });
+
+  it("reports a missing account when the rule points at a deleted one", () => {
+    const plan = { accounts: [{ id: "a", name: "A" }], transferRules: { cf_giving: { from: "a", to: "gone" } } };
+    const t = resolveTransfer(plan, "cf_giving");
+    expect(t.fromLabel).toBe("A");
+    expect(t.to).toBeNull();
+    expect(t.toLabel).toBe("Unassigned account");
+  });
+});
+
+describe("accountInUse", () => {
+  it("checks both ends of every rule", () => {
+    const rules = defaultTransferRules();
+    expect(accountInUse(rules, "acct_reserve")).toBe(true);
+    expect(accountInUse(rules, "acct_other")).toBe(false);
+  });
+});
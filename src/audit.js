@@ -0,0 +1,119 @@
+/**
+ * Change log + undo
+ * - diffStates lists every user-edited value that differs between two states, by field path
+ * - Log entries: { at, actor, month (YYYY-MM or null for plan-wide), path, from, to }; append-only
+ * - Undo keeps whole-state snapshots for this session only
+ */
+
+// Not user edits: what the tab is showing, the schema stamp, and values the tools compute
+const IGNORED_TOP = ["month", "activeTool", "schemaVersion"];
+const IGNORED_IN_MONTH = ["results", "suggestedBusinessIn"];
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// Lists of records (needs, accounts, businesses) are compared by id, not position
+function byId(list) {
+  if (!list.every((x) => isPlainObject(x) && x.id != null)) return null;
+  return Object.fromEntries(list.map((x) => [String(x.id), x]));
+}
+
+function ignored(path) {
+  if (path.length === 1 && IGNORED_TOP.includes(path[0])) return true;
+  if (path[0] !== "months") return false;
+  if (path.length === 3) return IGNORED_IN_MONTH.includes(path[2]);
+  // the Working Capital suggestion the Cash Flow prefill last applied
+  return path.length === 4 && path[2] === "cashflow" && path[3] === "businessInSuggestion";
+}
+
+function walk(a, b, path, out) {
+  if (ignored(path)) return;
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach((k) => walk(a[k], b[k], [...path, k], out));
+    return;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const ia = byId(a);
+    const ib = byId(b);
+    if (ia && ib) {
+      new Set([...Object.keys(ia), ...Object.keys(ib)]).forEach((id) => walk(ia[id], ib[id], [...path, id], out));
+      return;
+    }
+  }
+  if (JSON.stringify(a) !== JSON.stringify(b)) out.push({ path, from: a ?? null, to: b ?? null });
+}
+
+// [{ path: ["months", "2026-03", "cashflow", "w2In"], from, to }]
+export function diffStates(prev, next) {
+  const out = [];
+  walk(prev || {}, next || {}, [], out);
+  return out;
+}
+
+export function auditEntries(prev, next, { actor, at = new Date().toISOString() } = {}) {
+  return diffStates(prev, next).map(({ path, from, to }) => ({
+    at,
+    actor: actor || null,
+    month: path[0] === "months" ? path[1] : null,
+    path: path.join("."),
+    from,
+    to,
+  }));
+}
+
+const PATH_LABELS = {
+  workingCapital: "Working Capital",
+  cashflow: "Cash Flow",
+  transfers: "Transfers",
+  needs: "Needs",
+  accounts: "Accounts",
+  transferRules: "Transfer rules",
+  businesses: "Businesses",
+  spendActuals: "Actual spend",
+  scenarios: "Scenarios",
+  settings: "Settings",
+  exchangeRates: "Exchange rates",
+};
+
+// "months.2026-03.cashflow.needs.n1.target" → "Cash Flow › Needs › n1 › target"
+export function describePath(path) {
+  const parts = String(path).split(".");
+  const rest = parts[0] === "months" ? parts.slice(2) : parts;
+  return rest.map((p) => PATH_LABELS[p] || p).join(" › ");
+}
+
+export function formatValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (typeof v === "boolean") return v ? "on" : "off";
+  if (isPlainObject(v)) return v.name ? `“${v.name}”` : `${Object.keys(v).length} fields`;
+  if (Array.isArray(v)) return `${v.length} items`;
+  return String(v);
+}
+
+// ---------- undo ----------
+export const UNDO_LIMIT = 100;
+export const EMPTY_UNDO = { past: [], future: [] };
+
+// Record `snapshot` (the state before an edit); a new edit drops anything that was undone
+export function pushUndo(history, snapshot, limit = UNDO_LIMIT) {
+  return { past: [...history.past, snapshot].slice(-limit), future: [] };
+}
+
+// Step back: returns { history, state } or null when there is nothing to undo
+export function undoStep(history, current) {
+  if (!history.past.length) return null;
+  return {
+    state: history.past[history.past.length - 1],
+    history: { past: history.past.slice(0, -1), future: [current, ...history.future] },
+  };
+}
+
+export function redoStep(history, current) {
+  if (!history.future.length) return null;
+  return {
+    state: history.future[0],
+    history: { past: [...history.past, current], future: history.future.slice(1) },
+  };
+}
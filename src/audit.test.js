@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import { EMPTY_UNDO, auditEntries, describePath, diffStates, formatValue, pushUndo, redoStep, undoStep } from "./audit.js";
+
+const base = {
+  month: "2026-03",
+  activeTool: "cashflow",
+  settings: { needsHorizonMonths: 6 },
+  months: {
+    "2026-03": {
+      results: { cashflow: { excess: 10 } },
+      transfers: { cashflow: {} },
+      cashflow: {
+        w2In: "1000",
+        needs: [
+          { id: "a", name: "Taxes", target: "100" },
+          { id: "b", name: "Trip", target: "200" },
+        ],
+      },
+    },
+  },
+};
+
+function edit(fn) {
+  const next = structuredClone(base);
+  fn(next);
+  return next;
+}
+
+describe("diffStates", () => {
+  it("reports changed leaves by path", () => {
+    const next = edit((s) => {
+      s.months["2026-03"].cashflow.w2In = "1500";
+      s.months["2026-03"].transfers.cashflow.cf_giving = { amount: "500", date: "2026-03-02" };
+    });
+    expect(diffStates(base, next)).toEqual([
+      { path: ["months", "2026-03", "transfers", "cashflow", "cf_giving"], from: null, to: { amount: "500", date: "2026-03-02" } },
+      { path: ["months", "2026-03", "cashflow", "w2In"], from: "1000", to: "1500" },
+    ]);
+  });
+
+  it("tracks list records by id, so reordering is not a change", () => {
+    const next = edit((s) => {
+      const needs = s.months["2026-03"].cashflow.needs;
+      needs.reverse();
+      needs[0].target = "250";
+      needs.push({ id: "c", name: "Roof" });
+    });
+    expect(diffStates(base, next)).toEqual([
+      { path: ["months", "2026-03", "cashflow", "needs", "b", "target"], from: "200", to: "250" },
+      { path: ["months", "2026-03", "cashflow", "needs", "c"], from: null, to: { id: "c", name: "Roof" } },
+    ]);
+  });
+
+  it("ignores navigation and computed results", () => {
+    const next = edit((s) => {
+      s.month = "2026-04";
+      s.activeTool = "history";
+      s.months["2026-03"].results.cashflow.excess = 99;
+      s.months["2026-03"].cashflow.businessInSuggestion = 35000;
+    });
+    expect(diffStates(base, next)).toEqual([]);
+  });
+});
+
+describe("auditEntries", () => {
+  it("stamps each change with time, actor and month", () => {
+    const next = edit((s) => {
+      s.settings.needsHorizonMonths = 12;
+      s.months["2026-03"].cashflow.w2In = "2000";
+    });
+    expect(auditEntries(base, next, { actor: "me@example.com", at: "2026-03-05T10:00:00.000Z" })).toEqual([
+      { at: "2026-03-05T10:00:00.000Z", actor: "me@example.com", month: null, path: "settings.needsHorizonMonths", from: 6, to: 12 },
+      { at: "2026-03-05T10:00:00.000Z", actor: "me@example.com", month: "2026-03", path: "months.2026-03.cashflow.w2In", from: "1000", to: "2000" },
+    ]);
+  });
+});
+
+describe("display helpers", () => {
+  it("labels paths without the month prefix", () => {
+    expect(describePath("months.2026-03.cashflow.needs.a.target")).toBe("Cash Flow › Needs › a › target");
+    expect(describePath("settings.needsHorizonMonths")).toBe("Settings › needsHorizonMonths");
+  });
+
+  it("formats values compactly", () => {
+    expect(formatValue(null)).toBe("—");
+    expect(formatValue(true)).toBe("on");
+    expect(formatValue({ id: "c", name: "Roof" })).toBe("“Roof”");
+    expect(formatValue("1500")).toBe("1500");
+  });
+});
+
+describe("undo history", () => {
+  it("steps back and forward, and a new edit clears redo", () => {
+    let h = pushUndo(EMPTY_UNDO, "s0");
+    h = pushUndo(h, "s1");
+
+    const back = undoStep(h, "s2");
+    expect(back.state).toBe("s1");
+    const forward = redoStep(back.history, "s1");
+    expect(forward.state).toBe("s2");
+
+    expect(pushUndo(back.history, "s1b").future).toEqual([]);
+    expect(undoStep(EMPTY_UNDO, "s0")).toBeNull();
+    expect(redoStep(h, "s2")).toBeNull();
+  });
+
+  it("keeps only the most recent snapshots", () => {
+    let h = EMPTY_UNDO;
+    for (let i = 0; i < 5; i++) h = pushUndo(h, i, 3);
+    expect(h.past).toEqual([2, 3, 4]);
+  });
+});
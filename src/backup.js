@@ -0,0 +1,116 @@
+/**
+ * Backup files
+ * - A backup wraps the full state: { format, version, exportedAt, schemaVersion, state }
+ * - Restoring checks the wrapper, runs migrations (old backups upgrade like old saves) and validates the shape
+ * - The preview summarises what a restore would change; restore either replaces or merges
+ */
+
+import { diffStates } from "./audit.js";
+import { SCHEMA_VERSION, migrateState } from "./migrations.js";
+
+export const BACKUP_FORMAT = "cashflow-foundation-backup";
+export const BACKUP_VERSION = 1;
+
+export class BackupError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = "BackupError";
+    this.problems = problems;
+  }
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+export function makeBackup(state, { exportedAt = new Date().toISOString() } = {}) {
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt, schemaVersion: state?.schemaVersion ?? SCHEMA_VERSION, state };
+}
+
+// Problems with a (migrated) state, as readable sentences; empty when it looks usable
+export function validateState(state) {
+  if (!isPlainObject(state)) return ["The backup has no saved state."];
+  const problems = [];
+
+  if (!isPlainObject(state.months)) {
+    problems.push("Months are missing.");
+  } else {
+    Object.entries(state.months).forEach(([m, d]) => {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(m)) problems.push(`“${m}” is not a month (YYYY-MM).`);
+      if (!isPlainObject(d)) {
+        problems.push(`${m} has no data.`);
+        return;
+      }
+      if (!isPlainObject(d.workingCapital)) problems.push(`${m}: Working Capital inputs are missing.`);
+      if (!isPlainObject(d.cashflow) || !Array.isArray(d.cashflow.needs)) problems.push(`${m}: Cash Flow needs are missing.`);
+      (d.cashflow?.needs || []).forEach((n, i) => {
+        if (!isPlainObject(n) || n.id == null) problems.push(`${m}: need #${i + 1} has no id.`);
+      });
+    });
+  }
+
+  ["businesses", "accounts", "scenarios"].forEach((key) => {
+    if (state[key] === undefined) return;
+    if (!Array.isArray(state[key])) problems.push(`${key} must be a list.`);
+    else if (state[key].some((x) => !isPlainObject(x) || !x.id)) problems.push(`Every entry in ${key} needs an id.`);
+  });
+  ["transferRules", "settings"].forEach((key) => {
+    if (state[key] !== undefined && !isPlainObject(state[key])) problems.push(`${key} must be an object.`);
+  });
+
+  return problems;
+}
+
+// Text of a backup file → { exportedAt, state } at the current schema. Throws BackupError (or NewerSchemaError).
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new BackupError("This file isn’t valid JSON.");
+  }
+  if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+    throw new BackupError("This isn’t a Cash Flow Foundation backup file.");
+  }
+  if (Number(data.version) > BACKUP_VERSION) {
+    throw new BackupError("This backup was made by a newer version of the app. Reload the page to update.");
+  }
+  if (!isPlainObject(data.state)) throw new BackupError("The backup has no saved state.");
+
+  const state = migrateState({ schemaVersion: data.schemaVersion, ...data.state });
+  const problems = validateState(state);
+  if (problems.length) throw new BackupError("The backup doesn’t look right.", problems);
+  return { exportedAt: data.exportedAt || null, state };
+}
+
+// What restoring `incoming` over `current` would change
+export function backupDiff(current, incoming) {
+  const mine = Object.keys(current?.months || {});
+  const theirs = Object.keys(incoming?.months || {});
+  const changes = diffStates(current, incoming);
+  const changedMonths = new Set(changes.filter((c) => c.path[0] === "months").map((c) => c.path[1]));
+
+  return {
+    added: theirs.filter((m) => !mine.includes(m)).sort(),
+    removed: mine.filter((m) => !theirs.includes(m)).sort(),
+    changed: [...changedMonths].filter((m) => mine.includes(m) && theirs.includes(m)).sort(),
+    planChanged: [...new Set(changes.filter((c) => c.path[0] !== "months").map((c) => c.path[0]))].sort(),
+    fieldCount: changes.length,
+  };
+}
+
+// Keep everything here; add the months, accounts, businesses and scenarios only the backup has
+export function mergeBackup(current, incoming) {
+  const addMissing = (list, extra) => {
+    const ids = new Set((list || []).map((x) => x.id));
+    return [...(list || []), ...(extra || []).filter((x) => !ids.has(x.id))];
+  };
+  return {
+    ...current,
+    months: { ...(incoming.months || {}), ...(current.months || {}) },
+    accounts: addMissing(current.accounts, incoming.accounts),
+    businesses: addMissing(current.businesses, incoming.businesses),
+    scenarios: addMissing(current.scenarios, incoming.scenarios),
+    transferRules: { ...(incoming.transferRules || {}), ...(current.transferRules || {}) },
+  };
+}
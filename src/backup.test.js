@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import { BACKUP_FORMAT, BackupError, backupDiff, makeBackup, mergeBackup, parseBackup, validateState } from "./backup.js";
+import { NewerSchemaError, SCHEMA_VERSION, migrateState } from "./migrations.js";
+
+const state = migrateState({
+  month: "2026-03",
+  settings: { needsHorizonMonths: 6 },
+  businesses: [{ id: "biz_main", name: "My Business" }],
+  accounts: [{ id: "acct_business", name: "Business Checking" }],
+  transferRules: {},
+  months: {
+    "2026-02": { workingCapital: {}, cashflow: { w2In: "100", needs: [] } },
+    "2026-03": { workingCapital: {}, cashflow: { w2In: "200", needs: [{ id: "n1", name: "Taxes" }] } },
+  },
+});
+
+describe("makeBackup / parseBackup", () => {
+  it("round-trips the full state", () => {
+    const file = JSON.stringify(makeBackup(state, { exportedAt: "2026-03-10T12:00:00.000Z" }));
+    expect(parseBackup(file)).toEqual({ exportedAt: "2026-03-10T12:00:00.000Z", state });
+  });
+
+  it("upgrades backups from older schemas", () => {
+    const legacy = { format: BACKUP_FORMAT, version: 1, state: { month: "2025-06", workingCapital: { operatingExpenses: "9000" } } };
+    const { state: restored } = parseBackup(JSON.stringify(legacy));
+    expect(restored.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(restored.months["2025-06"].workingCapital.biz_main.operatingExpenses).toBe("9000");
+  });
+
+  it("rejects files that aren't backups", () => {
+    expect(() => parseBackup("not json")).toThrow(BackupError);
+    expect(() => parseBackup(JSON.stringify({ months: {} }))).toThrow(/isn’t a Cash Flow Foundation backup/);
+    expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 99, state }))).toThrow(/newer version/);
+    expect(() => parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 1, schemaVersion: SCHEMA_VERSION + 1, state: {} }))).toThrow(
+      NewerSchemaError
+    );
+  });
+
+  it("lists what is wrong with a malformed state", () => {
+    const broken = makeBackup({ ...state, accounts: "none", months: { ...state.months, "March 2026": {} } });
+    try {
+      parseBackup(JSON.stringify(broken));
+      throw new Error("expected a BackupError");
+    } catch (e) {
+      expect(e).toBeInstanceOf(BackupError);
+      expect(e.problems).toEqual([
+        "“March 2026” is not a month (YYYY-MM).",
+        "March 2026: Working Capital inputs are missing.",
+        "March 2026: Cash Flow needs are missing.",
+        "accounts must be a list.",
+      ]);
+    }
+  });
+});
+
+describe("validateState", () => {
+  it("accepts a current state and flags missing months", () => {
+    expect(validateState(state)).toEqual([]);
+    expect(validateState({})).toEqual(["Months are missing."]);
+    expect(validateState(null)).toEqual(["The backup has no saved state."]);
+  });
+});
+
+describe("backupDiff", () => {
+  it("summarises added, removed and changed months plus plan-wide changes", () => {
+    const incoming = structuredClone(state);
+    delete incoming.months["2026-02"];
+    incoming.months["2026-03"].cashflow.w2In = "250";
+    incoming.months["2026-04"] = structuredClone(state.months["2026-03"]);
+    incoming.settings.needsHorizonMonths = 12;
+
+    expect(backupDiff(state, incoming)).toMatchObject({
+      added: ["2026-04"],
+      removed: ["2026-02"],
+      changed: ["2026-03"],
+      planChanged: ["settings"],
+    });
+  });
+});
+
+describe("mergeBackup", () => {
+  it("keeps what is here and adds only what is missing", () => {
+    const incoming = structuredClone(state);
+    incoming.months["2026-03"].cashflow.w2In = "999";
+    incoming.months["2025-12"] = structuredClone(state.months["2026-02"]);
+    incoming.accounts.push({ id: "acct_new", name: "Brokerage" });
+    incoming.accounts[0].name = "Renamed";
+
+    const merged = mergeBackup(state, incoming);
+    expect(merged.months["2026-03"].cashflow.w2In).toBe("200");
+    expect(Object.keys(merged.months).sort()).toEqual(["2025-12", "2026-02", "2026-03"]);
+    expect(merged.accounts.map((a) => a.name)).toEqual(["Business Checking", "Brokerage"]);
+  });
+});
@@ -0,0 +1,331 @@
+/**
+ * Bank statement import
+ * - Reads OFX/QFX statements, or CSV exports with a column mapping, into { balance, balanceDate, transactions }
+ * - Transactions: { id, date: YYYY-MM-DD, amount (deposits positive), description }
+ * - Suggests Working Capital balances and Cash Flow inflows for a month, and matches outgoing
+ *   transfers to that month's transfer rows so they can be recorded
+ * - Reads a business's monthly spend history (month, operating, inventory) for trailing expenses
+ * - Statement amounts are in their account's currency; deposits and matched transfers convert to the
+ *   base currency, balances stay as the account holds them (see currency.js)
+ */
+
+import { computeBusinesses, computeState } from "./engine.js";
+import { accountCurrency, toBase } from "./currency.js";
+import { fromCents, sumCents, toCents } from "./money.js";
+
+// ---------- values ----------
+// "$1,234.56", "-1234.56", "(1,234.56)", "1.234,56 €" → number; null when there is no number.
+// A comma followed by one or two final digits is a decimal comma.
+export function parseAmount(text) {
+  const raw = String(text ?? "").trim();
+  if (!raw) return null;
+  const negative = /^\(.*\)$/.test(raw) || /^-|-$/.test(raw.replace(/[^0-9.,-]/g, ""));
+  const kept = raw.replace(/[^0-9.,]/g, "");
+  const digits = /,\d{1,2}$/.test(kept) ? kept.replace(/\./g, "").replace(",", ".") : kept.replace(/,/g, "");
+  if (!digits) return null;
+  const n = Number(digits);
+  return Number.isFinite(n) ? (negative ? -n : n) : null;
+}
+
+// "2026-03-05", "03/05/2026", "3/5/26", OFX "20260305120000" with a "-5:EST" zone suffix → "2026-03-05"; null otherwise
+export function parseDate(text) {
+  const raw = String(text ?? "").trim();
+  let m = raw.match(/^(\d{4})-(\d{2})-(\d{2})/) || raw.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (m) {
+    const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return `${year}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  }
+  return null;
+}
+
+// ---------- OFX / QFX ----------
+function ofxTag(block, tag) {
+  const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return m ? m[1].trim() : "";
+}
+
+export function isOFX(text) {
+  return /<OFX>/i.test(text) || /^OFXHEADER:/m.test(text);
+}
+
+// One statement per bank or credit-card account in the file
+export function parseOFX(text) {
+  const blocks = String(text).match(/<(CC)?STMTRS>[\s\S]*?<\/(CC)?STMTRS>/gi) || [];
+  return blocks.map((block) => {
+    const acctId = ofxTag(block, "ACCTID");
+    // aggregates (LEDGERBAL, STMTTRN) are closed even in SGML-style OFX; leaf values are not
+    const ledger = block.match(/<LEDGERBAL>[\s\S]*?<\/LEDGERBAL>/i)?.[0] || "";
+    const transactions = (block.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || []).map((t) => ({
+      id: ofxTag(t, "FITID"),
+      date: parseDate(ofxTag(t, "DTPOSTED")),
+      amount: parseAmount(ofxTag(t, "TRNAMT")) ?? 0,
+      description: [ofxTag(t, "NAME"), ofxTag(t, "MEMO")].filter(Boolean).join(" · "),
+    }));
+    return {
+      acctId,
+      last4: acctId.slice(-4),
+      balance: parseAmount(ofxTag(ledger, "BALAMT")),
+      balanceDate: parseDate(ofxTag(ledger, "DTASOF")),
+      transactions,
+    };
+  });
+}
+
+// ---------- CSV ----------
+// Rows of cells; handles quoted cells with commas, quotes and line breaks
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text).replace(/^\ufeff/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+export const CSV_FIELDS = [
+  { key: "date", label: "Date", hints: ["posted date", "transaction date", "posting date", "date"] },
+  { key: "description", label: "Description", hints: ["description", "payee", "name", "memo", "details"] },
+  { key: "amount", label: "Amount (+ in / − out)", hints: ["amount"] },
+  { key: "credit", label: "Money in", hints: ["credit", "deposit", "money in"] },
+  { key: "debit", label: "Money out", hints: ["debit", "withdrawal", "money out"] },
+  { key: "balance", label: "Running balance", hints: ["balance"] },
+];
+
+// { date: columnIndex | -1, ... } from the header row
+export function guessCSVMapping(headers, fields = CSV_FIELDS) {
+  const lower = headers.map((h) => String(h).trim().toLowerCase());
+  const used = new Set();
+  const mapping = {};
+  fields.forEach(({ key, hints }) => {
+    const index = hints.map((h) => lower.findIndex((col, i) => !used.has(i) && col.includes(h))).find((i) => i >= 0) ?? -1;
+    if (index >= 0) used.add(index);
+    mapping[key] = index;
+  });
+  return mapping;
+}
+
+// Header row + data rows → statement; rows without a date or an amount are skipped
+export function csvStatement(rows, mapping) {
+  const cell = (r, key) => (mapping[key] >= 0 ? r[mapping[key]] : "");
+  let parsed = rows.slice(1).map((r, i) => {
+    const amount =
+      mapping.amount >= 0 ? parseAmount(cell(r, "amount")) : (parseAmount(cell(r, "credit")) ?? 0) - Math.abs(parseAmount(cell(r, "debit")) ?? 0);
+    return {
+      id: `csv-${i + 1}`,
+      date: parseDate(cell(r, "date")),
+      amount,
+      description: String(cell(r, "description") || "").trim(),
+      balance: parseAmount(cell(r, "balance")),
+    };
+  });
+  parsed = parsed.filter((t) => t.date && t.amount !== null);
+
+  // Exports list newest first or oldest first; work oldest first
+  if (parsed.length > 1 && parsed[0].date > parsed[parsed.length - 1].date) parsed.reverse();
+  const withBalance = parsed.filter((t) => t.balance !== null);
+  const last = withBalance[withBalance.length - 1];
+
+  return {
+    acctId: "",
+    last4: "",
+    balance: last ? last.balance : null,
+    balanceDate: last ? last.date : null,
+    transactions: parsed.map((t) => ({ id: t.id, date: t.date, amount: t.amount, description: t.description })),
+  };
+}
+
+// ---------- spend history ----------
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// "2026-03", "03/2026", "Mar 2026", "March 2026" or any full date → "2026-03"; null otherwise
+export function parseMonth(text) {
+  const raw = String(text ?? "").trim();
+  const date = parseDate(raw);
+  if (date) return date.slice(0, 7);
+  let m = raw.match(/^(\d{4})-(\d{1,2})$/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}`;
+  m = raw.match(/^(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[2]}-${m[1].padStart(2, "0")}`;
+  m = raw.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i);
+  const index = m ? MONTH_NAMES.indexOf(m[1].toLowerCase()) : -1;
+  return index >= 0 ? `${m[2]}-${String(index + 1).padStart(2, "0")}` : null;
+}
+
+export const SPEND_FIELDS = [
+  { key: "month", label: "Month", hints: ["month", "period", "date"] },
+  { key: "operating", label: "Operating expenses", hints: ["operating", "opex", "expense", "spend", "total"] },
+  { key: "inventory", label: "Inventory cost", hints: ["inventory", "cogs", "cost of goods", "purchases"] },
+];
+
+// Header row + data rows → { [YYYY-MM]: { operating, inventory } }. Spend counts as positive however it
+// was exported; several rows in one month (e.g. transactions) add up.
+export function spendFromCSV(rows, mapping = guessCSVMapping(rows[0] || [], SPEND_FIELDS)) {
+  const out = {};
+  rows.slice(1).forEach((r) => {
+    const month = parseMonth(r[mapping.month]);
+    if (!month) return;
+    const amount = (key) => (mapping[key] >= 0 ? Math.abs(parseAmount(r[mapping[key]]) ?? 0) : 0);
+    const prev = out[month] || { operating: 0, inventory: 0 };
+    out[month] = { operating: prev.operating + amount("operating"), inventory: prev.inventory + amount("inventory") };
+  });
+  return Object.fromEntries(
+    Object.entries(out).map(([m, v]) => [m, { operating: String(Math.round(v.operating * 100) / 100), inventory: String(Math.round(v.inventory * 100) / 100) }])
+  );
+}
+
+// ---------- suggestions ----------
+const PAYROLL_HINTS = ["payroll", "salary", "direct dep", "dir dep", "adp", "gusto", "paychex", "wages"];
+const TRANSFER_HINTS = ["transfer", "xfer", "trnsfr", "online banking"];
+
+export const DEPOSIT_KINDS = [
+  { value: "business", label: "Business (→ Business Cash In)" },
+  { value: "w2", label: "W-2 / Other" },
+  { value: "ignore", label: "Ignore" },
+];
+
+// Deposits into the Family Office: transfers in are business sweeps; payroll and anything else count as W-2 / Other
+export function categorizeDeposit(tx) {
+  const text = String(tx.description || "").toLowerCase();
+  if (PAYROLL_HINTS.some((h) => text.includes(h))) return "w2";
+  if (TRANSFER_HINTS.some((h) => text.includes(h))) return "business";
+  return "w2";
+}
+
+function inMonth(tx, month) {
+  return String(tx.date || "").slice(0, 7) === month;
+}
+
+/**
+ * statements: [{ accountId, balance, transactions }] (accountId = the app account it was assigned to)
+ * Returns {
+ *   workingCapital: { [businessId]: { businessChecking?, reserveAccountBalance? } },
+ *   deposits: [{ tx, kind, amount }],  // into the Family Office this month; amount in the base currency
+ *   matches: [{ scope, key, tx, record }],
+ * }
+ */
+export function suggestFromStatements(statements, state, month) {
+  const { workingCapital, cashflow } = computeState(state, month);
+  const settings = state?.settings;
+  const inBase = (amount, accountId) =>
+    toBase(amount, accountCurrency((state?.accounts || []).find((a) => a.id === accountId), settings), settings);
+  const byAccount = (id) => statements.filter((s) => s.accountId && s.accountId === id);
+  const balanceOf = (id) => {
+    const found = byAccount(id).find((s) => s.balance !== null && s.balance !== undefined);
+    return found ? String(found.balance) : undefined;
+  };
+
+  const wc = {};
+  workingCapital.byBusiness.forEach(({ business, result }) => {
+    const reserveRow = result.transferRows.find((r) => r.key === "wc_reserve");
+    const patch = {};
+    const checking = balanceOf(reserveRow?.from);
+    const reserve = balanceOf(reserveRow?.to);
+    if (checking !== undefined) patch.businessChecking = checking;
+    if (reserve !== undefined) patch.reserveAccountBalance = reserve;
+    if (Object.keys(patch).length) wc[business.id] = patch;
+  });
+
+  const familyOfficeId = cashflow.transferRows.find((r) => r.key === "cf_giving")?.from;
+  const deposits = byAccount(familyOfficeId)
+    .flatMap((s) => s.transactions)
+    .filter((tx) => tx.amount > 0 && inMonth(tx, month))
+    .map((tx) => ({ tx, kind: categorizeDeposit(tx), amount: inBase(tx.amount, familyOfficeId) }));
+
+  // Transfer rows this month, each with the account its money leaves from
+  const recorded = state?.months?.[month]?.transfers || {};
+  const rows = [
+    ...workingCapital.byBusiness.flatMap(({ business, result }) =>
+      result.transferRows.map((row) => ({ row, scope: ["workingCapital", business.id], done: recorded.workingCapital?.[business.id]?.[row.key] }))
+    ),
+    ...cashflow.transferRows.map((row) => ({ row, scope: ["cashflow"], done: recorded.cashflow?.[row.key] })),
+  ].filter(({ row, done }) => !done && row.amount > 0 && row.from && row.from !== row.to);
+
+  const matches = [];
+  const usedTx = new Set();
+  rows.forEach(({ row, scope }) => {
+    const tolerance = Math.max(1, row.amount * 0.05);
+    const candidates = byAccount(row.from)
+      .flatMap((s) => s.transactions)
+      .filter((tx) => tx.amount < 0 && inMonth(tx, month) && !usedTx.has(tx))
+      .map((tx) => ({ tx, moved: inBase(Math.abs(tx.amount), row.from) }))
+      .map((c) => ({ ...c, gap: Math.abs(c.moved - row.amount) }))
+      .filter((c) => c.gap <= tolerance)
+      .sort((a, b) => a.gap - b.gap);
+    const best = candidates[0];
+    if (!best) return;
+    usedTx.add(best.tx);
+    matches.push({
+      scope,
+      key: row.key,
+      tx: best.tx,
+      record: {
+        amount: String(fromCents(toCents(best.moved))),
+        date: best.tx.date,
+        confirmation: best.tx.id && !best.tx.id.startsWith("csv-") ? best.tx.id : "",
+        note: best.tx.description,
+        suggested: row.amount,
+      },
+    });
+  });
+
+  return { workingCapital: wc, deposits, matches };
+}
+
+// Sum categorised deposits into the Cash Flow inputs
+export function depositTotals(deposits) {
+  const sum = (kind) => fromCents(sumCents(deposits.filter((d) => d.kind === kind).map((d) => d.amount ?? d.tx.amount)));
+  return { businessIn: sum("business"), w2In: sum("w2") };
+}
+
+/**
+ * Apply the picked suggestions to a month: { workingCapital, cashflow: { businessIn?, w2In? }, matches }
+ * Imported inflows stand in for the sweep estimate, so the Cash Flow prefill is marked as already applied
+ */
+export function applyImport(state, month, { workingCapital = {}, cashflow = {}, matches = [] }) {
+  const current = state?.months?.[month];
+  if (!current) return state;
+
+  const wc = { ...current.workingCapital };
+  Object.entries(workingCapital).forEach(([id, patch]) => (wc[id] = { ...(wc[id] || {}), ...patch }));
+
+  const plan = { accounts: state.accounts, transferRules: state.transferRules, settings: state.settings };
+  const sweep = computeBusinesses(state.businesses, wc, plan, month).totals.moveToFamilyOffice;
+  const suggestedBusinessIn = sweep > 0 ? sweep : 0;
+  const cf = { ...current.cashflow, ...cashflow };
+  if (cashflow.businessIn !== undefined) cf.businessInSuggestion = suggestedBusinessIn;
+
+  const transfers = { workingCapital: { ...current.transfers?.workingCapital }, cashflow: { ...current.transfers?.cashflow } };
+  matches.forEach(({ scope, key, record }) => {
+    if (scope[0] === "cashflow") transfers.cashflow[key] = record;
+    else transfers.workingCapital[scope[1]] = { ...transfers.workingCapital[scope[1]], [key]: record };
+  });
+
+  return {
+    ...state,
+    months: { ...state.months, [month]: { ...current, workingCapital: wc, cashflow: cf, transfers, suggestedBusinessIn } },
+  };
+}
@@ -0,0 +1,176 @@
+import { describe, expect, it } from "vitest";
+import { defaultAccounts, defaultTransferRules } from "./accounts.js";
+import {
+  applyImport,
+  categorizeDeposit,
+  csvStatement,
+  depositTotals,
+  guessCSVMapping,
+  isOFX,
+  parseAmount,
+  parseCSV,
+  parseDate,
+  parseMonth,
+  parseOFX,
+  spendFromCSV,
+  suggestFromStatements,
+} from "./bankImport.js";
+
+const state = {
+  month: "2026-03",
+  accounts: defaultAccounts(),
+  transferRules: defaultTransferRules(),
+  businesses: [{ id: "biz_main", name: "My Business", transferRules: {} }],
+  months: {
+    "2026-03": {
+      suggestedBusinessIn: 0,
+      workingCapital: {
+        biz_main: {
+          operatingExpenses: "30000",
+          inventoryCost: "0",
+          daysPerMonth: "30",
+          avgCollectionDays: "0",
+          businessChecking: "",
+          reserveAccountBalance: "",
+          bufferDays: "30",
+          reserveDays: "30",
+        },
+      },
+      cashflow: { businessIn: "10000", w2In: "3000", givingIsDollar: true, givingDollar: "500", lifestyleMonthly: "4000", needs: [] },
+      transfers: {},
+    },
+  },
+};
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD
+<BANKACCTFROM><BANKID>123<ACCTID>000123456789<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST><DTSTART>20260301<DTEND>20260331
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260302120000[-5:EST]<TRNAMT>12000.00<FITID>A1<NAME>ONLINE TRANSFER FROM CHK 4321</STMTTRN>
+<STMTTRN><TRNTYPE>DIRECTDEP<DTPOSTED>20260315<TRNAMT>3,000.00<FITID>A2<NAME>ACME PAYROLL<MEMO>DIR DEP</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260305<TRNAMT>-505.00<FITID>A3<NAME>Transfer to Giving</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260228<TRNAMT>999<FITID>A4<NAME>Refund</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL><BALAMT>8500.25<DTASOF>20260331</LEDGERBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+describe("parseAmount / parseDate", () => {
+  it("reads the formats banks export", () => {
+    expect(parseAmount("$1,234.56")).toBe(1234.56);
+    expect(parseAmount("(1,234.56)")).toBe(-1234.56);
+    expect(parseAmount("-20")).toBe(-20);
+    expect(parseAmount("1.234,56 €")).toBe(1234.56);
+    expect(parseAmount("-45,5")).toBe(-45.5);
+    expect(parseAmount("1,234")).toBe(1234);
+    expect(parseAmount("")).toBeNull();
+    expect(parseDate("03/05/2026")).toBe("2026-03-05");
+    expect(parseDate("3/5/26")).toBe("2026-03-05");
+    expect(parseDate("20260305120000[-5:EST]")).toBe("2026-03-05");
+    expect(parseDate("March 5")).toBeNull();
+  });
+});
+
+describe("parseOFX", () => {
+  it("reads the ledger balance and transactions of each statement", () => {
+    expect(isOFX(OFX)).toBe(true);
+    const [s] = parseOFX(OFX);
+    expect(s).toMatchObject({ acctId: "000123456789", last4: "6789", balance: 8500.25, balanceDate: "2026-03-31" });
+    expect(s.transactions).toHaveLength(4);
+    expect(s.transactions[1]).toEqual({ id: "A2", date: "2026-03-15", amount: 3000, description: "ACME PAYROLL · DIR DEP" });
+  });
+});
+
+describe("CSV import", () => {
+  const csv = 'Date,Description,Debit,Credit,Balance\r\n03/20/2026,"Owner draw, March",,"2,000.00",9000\r\n03/02/2026,Rent,1500.00,,7000\r\n';
+
+  it("guesses a mapping from the header and reads the newest balance", () => {
+    const rows = parseCSV(csv);
+    expect(rows[1][1]).toBe("Owner draw, March");
+    const mapping = guessCSVMapping(rows[0]);
+    expect(mapping).toEqual({ date: 0, description: 1, amount: -1, credit: 3, debit: 2, balance: 4 });
+
+    const s = csvStatement(rows, mapping);
+    expect(s.balance).toBe(9000);
+    expect(s.balanceDate).toBe("2026-03-20");
+    expect(s.transactions.map((t) => t.amount)).toEqual([-1500, 2000]);
+  });
+});
+
+describe("spendFromCSV", () => {
+  it("reads monthly spend in the usual month formats", () => {
+    expect(["2026-03", "03/2026", "Mar 2026", "March 2026", "03/15/2026"].map(parseMonth)).toEqual(Array(5).fill("2026-03"));
+    expect(parseMonth("Q1 2026")).toBeNull();
+  });
+
+  it("maps columns from the header and adds up rows in the same month", () => {
+    const rows = parseCSV("Period,Total Expenses,COGS\nJan 2026,\"(40,000)\",5000\n01/20/2026,500,\nFeb 2026,60000,0\nTotal,100500,5000\n");
+    expect(spendFromCSV(rows)).toEqual({
+      "2026-01": { operating: "40500", inventory: "5000" },
+      "2026-02": { operating: "60000", inventory: "0" },
+    });
+  });
+});
+
+describe("categorizeDeposit", () => {
+  it("treats transfers in as business and payroll or anything else as W-2 / Other", () => {
+    expect(categorizeDeposit({ description: "Online Transfer from Biz" })).toBe("business");
+    expect(categorizeDeposit({ description: "Gusto payroll" })).toBe("w2");
+    expect(categorizeDeposit({ description: "Interest" })).toBe("w2");
+  });
+});
+
+describe("suggestFromStatements", () => {
+  const [familyOffice] = parseOFX(OFX);
+  const statements = [
+    { accountId: "acct_business", balance: 50000, transactions: [] },
+    { accountId: "acct_reserve", balance: 20000, transactions: [] },
+    { accountId: "acct_familyOffice", ...familyOffice },
+  ];
+
+  it("suggests balances, this month's deposits and matching transfers", () => {
+    const s = suggestFromStatements(statements, state, "2026-03");
+    expect(s.workingCapital).toEqual({ biz_main: { businessChecking: "50000", reserveAccountBalance: "20000" } });
+    expect(s.deposits.map((d) => [d.tx.id, d.kind])).toEqual([
+      ["A1", "business"],
+      ["A2", "w2"],
+    ]);
+    expect(depositTotals(s.deposits)).toEqual({ businessIn: 12000, w2In: 3000 });
+    expect(s.matches).toEqual([
+      {
+        scope: ["cashflow"],
+        key: "cf_giving",
+        tx: familyOffice.transactions[2],
+        record: { amount: "505", date: "2026-03-05", confirmation: "A3", note: "Transfer to Giving", suggested: 500 },
+      },
+    ]);
+  });
+
+  it("skips rows that are already recorded", () => {
+    const recorded = structuredClone(state);
+    recorded.months["2026-03"].transfers = { cashflow: { cf_giving: { amount: "" } } };
+    expect(suggestFromStatements(statements, recorded, "2026-03").matches).toEqual([]);
+  });
+});
+
+describe("applyImport", () => {
+  it("fills the inputs, records matches and keeps the Cash Flow prefill from overwriting imported figures", () => {
+    const record = { amount: "505", date: "2026-03-05", confirmation: "A3", note: "", suggested: 500 };
+    const next = applyImport(state, "2026-03", {
+      workingCapital: { biz_main: { businessChecking: "50000" } },
+      cashflow: { businessIn: "12000", w2In: "3000" },
+      matches: [{ scope: ["cashflow"], key: "cf_giving", record }],
+    });
+    const d = next.months["2026-03"];
+    expect(d.workingCapital.biz_main).toMatchObject({ businessChecking: "50000", operatingExpenses: "30000" });
+    expect(d.cashflow).toMatchObject({ businessIn: "12000", w2In: "3000" });
+    // 50000 checking - 30000 goal, with the empty reserve topped off to 30000 first → nothing to sweep
+    expect(d.suggestedBusinessIn).toBe(0);
+    expect(d.cashflow.businessInSuggestion).toBe(d.suggestedBusinessIn);
+    expect(d.transfers.cashflow.cf_giving).toEqual(record);
+  });
+
+  it("leaves months that haven't been started alone", () => {
+    expect(applyImport(state, "2026-04", { cashflow: { w2In: "1" } })).toBe(state);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Currencies
+ * - settings.baseCurrency is what the waterfall, totals and projections are in; settings.locale picks the
+ *   number format ("" = the browser's)
+ * - An account may hold another currency (account.currency; "" = the base currency). Balances typed for
+ *   an account are in its currency and converted with the rates the user enters:
+ *   settings.exchangeRates = { [code]: "1.08" } means one unit of `code` is worth 1.08 of the base currency
+ */
+
+import { DEFAULT_MONEY_FORMAT, toNumber } from "./helpers.js";
+
+export const DEFAULT_CURRENCY = "USD";
+
+export const CURRENCIES = [
+  { code: "USD", label: "US dollar" },
+  { code: "CAD", label: "Canadian dollar" },
+  { code: "EUR", label: "Euro" },
+  { code: "GBP", label: "British pound" },
+  { code: "CHF", label: "Swiss franc" },
+  { code: "AUD", label: "Australian dollar" },
+  { code: "MXN", label: "Mexican peso" },
+  { code: "JPY", label: "Japanese yen" },
+];
+
+export const LOCALES = [
+  { value: "", label: "Browser default" },
+  { value: "en-US", label: "English (US) · 1,234.56" },
+  { value: "en-CA", label: "English (Canada) · 1,234.56" },
+  { value: "fr-CA", label: "Français (Canada) · 1 234,56" },
+  { value: "en-GB", label: "English (UK) · 1,234.56" },
+  { value: "de-DE", label: "Deutsch · 1.234,56" },
+  { value: "fr-FR", label: "Français · 1 234,56" },
+  { value: "es-ES", label: "Español · 1.234,56" },
+  { value: "it-IT", label: "Italiano · 1.234,56" },
+  { value: "nl-NL", label: "Nederlands · 1.234,56" },
+  { value: "de-CH", label: "Deutsch (Schweiz) · 1’234.56" },
+];
+
+export function baseCurrency(settings) {
+  return settings?.baseCurrency || DEFAULT_CURRENCY;
+}
+
+// What fmtMoney and friends need to show amounts the user's way
+export function moneyFormat(settings) {
+  return { locale: settings?.locale || DEFAULT_MONEY_FORMAT.locale, currency: baseCurrency(settings) };
+}
+
+export function accountCurrency(account, settings) {
+  return account?.currency || baseCurrency(settings);
+}
+
+// Base-currency value of one unit of `currency`; null when no rate has been entered
+export function exchangeRate(settings, currency) {
+  if (!currency || currency === baseCurrency(settings)) return 1;
+  const rate = toNumber(settings?.exchangeRates?.[currency]);
+  return rate > 0 ? rate : null;
+}
+
+// Without a rate an amount is taken at face value; missingRates lets the UI say so
+export function toBase(amount, currency, settings) {
+  return amount * (exchangeRate(settings, currency) ?? 1);
+}
+
+export function fromBase(amount, currency, settings) {
+  return amount / (exchangeRate(settings, currency) ?? 1);
+}
+
+// Currencies the accounts use other than the base, each with its rate (null = not entered yet)
+export function foreignCurrencies(accounts, settings) {
+  const codes = [...new Set((accounts || []).map((a) => accountCurrency(a, settings)))].filter((c) => c !== baseCurrency(settings));
+  return codes.sort().map((code) => ({ code, rate: exchangeRate(settings, code) }));
+}
+
+export function missingRates(accounts, settings) {
+  return foreignCurrencies(accounts, settings)
+    .filter((c) => c.rate === null)
+    .map((c) => c.code);
+}
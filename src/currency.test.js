@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { baseCurrency, exchangeRate, foreignCurrencies, fromBase, missingRates, moneyFormat, toBase } from "./currency.js";
+
+const settings = { baseCurrency: "USD", exchangeRates: { EUR: "1.08", CAD: "" } };
+const accounts = [{ id: "a", currency: "" }, { id: "b", currency: "EUR" }, { id: "c", currency: "CAD" }, { id: "d", currency: "USD" }];
+
+describe("currency", () => {
+  it("defaults to US dollars", () => {
+    expect(baseCurrency({})).toBe("USD");
+    expect(baseCurrency({ baseCurrency: "CAD" })).toBe("CAD");
+  });
+
+  it("formats money the way the settings say", () => {
+    expect(moneyFormat(undefined)).toEqual({ locale: undefined, currency: "USD" });
+    expect(moneyFormat({ locale: "de-DE", baseCurrency: "EUR" })).toEqual({ locale: "de-DE", currency: "EUR" });
+  });
+
+  it("converts with the entered rates", () => {
+    expect(exchangeRate(settings, "USD")).toBe(1);
+    expect(exchangeRate(settings, "EUR")).toBe(1.08);
+    expect(toBase(1000, "EUR", settings)).toBeCloseTo(1080);
+    expect(fromBase(1080, "EUR", settings)).toBeCloseTo(1000);
+  });
+
+  it("lists foreign currencies and the ones still missing a rate", () => {
+    expect(foreignCurrencies(accounts, settings)).toEqual([
+      { code: "CAD", rate: null },
+      { code: "EUR", rate: 1.08 },
+    ]);
+    expect(missingRates(accounts, settings)).toEqual(["CAD"]);
+    expect(toBase(100, "CAD", settings)).toBe(100);
+  });
+});
@@ -0,0 +1,700 @@
+import { resolveTransfer } from "./accounts.js";
+import { accountCurrency, baseCurrency, fromBase, moneyFormat, toBase } from "./currency.js";
+import { fmtMoney, makeId, monthAdd, monthDiff, toNumber } from "./helpers.js";
+import { fromCents, roundTransfer, splitCents, sumCents, toCents } from "./money.js";
+
+/**
+ * Calculation engine (pure, no React)
+ * - Working Capital waterfall: buffer goal → reserve top-off → Family Office
+ *   (monthly spend from typed inputs, or a trailing average / median / max of entered actuals)
+ * - Cash Flow allocation: giving → lifestyle (topped up to target when its balance is known) →
+ *   emergency minimum (when the Family Office balance is known) → needs → Wealth Creation
+ * - Inputs are the raw form values stored in state (strings), outputs are numbers + transfer rows
+ * - `plan` is the user's { accounts, transferRules, settings }: it names the accounts on each transfer row
+ *   and carries per-user settings such as the needs horizon, currencies and planning rules
+ * - Amounts are in the base currency, except account balances, which are typed in the account's own
+ *   currency and converted (see currency.js)
+ * - Arithmetic runs in integer cents and computed transfers follow the user's rounding rule (see
+ *   money.js); Cash Flow rows 1–4 add up to the inflow to the cent
+ */
+
+export const NEEDS_HORIZONS = [3, 6, 12, 18];
+export const DEFAULT_NEEDS_HORIZON = 6;
+
+// How many months ahead (counting this one) needs are funded; a per-user setting on the plan
+export function needsHorizon(plan) {
+  const h = Math.floor(toNumber(plan?.settings?.needsHorizonMonths));
+  return h > 0 ? h : DEFAULT_NEEDS_HORIZON;
+}
+
+// Per-user planning rules (plan.settings.rules): emergency minimum and Lifestyle target as months of
+// lifestyle spend, the smallest need worth tracking, and the buffer / reserve days a blank
+// Working Capital input stands for. Blank or negative entries use these; anything past RULE_LIMITS is
+// held at the limit, so a mistyped multiplier can't blow up the emergency minimum or Lifestyle target.
+export const DEFAULT_RULES = { emergencyMonths: 1, lifestyleTargetMonths: 2, needsThreshold: 5000, bufferDays: 45, reserveDays: 45 };
+
+export const RULE_LIMITS = { emergencyMonths: 24, lifestyleTargetMonths: 12, needsThreshold: 1000000, bufferDays: 365, reserveDays: 365 };
+
+export function planRules(plan) {
+  const saved = plan?.settings?.rules || {};
+  return Object.fromEntries(
+    Object.entries(DEFAULT_RULES).map(([key, fallback]) => {
+      const n = toNumber(saved[key]);
+      return [key, isBlank(saved[key]) || n < 0 ? fallback : Math.min(n, RULE_LIMITS[key])];
+    })
+  );
+}
+
+function transferRow(plan, key, stepLabel, amount, describe, extra = {}) {
+  const t = resolveTransfer(plan, key);
+  const settings = plan?.settings;
+  const currencies = { from: accountCurrency(t.from, settings), to: accountCurrency(t.to, settings) };
+  // what the bank will show when an account on either end isn't in the base currency
+  const foreign = [currencies.from, currencies.to].find((c) => c !== baseCurrency(settings));
+  const converted = foreign ? { currency: foreign, amount: fromBase(amount, foreign, settings) } : null;
+  return { key, stepLabel, title: describe(t), amount, from: t.from?.id ?? null, to: t.to?.id ?? null, currencies, converted, ...extra };
+}
+
+// Currencies the two Working Capital balances are typed in: Business Checking is where the reserve
+// top-off leaves from, the reserve is where it lands
+export function balanceCurrencies(plan) {
+  const t = resolveTransfer(plan, "wc_reserve");
+  return { businessChecking: accountCurrency(t.from, plan?.settings), reserveAccountBalance: accountCurrency(t.to, plan?.settings) };
+}
+
+// ---------- Working Capital ----------
+export function computeWorkingCapital(wc = {}, plan) {
+  const settings = plan?.settings;
+  const spendCents = toCents(wc.operatingExpenses) + toCents(wc.inventoryCost);
+  const daysPerMonth = toNumber(wc.daysPerMonth);
+  const perDayCents = daysPerMonth > 0 ? spendCents / daysPerMonth : 0;
+  const days = (n) => Math.round(perDayCents * toNumber(n));
+  const rules = planRules(plan);
+  const bufferDays = isBlank(wc.bufferDays) ? rules.bufferDays : toNumber(wc.bufferDays);
+  const reserveDays = isBlank(wc.reserveDays) ? rules.reserveDays : toNumber(wc.reserveDays);
+
+  // Receivables lag: cash isn't back for `avgCollectionDays`, so checking carries that much extra spend
+  const collectionDays = toNumber(wc.avgCollectionDays);
+  const baseBufferCents = days(bufferDays);
+  const collectionBufferCents = days(collectionDays);
+  const wcGoalCents = baseBufferCents + collectionBufferCents;
+  const reserveGoalCents = days(reserveDays);
+
+  const currencies = balanceCurrencies(plan);
+  const businessCents = toCents(toBase(toNumber(wc.businessChecking), currencies.businessChecking, settings));
+  const reserveCents = toCents(toBase(toNumber(wc.reserveAccountBalance), currencies.reserveAccountBalance, settings));
+
+  const availableCents = Math.max(0, businessCents - wcGoalCents);
+  const reserveShortCents = Math.max(0, reserveGoalCents - reserveCents);
+  const moveToReserveCents = roundTransfer(Math.min(availableCents, reserveShortCents), settings, availableCents);
+  // what rounding leaves behind stays in Business Checking
+  const moveToFamilyOfficeCents = roundTransfer(availableCents - moveToReserveCents, settings, availableCents - moveToReserveCents);
+
+  const monthlySpend = fromCents(spendCents);
+  const perDay = perDayCents / 100;
+  const baseBuffer = fromCents(baseBufferCents);
+  const collectionBuffer = fromCents(collectionBufferCents);
+  const wcGoal = fromCents(wcGoalCents);
+  const reserveGoal = fromCents(reserveGoalCents);
+  const businessBalance = fromCents(businessCents);
+  const reserveBalance = fromCents(reserveCents);
+  const businessDelta = fromCents(businessCents - wcGoalCents);
+  const availableFromBusiness = fromCents(availableCents);
+  const reserveShort = fromCents(reserveShortCents);
+  const moveToReserve = fromCents(moveToReserveCents);
+  const moveToFamilyOffice = fromCents(moveToFamilyOfficeCents);
+  const reserveDelta = fromCents(reserveCents - reserveGoalCents);
+
+  const money = moneyFormat(plan?.settings);
+  const transferRows = [
+    transferRow(
+      plan,
+      "wc_reserve",
+      "1",
+      moveToReserve,
+      (t) => (moveToReserve > 0 ? `Move ${fmtMoney(moveToReserve, money)} from ${t.fromLabel} → ${t.toLabel}` : "No move needed"),
+      { emphasis: moveToReserve > 0 ? "good" : "default" }
+    ),
+    transferRow(
+      plan,
+      "wc_familyOffice",
+      "2",
+      moveToFamilyOffice,
+      (t) => (moveToFamilyOffice > 0 ? `Move ${fmtMoney(moveToFamilyOffice, money)} from ${t.fromLabel} → ${t.toLabel}` : "No excess available"),
+      { emphasis: moveToFamilyOffice > 0 ? "good" : "default" }
+    ),
+  ];
+
+  return {
+    balanceCurrencies: currencies,
+    monthlySpend,
+    perDay,
+    bufferDays,
+    reserveDays,
+    collectionDays,
+    baseBuffer,
+    collectionBuffer,
+    wcGoal,
+    reserveGoal,
+    businessBalance,
+    reserveBalance,
+    businessDelta,
+    reserveDelta,
+    availableFromBusiness,
+    reserveShort,
+    moveToReserve,
+    moveToFamilyOffice,
+    transferRows,
+  };
+}
+
+// ---------- Trailing spend ----------
+// Where the monthly spend behind perDay comes from: the typed inputs, or a statistic of recent actuals
+export const EXPENSE_BASES = [
+  { value: "typed", label: "Typed figures" },
+  { value: "average", label: "Trailing average" },
+  { value: "median", label: "Trailing median" },
+  { value: "max", label: "Trailing max (most conservative)" },
+];
+export const TRAILING_WINDOWS = [3, 6, 9, 12];
+export const DEFAULT_TRAILING_MONTHS = 6;
+// Fewer months of actuals than this and the typed figures are used instead
+export const MIN_TRAILING_MONTHS = 3;
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const SPEND_STATS = {
+  average: (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0),
+  median,
+  max: (values) => (values.length ? Math.max(...values) : 0),
+};
+
+/**
+ * Actual spend over the `count` full months before `month` (the current month isn't over yet).
+ * actuals: { [YYYY-MM]: { operating, inventory } } per business; months with no entry are skipped, not zero.
+ * Each statistic is taken per line (operating, inventory) across the months that have actuals.
+ * Seasonality: each month's total against the window average (1 = a typical month), plus the same
+ * calendar month a year back when it was entered, as a hint of what this month usually looks like.
+ */
+export function trailingSpend(actuals = {}, month, count = DEFAULT_TRAILING_MONTHS) {
+  const months = [];
+  for (let i = count; i >= 1; i--) {
+    const m = monthAdd(month, -i);
+    const a = actuals?.[m];
+    if (!a || (String(a.operating ?? "").trim() === "" && String(a.inventory ?? "").trim() === "")) continue;
+    const operating = toNumber(a.operating);
+    const inventory = toNumber(a.inventory);
+    months.push({ month: m, operating, inventory, total: operating + inventory });
+  }
+
+  const stats = {};
+  Object.entries(SPEND_STATS).forEach(([key, fn]) => {
+    const operating = fn(months.map((x) => x.operating));
+    const inventory = fn(months.map((x) => x.inventory));
+    stats[key] = { operating, inventory, total: operating + inventory };
+  });
+
+  const typical = stats.average.total;
+  const index = (total) => (typical > 0 ? total / typical : 0);
+  const lastYearMonth = monthAdd(month, -12);
+  const lastYear = actuals?.[lastYearMonth];
+  const lastYearTotal = lastYear ? toNumber(lastYear.operating) + toNumber(lastYear.inventory) : 0;
+
+  return {
+    months: months.map((x) => ({ ...x, index: index(x.total) })),
+    stats,
+    sameMonthLastYear: lastYearTotal > 0 ? { month: lastYearMonth, total: lastYearTotal, index: index(lastYearTotal) } : null,
+  };
+}
+
+// The operating / inventory figures that drive perDay for one business this month
+export function resolveSpend(wc = {}, actuals, month) {
+  const requested = SPEND_STATS[wc.expenseBasis] ? wc.expenseBasis : "typed";
+  const window = Math.floor(toNumber(wc.trailingMonths)) || DEFAULT_TRAILING_MONTHS;
+  const trailing = month ? trailingSpend(actuals, month, window) : null;
+  const useTrailing = requested !== "typed" && trailing && trailing.months.length >= MIN_TRAILING_MONTHS;
+
+  return {
+    requested,
+    basis: useTrailing ? requested : "typed",
+    window,
+    operatingExpenses: useTrailing ? trailing.stats[requested].operating : toNumber(wc.operatingExpenses),
+    inventoryCost: useTrailing ? trailing.stats[requested].inventory : toNumber(wc.inventoryCost),
+    trailing,
+  };
+}
+
+// Several businesses sweep into the same Family Office. Each runs its own waterfall with its own
+// accounts (business.transferRules override the plan's wc_* rules); totals are the consolidated view.
+// With a month, each business's spend comes from resolveSpend (its trailing actuals when chosen).
+export function businessPlan(plan, business) {
+  return { ...plan, transferRules: { ...(plan?.transferRules || {}), ...(business?.transferRules || {}) } };
+}
+
+export function computeBusinesses(businesses = [], wcByBusiness = {}, plan, month) {
+  const byBusiness = businesses.map((business) => {
+    const wc = wcByBusiness?.[business.id];
+    const spend = resolveSpend(wc, business.spendActuals, month);
+    const inputs = { ...(wc || {}), operatingExpenses: spend.operatingExpenses, inventoryCost: spend.inventoryCost };
+    return { business, result: { ...computeWorkingCapital(inputs, businessPlan(plan, business)), spend } };
+  });
+
+  const sum = (key) => fromCents(sumCents(byBusiness.map((b) => b.result[key])));
+  const totals = {
+    perDay: byBusiness.reduce((acc, b) => acc + b.result.perDay, 0),
+    collectionBuffer: sum("collectionBuffer"),
+    wcGoal: sum("wcGoal"),
+    reserveGoal: sum("reserveGoal"),
+    businessBalance: sum("businessBalance"),
+    reserveBalance: sum("reserveBalance"),
+    moveToReserve: sum("moveToReserve"),
+    moveToFamilyOffice: sum("moveToFamilyOffice"),
+  };
+
+  return { byBusiness, totals };
+}
+
+// ---------- Cash Flow ----------
+export function needRemaining(need) {
+  return Math.max(0, toNumber(need.target) - toNumber(need.funded));
+}
+
+// Open needs due this month or within the rest of the horizon
+export function isNeedInWindow(need, month, horizon = DEFAULT_NEEDS_HORIZON) {
+  if (!need || need.status !== "open") return false;
+  const diff = monthDiff(month, need.dueMonth);
+  return diff >= 0 && diff < horizon;
+}
+
+// Close out a paid need. Whatever was set aside beyond the actual bill is released, either kept in
+// the Family Office or moved on to Wealth Creation; a shortfall is covered from the Family Office.
+export function closeNeed(need, { paidOn, actualAmount, leftoverTo = "familyOffice", month }) {
+  return { ...need, status: "paid", paidOn, paidMonth: month, actualAmount: String(actualAmount ?? ""), leftoverTo };
+}
+
+// Recurrence: "" (one-off), "monthly", "quarterly", "annual" or "custom" (every `repeatMonths`)
+export const NEED_REPEATS = [
+  { value: "", label: "One-off" },
+  { value: "monthly", label: "Monthly" },
+  { value: "quarterly", label: "Quarterly" },
+  { value: "annual", label: "Annual" },
+  { value: "custom", label: "Every N months" },
+];
+
+export function repeatInterval(need) {
+  if (need?.repeat === "monthly") return 1;
+  if (need?.repeat === "quarterly") return 3;
+  if (need?.repeat === "annual") return 12;
+  if (need?.repeat === "custom") return Math.max(0, Math.floor(toNumber(need.repeatMonths)));
+  return 0;
+}
+
+export function nextOccurrence(need, id = makeId()) {
+  const every = repeatInterval(need);
+  if (!every) return null;
+  return {
+    id,
+    name: need.name,
+    target: need.target,
+    dueMonth: monthAdd(need.dueMonth, every),
+    funded: "0",
+    status: "open",
+    repeat: need.repeat,
+    repeatMonths: need.repeatMonths,
+    previousId: need.id,
+  };
+}
+
+// Close a need in the list; a recurring need schedules its next occurrence right after it
+export function closeNeedInList(needs, id, details) {
+  return needs.flatMap((n) => {
+    if (n.id !== id) return [n];
+    const closed = closeNeed(n, details);
+    const next = nextOccurrence(closed);
+    return next ? [closed, next] : [closed];
+  });
+}
+
+// Reopen a paid need; its scheduled follow-up goes away unless money was already set aside for it
+export function reopenNeedInList(needs, id) {
+  return needs
+    .filter((n) => !(n.previousId === id && n.status === "open" && toNumber(n.funded) === 0))
+    .map((n) => (n.id === id ? reopenNeed(n) : n));
+}
+
+export function reopenNeed(need) {
+  const next = { ...need, status: "open" };
+  ["paidOn", "paidMonth", "actualAmount", "leftoverTo"].forEach((k) => delete next[k]);
+  return next;
+}
+
+export function needSettlement(need) {
+  const funded = toNumber(need.funded);
+  const actual = toNumber(need.actualAmount);
+  return {
+    funded,
+    actual,
+    vsTarget: actual - toNumber(need.target),
+    leftover: Math.max(0, funded - actual),
+    shortfall: Math.max(0, actual - funded),
+  };
+}
+
+export function computeCashflow(cf = {}, month, plan) {
+  const settings = plan?.settings;
+  const money = moneyFormat(settings);
+  const needs = cf.needs || [];
+  // Carry-in was already given from last month, so giving % applies to new income only
+  const incomeCents = toCents(cf.businessIn) + toCents(cf.w2In);
+  const carryInCents = toCents(cf.carryIn);
+  const inflowCents = incomeCents + carryInCents;
+
+  const givingCents = cf.givingIsDollar
+    ? Math.min(toCents(cf.givingDollar), inflowCents)
+    : roundTransfer((toNumber(cf.givingPercent) / 100) * incomeCents, settings, incomeCents);
+
+  const activeNeeds = needs.filter((n) => n.status === "open");
+  const horizon = needsHorizon(plan);
+  const windowNeeds = needs.filter((n) => isNeedInWindow(n, month, horizon));
+  const reservedCents = sumCents(activeNeeds.map((n) => n.funded));
+
+  // Lifestyle: the monthly rule, or — with today's balance — whatever brings the account to target
+  const rules = planRules(plan);
+  const lifestyleSpendCents = toCents(cf.lifestyleMonthly);
+  const lifestyleTargetCents = Math.round(rules.lifestyleTargetMonths * lifestyleSpendCents);
+  const lifestyleTracked = !isBlank(cf.lifestyleBalance);
+  const lifestyleBalanceCents = toCents(cf.lifestyleBalance);
+  const lifestyleCents = lifestyleTracked ? Math.max(0, lifestyleTargetCents - lifestyleBalanceCents) : lifestyleSpendCents;
+
+  // Emergency minimum held in the Family Office; set-asides for open needs are spoken for and don't count
+  const emergencyMinimumCents = Math.round(rules.emergencyMonths * lifestyleSpendCents);
+  const familyOfficeTracked = !isBlank(cf.familyOfficeBalance);
+  const emergencyHeldCents = toCents(cf.familyOfficeBalance) - reservedCents;
+  const emergencyShortCents = familyOfficeTracked ? Math.max(0, emergencyMinimumCents - emergencyHeldCents) : 0;
+
+  const lifestyle = fromCents(lifestyleCents);
+  const emergencyHeldInFO = fromCents(emergencyMinimumCents);
+  const lifestyleTargetBalance = fromCents(lifestyleTargetCents);
+  const totalReservedOpen = fromCents(reservedCents);
+  const remainingTotal = fromCents(sumCents(windowNeeds.map(needRemaining)));
+
+  // Needs paid this month release (or overdraw) their set-aside
+  const archivedNeeds = needs.filter((n) => n.status === "paid");
+  const settledThisMonth = archivedNeeds.filter((n) => n.paidMonth === month);
+  const settledSum = (fn) => fromCents(sumCents(settledThisMonth.map((n) => fn(n, needSettlement(n)))));
+  const releasedToWealth = settledSum((n, st) => (n.leftoverTo === "wealth" ? st.leftover : 0));
+  const releasedToFamilyOffice = settledSum((n, st) => (n.leftoverTo === "wealth" ? 0 : st.leftover));
+  const shortfallCovered = settledSum((n, st) => st.shortfall);
+
+  const fundingStrategy = cf.fundingStrategy || "earliest";
+  const needsWanted = needsDemand(needs, month, fundingStrategy, horizon);
+
+  const availableCents = inflowCents - givingCents - lifestyleCents;
+  // Leftovers kept in the Family Office join this month's money; paying over a set-aside spent some of it
+  const settledCents = toCents(releasedToFamilyOffice) - toCents(shortfallCovered);
+  const spendableCents = availableCents + settledCents;
+  // the emergency shortfall is topped up before anything goes to needs or Wealth Creation
+  const emergencyTopUpCents = Math.min(emergencyShortCents, Math.max(0, spendableCents));
+  const poolCents = spendableCents - emergencyTopUpCents;
+  const { pool: allocateToNeeds, plan: fundingPlan } = roundedNeedsFunding(needs, month, poolCents, fundingStrategy, horizon, settings);
+  const needsCents = toCents(allocateToNeeds);
+  // Wealth Creation takes the remainder, so the rows add up to the inflow (and what paid needs settled) exactly
+  const excessCents = poolCents - needsCents;
+
+  const income = fromCents(incomeCents);
+  const carryIn = fromCents(carryInCents);
+  const inflow = fromCents(inflowCents);
+  const givingAmount = fromCents(givingCents);
+  const availableAfterRequired = fromCents(availableCents);
+  const availableForNeeds = fromCents(poolCents);
+  const excess = fromCents(excessCents);
+  const emergencyTopUp = fromCents(emergencyTopUpCents);
+  const emergencyShortAfter = fromCents(emergencyShortCents - emergencyTopUpCents);
+
+  const alerts = [];
+  if (emergencyShortCents > 0) {
+    alerts.push({
+      kind: "emergency",
+      severity: emergencyShortAfter > 0 ? "bad" : "warn",
+      message:
+        emergencyShortAfter > 0
+          ? `Family Office is ${fmtMoney(fromCents(emergencyShortCents), money)} below the emergency minimum; this month covers ${fmtMoney(emergencyTopUp, money)}, leaving ${fmtMoney(emergencyShortAfter, money)} short`
+          : `Family Office is ${fmtMoney(fromCents(emergencyShortCents), money)} below the emergency minimum; this month's inflow tops it up`,
+    });
+  }
+  if (lifestyleTracked && lifestyleBalanceCents < lifestyleSpendCents) {
+    alerts.push({
+      kind: "lifestyle",
+      severity: "warn",
+      message: `Lifestyle holds less than a month of spend (${fmtMoney(fromCents(lifestyleBalanceCents), money)}); this month's transfer tops it up to ${fmtMoney(lifestyleTargetBalance, money)}`,
+    });
+  }
+  if (availableCents < 0) {
+    alerts.push({ kind: "short", severity: "bad", message: `Inflow is ${fmtMoney(-availableAfterRequired, money)} short of giving + lifestyle` });
+  }
+
+  let step = 0;
+  const nextStep = () => String(++step);
+  const transferRows = [
+    transferRow(plan, "cf_giving", nextStep(), Math.max(0, givingAmount), (t) => `${t.fromLabel} → ${t.toLabel}`),
+    transferRow(plan, "cf_lifestyle", nextStep(), lifestyle, (t) =>
+      lifestyleTracked ? `${t.fromLabel} → ${t.toLabel} (tops up to ${fmtMoney(lifestyleTargetBalance, money)})` : `${t.fromLabel} → ${t.toLabel}`
+    ),
+  ];
+  if (emergencyTopUpCents > 0) {
+    transferRows.push(
+      transferRow(plan, "cf_emergency", nextStep(), emergencyTopUp, (t) =>
+        t.from && t.from === t.to
+          ? `${t.fromLabel} → Emergency minimum (kept; stays in ${t.fromLabel})`
+          : `${t.fromLabel} → ${t.toLabel} (emergency minimum)`
+      )
+    );
+  }
+  transferRows.push(
+    transferRow(plan, "cf_needs", nextStep(), allocateToNeeds, (t) =>
+      t.from && t.from === t.to
+        ? `${t.fromLabel} → Needs reserve (set aside; stays in ${t.fromLabel})`
+        : `${t.fromLabel} → ${t.toLabel} (needs reserve)`
+    ),
+    transferRow(plan, "cf_wealth", nextStep(), excess, (t) => `${t.fromLabel} → ${t.toLabel}`, { emphasis: excess >= 0 ? "good" : "bad" })
+  );
+  if (releasedToWealth > 0) {
+    transferRows.push(
+      transferRow(plan, "cf_wealth", nextStep(), releasedToWealth, (t) => `${t.fromLabel} → ${t.toLabel} (left over from paid needs)`, {
+        key: "cf_needsRelease",
+        emphasis: "good",
+      })
+    );
+  }
+
+  return {
+    income,
+    carryIn,
+    inflow,
+    givingAmount,
+    lifestyle,
+    lifestyleSpend: fromCents(lifestyleSpendCents),
+    lifestyleTracked,
+    lifestyleBalance: fromCents(lifestyleBalanceCents),
+    emergencyHeldInFO,
+    emergencyMonths: rules.emergencyMonths,
+    lifestyleTargetMonths: rules.lifestyleTargetMonths,
+    familyOfficeTracked,
+    emergencyHeld: fromCents(emergencyHeldCents),
+    emergencyShort: fromCents(emergencyShortCents),
+    emergencyTopUp,
+    emergencyShortAfter,
+    lifestyleTargetBalance,
+    horizon,
+    activeNeeds,
+    windowNeeds,
+    archivedNeeds,
+    totalReservedOpen,
+    remainingTotal,
+    fundingStrategy,
+    needsWanted,
+    fundingPlan,
+    releasedToWealth,
+    releasedToFamilyOffice,
+    shortfallCovered,
+    settledFromNeeds: fromCents(settledCents),
+    availableAfterRequired,
+    availableForNeeds,
+    allocateToNeeds,
+    excess,
+    transferRows,
+    alerts,
+  };
+}
+
+// ---------- Recorded transfers ----------
+function isBlank(value) {
+  return String(value ?? "").trim() === "";
+}
+
+// A record is what actually moved: { amount, date, confirmation, note, suggested }.
+// A blank amount means "moved as suggested"; `suggested` is the row amount when it was recorded.
+export function transferActual(record, suggested = record?.suggested) {
+  if (!record) return 0;
+  return isBlank(record.amount) ? toNumber(suggested) : toNumber(record.amount);
+}
+
+// Actual minus suggested (0 when nothing is recorded)
+export function transferVariance(record, suggested = record?.suggested) {
+  return record ? fromCents(toCents(transferActual(record, suggested)) - toCents(suggested)) : 0;
+}
+
+export function recordAsSuggested(row, date) {
+  return { amount: String(row.amount), date, confirmation: "", note: "", suggested: row.amount };
+}
+
+// Next month's starting balances for one business: what was in the accounts minus what actually moved.
+// Transfers are in the base currency, balances in their account's (`plan` is the business's plan).
+export function carryForwardWorkingCapital(wc = {}, records = {}, plan) {
+  const toReserve = transferActual(records.wc_reserve);
+  const toFamilyOffice = transferActual(records.wc_familyOffice);
+  if (!records.wc_reserve && !records.wc_familyOffice) return { ...wc };
+  const currencies = balanceCurrencies(plan);
+  const settings = plan?.settings;
+  const moved = (amount, currency) => toCents(fromBase(amount, currency, settings));
+  return {
+    ...wc,
+    businessChecking: String(fromCents(toCents(wc.businessChecking) - moved(toReserve + toFamilyOffice, currencies.businessChecking))),
+    reserveAccountBalance: String(fromCents(toCents(wc.reserveAccountBalance) + moved(toReserve, currencies.reserveAccountBalance))),
+  };
+}
+
+// Cash Flow outflows that moved less (or more) than suggested leave the difference in the Family Office.
+// cf_needs and cf_emergency are kept inside the Family Office, so they never change what carries over.
+const KEPT_IN_FAMILY_OFFICE = ["cf_needs", "cf_emergency"];
+
+export function carryInFromTransfers(records = {}) {
+  const entries = Object.entries(records).filter(([key, r]) => !KEPT_IN_FAMILY_OFFICE.includes(key) && r);
+  return fromCents(0 - sumCents(entries.map(([, r]) => transferVariance(r))));
+}
+
+// ---------- Needs funding strategies ----------
+export const FUNDING_STRATEGIES = [
+  { value: "earliest", label: "Earliest due first" },
+  { value: "straightLine", label: "Straight-line until due" },
+  { value: "priority", label: "Priority-weighted" },
+  { value: "proportional", label: "Proportional to remaining" },
+];
+
+export const NEED_PRIORITIES = [
+  { value: "high", label: "High", weight: 3 },
+  { value: "normal", label: "Normal", weight: 2 },
+  { value: "low", label: "Low", weight: 1 },
+];
+
+function priorityWeight(need) {
+  return (NEED_PRIORITIES.find((p) => p.value === need.priority) || NEED_PRIORITIES[1]).weight;
+}
+
+// Months left to fund a need, counting this one (due this month → 1)
+export function monthsUntilDue(need, month) {
+  return Math.max(1, monthDiff(month, need.dueMonth) + 1);
+}
+
+function straightLineInstallment(need, month) {
+  return needRemaining(need) / monthsUntilDue(need, month);
+}
+
+// Split `pool` by weight without giving anyone more than their cap; whatever a capped item
+// can't take is shared among the rest.
+function distributeWeighted(items, pool) {
+  const out = {};
+  let left = pool;
+  let active = items.filter((i) => i.cap > 0 && i.weight > 0);
+  items.forEach((i) => (out[i.id] = 0));
+
+  while (left > 0 && active.length) {
+    const totalWeight = active.reduce((sum, i) => sum + i.weight, 0);
+    const capped = active.filter((i) => (left * i.weight) / totalWeight >= i.cap);
+    if (!capped.length) {
+      active.forEach((i) => (out[i.id] = (left * i.weight) / totalWeight));
+      break;
+    }
+    capped.forEach((i) => {
+      out[i.id] = i.cap;
+      left -= i.cap;
+    });
+    active = active.filter((i) => !capped.includes(i));
+  }
+  return out;
+}
+
+// What the strategy asks for this month before the pool is known: straight-line only wants this
+// month's installment, every other strategy would take everything still outstanding.
+export function needsDemand(needs = [], month, strategy = "earliest", horizon = DEFAULT_NEEDS_HORIZON) {
+  const windowNeeds = needs.filter((n) => isNeedInWindow(n, month, horizon));
+  if (strategy === "straightLine") return windowNeeds.reduce((sum, n) => sum + straightLineInstallment(n, month), 0);
+  return windowNeeds.reduce((sum, n) => sum + needRemaining(n), 0);
+}
+
+// How much of `pool` each in-window need receives this month: { [needId]: amount }
+export function planNeedsFunding(needs = [], month, pool, strategy = "earliest", horizon = DEFAULT_NEEDS_HORIZON) {
+  const windowNeeds = needs.filter((n) => isNeedInWindow(n, month, horizon));
+  let left = Math.max(0, pool);
+
+  if (strategy === "straightLine") {
+    const items = windowNeeds.map((n) => {
+      const installment = straightLineInstallment(n, month);
+      return { id: n.id, cap: installment, weight: installment };
+    });
+    return distributeWeighted(items, left);
+  }
+
+  if (strategy === "priority" || strategy === "proportional") {
+    const items = windowNeeds.map((n) => ({
+      id: n.id,
+      cap: needRemaining(n),
+      weight: strategy === "priority" ? priorityWeight(n) : needRemaining(n),
+    }));
+    return distributeWeighted(items, left);
+  }
+
+  // Earliest-due first: fill each need fully before moving to the next
+  const out = {};
+  [...windowNeeds]
+    .sort((a, b) => monthDiff(b.dueMonth, a.dueMonth))
+    .forEach((n) => {
+      const add = Math.min(needRemaining(n), left);
+      left -= add;
+      out[n.id] = add;
+    });
+  return out;
+}
+
+// What `strategy` sets aside out of `poolCents` once the user's rounding rule is applied, and each
+// need's share of it: { pool, plan: { [needId]: amount } }
+function roundedNeedsFunding(needs, month, poolCents, strategy, horizon, settings) {
+  const wanted = needsDemand(needs, month, strategy, horizon);
+  const needsCents = Math.max(0, roundTransfer(Math.min(poolCents, wanted * 100), settings, Math.max(0, poolCents)));
+  const cents = needsFundingCents(needs, month, needsCents, strategy, horizon);
+  return { pool: fromCents(needsCents), plan: Object.fromEntries(Object.entries(cents).map(([id, c]) => [id, fromCents(c)])) };
+}
+
+// Every strategy side by side for this month, rounded the same way; the selected one is exactly the
+// fundingPlan computeCashflow shows and "Fund needs this month" applies
+export function fundingPreview(cf = {}, month, plan) {
+  const r = computeCashflow(cf, month, plan);
+  const poolCents = toCents(r.availableForNeeds);
+  return FUNDING_STRATEGIES.map((f) =>
+    f.value === r.fundingStrategy
+      ? { ...f, pool: r.allocateToNeeds, plan: r.fundingPlan }
+      : { ...f, ...roundedNeedsFunding(cf.needs || [], month, poolCents, f.value, r.horizon, plan?.settings) }
+  );
+}
+
+// Each need's share in whole cents, adding up to exactly what the plan hands out of `poolCents`
+function needsFundingCents(needs, month, poolCents, strategy, horizon) {
+  const plan = planNeedsFunding(needs, month, fromCents(poolCents), strategy, horizon);
+  const plannedCents = Math.min(poolCents, Math.round(Object.values(plan).reduce((sum, v) => sum + v, 0) * 100));
+  return splitCents(plan, Math.max(0, plannedCents));
+}
+
+// Apply a funding plan. Returns the needs in their original order with updated `funded` strings; the
+// amounts are the same whole-cent split computeCashflow previews as fundingPlan.
+export function allocateNeeds(needs = [], month, pool, strategy = "earliest", horizon = DEFAULT_NEEDS_HORIZON) {
+  const cents = needsFundingCents(needs, month, Math.max(0, toCents(pool)), strategy, horizon);
+  return needs.map((n) => (cents[n.id] > 0 ? { ...n, funded: String(fromCents(toCents(n.funded) + cents[n.id])) } : n));
+}
+
+// ---------- whole month ----------
+export function computeMonth(monthData, month, plan, businesses) {
+  return {
+    workingCapital: computeBusinesses(businesses, monthData?.workingCapital, plan, month),
+    cashflow: computeCashflow(monthData?.cashflow, month, plan),
+  };
+}
+
+export function computeState(state, month = state?.month) {
+  const plan = { accounts: state?.accounts, transferRules: state?.transferRules, settings: state?.settings };
+  return computeMonth(state?.months?.[month], month, plan, state?.businesses);
+}
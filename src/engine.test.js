@@ -0,0 +1,695 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_RULES,
+  RULE_LIMITS,
+  allocateNeeds,
+  carryForwardWorkingCapital,
+  carryInFromTransfers,
+  closeNeed,
+  closeNeedInList,
+  computeBusinesses,
+  computeCashflow,
+  computeState,
+  computeWorkingCapital,
+  fundingPreview,
+  isNeedInWindow,
+  needSettlement,
+  needsDemand,
+  nextOccurrence,
+  planNeedsFunding,
+  planRules,
+  recordAsSuggested,
+  reopenNeed,
+  reopenNeedInList,
+  resolveSpend,
+  trailingSpend,
+  transferActual,
+  transferVariance,
+} from "./engine.js";
+
+const wcExample = {
+  operatingExpenses: "55000",
+  inventoryCost: "0",
+  daysPerMonth: "30",
+  avgCollectionDays: "0",
+  businessChecking: "125000",
+  reserveAccountBalance: "75000",
+  bufferDays: "45",
+  reserveDays: "45",
+};
+
+function need(id, dueMonth, target, funded = "0", status = "open") {
+  return { id, name: id, target, dueMonth, funded, status };
+}
+
+describe("computeWorkingCapital", () => {
+  it("runs the waterfall: buffer, reserve top-off, then Family Office", () => {
+    const r = computeWorkingCapital(wcExample);
+    expect(r.wcGoal).toBeCloseTo(82500);
+    expect(r.reserveGoal).toBeCloseTo(82500);
+    expect(r.moveToReserve).toBeCloseTo(7500);
+    expect(r.moveToFamilyOffice).toBeCloseTo(35000);
+    expect(r.transferRows.map((t) => t.key)).toEqual(["wc_reserve", "wc_familyOffice"]);
+    expect(r.transferRows[1].amount).toBeCloseTo(35000);
+  });
+
+  it("adds collection days of spend to the checking buffer only", () => {
+    const r = computeWorkingCapital({ ...wcExample, avgCollectionDays: "10" });
+    expect(r.baseBuffer).toBeCloseTo(82500);
+    expect(r.collectionBuffer).toBeCloseTo(18333.33, 1);
+    expect(r.wcGoal).toBeCloseTo(100833.33, 1);
+    expect(r.reserveGoal).toBeCloseTo(82500);
+    expect(r.moveToReserve).toBeCloseTo(7500);
+    // 16,666.67 available; transfers round down to the dollar by default
+    expect(r.moveToFamilyOffice).toBe(16666);
+  });
+
+  it("treats zero days per month as no spend per day", () => {
+    const r = computeWorkingCapital({ ...wcExample, daysPerMonth: "0" });
+    expect(r.perDay).toBe(0);
+    expect(r.wcGoal).toBe(0);
+    expect(r.moveToFamilyOffice).toBe(125000);
+  });
+
+  it("moves nothing when Business Checking is short", () => {
+    const r = computeWorkingCapital({ ...wcExample, businessChecking: "50000" });
+    expect(r.businessDelta).toBeCloseTo(-32500);
+    expect(r.moveToReserve).toBe(0);
+    expect(r.moveToFamilyOffice).toBe(0);
+    expect(r.transferRows.every((t) => t.emphasis === "default")).toBe(true);
+  });
+
+  it("sends the whole excess to reserve when the reserve is further short", () => {
+    const r = computeWorkingCapital({ ...wcExample, reserveAccountBalance: "0" });
+    expect(r.moveToReserve).toBeCloseTo(42500);
+    expect(r.moveToFamilyOffice).toBe(0);
+  });
+
+  it("handles an empty form", () => {
+    const r = computeWorkingCapital({});
+    expect(r.wcGoal).toBe(0);
+    expect(r.moveToFamilyOffice).toBe(0);
+  });
+});
+
+describe("transfer rows from the account plan", () => {
+  const plan = {
+    accounts: [
+      { id: "op", name: "Acme Operating", type: "operating", institution: "Chase", last4: "1234" },
+      { id: "res", name: "Acme Reserve", type: "reserve", institution: "", last4: "" },
+      { id: "fo", name: "Family Office", type: "familyOffice", institution: "", last4: "" },
+      { id: "tax", name: "Tax Savings", type: "tax", institution: "", last4: "9876" },
+    ],
+    transferRules: {
+      wc_reserve: { from: "op", to: "res" },
+      wc_familyOffice: { from: "op", to: "fo" },
+      cf_needs: { from: "fo", to: "tax" },
+    },
+  };
+
+  it("names source and destination accounts on each row", () => {
+    const r = computeWorkingCapital(wcExample, plan);
+    expect(r.transferRows[0].title).toContain("from Acme Operating ••1234 → Acme Reserve");
+    expect(r.transferRows[1].from).toBe("op");
+    expect(r.transferRows[1].to).toBe("fo");
+  });
+
+  it("describes needs moved to a separate account", () => {
+    const r = computeCashflow({ businessIn: "1000", needs: [] }, "2026-02", plan);
+    expect(r.transferRows[2].title).toBe("Family Office → Tax Savings ••9876 (needs reserve)");
+    expect(r.transferRows[2].to).toBe("tax");
+  });
+
+  it("keeps the default wording without a plan", () => {
+    const r = computeCashflow({ businessIn: "1000", needs: [] }, "2026-02");
+    expect(r.transferRows.map((t) => t.title)).toEqual([
+      "Family Office → Giving",
+      "Family Office → Lifestyle",
+      "Family Office → Needs reserve (set aside; stays in Family Office)",
+      "Family Office → Wealth Creation",
+    ]);
+  });
+});
+
+describe("accounts in another currency", () => {
+  const plan = {
+    accounts: [
+      { id: "op", name: "Acme Operating", type: "operating", currency: "CAD" },
+      { id: "res", name: "Acme Reserve", type: "reserve", currency: "" },
+      { id: "fo", name: "Family Office", type: "familyOffice", currency: "" },
+    ],
+    transferRules: { wc_reserve: { from: "op", to: "res" }, wc_familyOffice: { from: "op", to: "fo" } },
+    settings: { baseCurrency: "USD", exchangeRates: { CAD: "0.75" } },
+  };
+
+  it("converts balances into the base currency before running the waterfall", () => {
+    const r = computeWorkingCapital(wcExample, plan);
+    expect(r.balanceCurrencies).toEqual({ businessChecking: "CAD", reserveAccountBalance: "USD" });
+    expect(r.businessBalance).toBeCloseTo(93750);
+    expect(r.moveToReserve).toBeCloseTo(7500);
+    expect(r.moveToFamilyOffice).toBeCloseTo(3750);
+    expect(r.transferRows[0].currencies).toEqual({ from: "CAD", to: "USD" });
+    expect(r.transferRows[0].converted).toEqual({ currency: "CAD", amount: 10000 });
+  });
+
+  it("takes balances at face value until a rate is entered", () => {
+    const r = computeWorkingCapital(wcExample, { ...plan, settings: { baseCurrency: "USD" } });
+    expect(r.businessBalance).toBe(125000);
+  });
+
+  it("carries what moved back into each account's currency", () => {
+    const moved = { wc_reserve: recordAsSuggested({ amount: 7500 }, "2026-02-03"), wc_familyOffice: recordAsSuggested({ amount: 3750 }, "2026-02-03") };
+    expect(carryForwardWorkingCapital(wcExample, moved, plan)).toMatchObject({ businessChecking: "110000", reserveAccountBalance: "82500" });
+  });
+});
+
+describe("cents and rounding", () => {
+  const cf = {
+    businessIn: "10000.55",
+    w2In: "3333.33",
+    carryIn: "10.01",
+    givingIsDollar: false,
+    givingPercent: "7.5",
+    lifestyleMonthly: "4000",
+    needs: [need("a", "2026-03", "1000"), need("b", "2026-04", "1000"), need("c", "2026-05", "1000")],
+    fundingStrategy: "straightLine",
+  };
+  const rowSum = (r) => r.transferRows.slice(0, 4).reduce((sum, t) => sum + Math.round(t.amount * 100), 0);
+
+  it("rounds computed transfers down and lets Wealth Creation take the rest, to the cent", () => {
+    const r = computeCashflow(cf, "2026-03");
+    expect(r.inflow).toBe(13343.89);
+    expect(r.givingAmount).toBe(1000);
+    expect(r.allocateToNeeds).toBe(1833);
+    expect(rowSum(r)).toBe(Math.round(r.inflow * 100));
+    expect(Object.values(r.fundingPlan).reduce((sum, v) => sum + Math.round(v * 100), 0)).toBe(183300);
+  });
+
+  it("follows the user's rounding rule", () => {
+    const r = computeCashflow(cf, "2026-03", { settings: { rounding: { unit: "cent", transfers: "nearest" } } });
+    expect(r.givingAmount).toBe(1000.04);
+    expect(r.allocateToNeeds).toBe(1833.33);
+    expect(rowSum(r)).toBe(Math.round(r.inflow * 100));
+
+    const hundreds = computeWorkingCapital({ ...wcExample, businessChecking: "125049" }, { settings: { rounding: { unit: "hundred", transfers: "nearest" } } });
+    expect(hundreds.moveToReserve).toBe(7500);
+    expect(hundreds.moveToFamilyOffice).toBe(35000);
+  });
+
+  it("previews every strategy with the same rounding that funding applies", () => {
+    const needs = [need("a", "2026-04", "1000"), need("b", "2026-05", "5000")];
+    const cf = { businessIn: "3001.10", givingIsDollar: true, givingDollar: "0", lifestyleMonthly: "0", needs, fundingStrategy: "proportional" };
+    const r = computeCashflow(cf, "2026-03");
+    const preview = fundingPreview(cf, "2026-03");
+    const selected = preview.find((f) => f.value === "proportional");
+    expect(selected.pool).toBe(r.allocateToNeeds);
+    expect(selected.pool).toBe(3001);
+    expect(selected.plan).toEqual(r.fundingPlan);
+    expect(selected.plan).toEqual({ a: 500.17, b: 2500.83 });
+    expect(r.transferRows.find((t) => t.key === "cf_needs").amount).toBe(selected.pool);
+
+    const funded = allocateNeeds(needs, "2026-03", r.allocateToNeeds, "proportional");
+    expect(funded.map((n) => Number(n.funded))).toEqual([selected.plan.a, selected.plan.b]);
+    // the other columns follow the same rule: whole dollars by default
+    preview.forEach((f) => expect(Number.isInteger(f.pool)).toBe(true));
+  });
+
+  it("funds needs in whole cents matching the preview", () => {
+    const three = [need("a", "2026-06", "30000"), need("b", "2026-06", "30000"), need("c", "2026-06", "30000")];
+    const next = allocateNeeds(three, "2026-03", 20000, "proportional");
+    expect(next.map((n) => n.funded)).toEqual(["6666.67", "6666.67", "6666.66"]);
+
+    const r = computeCashflow({ businessIn: "20000", givingIsDollar: true, givingDollar: "0", lifestyleMonthly: "0", needs: three, fundingStrategy: "proportional" }, "2026-03", {
+      settings: { rounding: { unit: "cent" } },
+    });
+    expect(r.allocateToNeeds).toBe(20000);
+    expect(next.map((n) => Number(n.funded))).toEqual(three.map((n) => r.fundingPlan[n.id]));
+  });
+});
+
+describe("emergency minimum and Lifestyle balance", () => {
+  const cf = {
+    businessIn: "20000",
+    w2In: "0",
+    givingIsDollar: true,
+    givingDollar: "1000",
+    lifestyleMonthly: "5000",
+    lifestyleBalance: "3000",
+    familyOfficeBalance: "4000",
+    needs: [need("tax", "2026-03", "6000", "1000")],
+  };
+
+  it("tops Lifestyle up to target and the emergency minimum up before needs and Wealth Creation", () => {
+    const r = computeCashflow(cf, "2026-03");
+    expect(r).toMatchObject({ lifestyle: 7000, emergencyHeld: 3000, emergencyShort: 2000, emergencyTopUp: 2000, allocateToNeeds: 5000, excess: 5000 });
+    expect(r.transferRows.map((t) => [t.stepLabel, t.key, t.amount])).toEqual([
+      ["1", "cf_giving", 1000],
+      ["2", "cf_lifestyle", 7000],
+      ["3", "cf_emergency", 2000],
+      ["4", "cf_needs", 5000],
+      ["5", "cf_wealth", 5000],
+    ]);
+    expect(r.transferRows.reduce((sum, t) => sum + t.amount, 0)).toBe(r.inflow);
+    expect(r.alerts.map((a) => [a.kind, a.severity])).toEqual([
+      ["emergency", "warn"],
+      ["lifestyle", "warn"],
+    ]);
+  });
+
+  it("warns when the month can't cover the emergency shortfall", () => {
+    const r = computeCashflow({ ...cf, businessIn: "8000" }, "2026-03");
+    expect(r.emergencyTopUp).toBe(0);
+    expect(r.emergencyShortAfter).toBe(2000);
+    expect(r.alerts[0]).toMatchObject({ kind: "emergency", severity: "bad" });
+    expect(r.transferRows.map((t) => t.key)).not.toContain("cf_emergency");
+  });
+
+  it("uses the monthly rule and skips the checks when balances are blank", () => {
+    const r = computeCashflow({ ...cf, lifestyleBalance: "", familyOfficeBalance: "" }, "2026-03");
+    expect(r.lifestyle).toBe(5000);
+    expect(r.emergencyTopUp).toBe(0);
+    expect(r.alerts).toEqual([]);
+  });
+
+  it("keeps the emergency top-up in the Family Office when carrying over", () => {
+    expect(carryInFromTransfers({ cf_emergency: { amount: "0", suggested: 2000 } })).toBe(0);
+  });
+});
+
+describe("planning rules", () => {
+  it("falls back to the defaults for blank or negative entries", () => {
+    expect(planRules()).toEqual(DEFAULT_RULES);
+    expect(planRules({ settings: { rules: { emergencyMonths: "3", bufferDays: "", reserveDays: "-1" } } })).toMatchObject({
+      emergencyMonths: 3,
+      bufferDays: 45,
+      reserveDays: 45,
+    });
+  });
+
+  it("holds mistyped values at the limits", () => {
+    const rules = planRules({ settings: { rules: { emergencyMonths: "35", lifestyleTargetMonths: "12", bufferDays: "4500" } } });
+    expect(rules).toMatchObject({ emergencyMonths: RULE_LIMITS.emergencyMonths, lifestyleTargetMonths: 12, bufferDays: RULE_LIMITS.bufferDays });
+  });
+
+  it("sizes the emergency minimum and Lifestyle target by the chosen multipliers", () => {
+    const plan = { settings: { rules: { emergencyMonths: "3", lifestyleTargetMonths: "1.5" } } };
+    const r = computeCashflow({ businessIn: "30000", lifestyleMonthly: "4000", lifestyleBalance: "1000", familyOfficeBalance: "10000", needs: [] }, "2026-03", plan);
+    expect(r.emergencyHeldInFO).toBe(12000);
+    expect(r.emergencyTopUp).toBe(2000);
+    expect(r.lifestyleTargetBalance).toBe(6000);
+    expect(r.lifestyle).toBe(5000);
+  });
+
+  it("uses the default buffer and reserve days for blank inputs", () => {
+    const blankDays = { ...wcExample, bufferDays: "", reserveDays: "" };
+    expect(computeWorkingCapital(blankDays).wcGoal).toBeCloseTo(82500);
+    const r = computeWorkingCapital(blankDays, { settings: { rules: { bufferDays: "30", reserveDays: "60" } } });
+    expect(r).toMatchObject({ bufferDays: 30, reserveDays: 60, wcGoal: 55000, reserveGoal: 110000 });
+  });
+});
+
+describe("computeCashflow", () => {
+  const base = {
+    businessIn: "35000",
+    w2In: "5000",
+    givingIsDollar: false,
+    givingPercent: "10",
+    givingDollar: "",
+    lifestyleMonthly: "15000",
+    needs: [need("taxes", "2026-04", "12000"), need("trip", "2026-06", "8000")],
+  };
+
+  it("allocates giving, lifestyle, needs and excess", () => {
+    const r = computeCashflow(base, "2026-02");
+    expect(r.inflow).toBe(40000);
+    expect(r.givingAmount).toBe(4000);
+    expect(r.availableAfterRequired).toBe(21000);
+    expect(r.remainingTotal).toBe(20000);
+    expect(r.allocateToNeeds).toBe(20000);
+    expect(r.excess).toBe(1000);
+    expect(r.emergencyHeldInFO).toBe(15000);
+    expect(r.lifestyleTargetBalance).toBe(30000);
+    expect(r.transferRows.map((t) => t.amount)).toEqual([4000, 15000, 20000, 1000]);
+  });
+
+  it("caps dollar giving at the inflow", () => {
+    const r = computeCashflow({ ...base, givingIsDollar: true, givingDollar: "50000" }, "2026-02");
+    expect(r.givingAmount).toBe(40000);
+  });
+
+  it("reports negative excess when required transfers exceed inflow", () => {
+    const r = computeCashflow({ ...base, businessIn: "0" }, "2026-02");
+    expect(r.availableAfterRequired).toBe(-10500);
+    expect(r.allocateToNeeds).toBe(0);
+    expect(r.excess).toBe(-10500);
+    expect(r.transferRows[3].emphasis).toBe("bad");
+  });
+
+  it("adds carry-in to inflow without counting it for giving %", () => {
+    const r = computeCashflow({ ...base, carryIn: "2000" }, "2026-02");
+    expect(r.inflow).toBe(42000);
+    expect(r.givingAmount).toBe(4000);
+    expect(r.excess).toBe(3000);
+  });
+
+  it("ignores over-funded needs and needs outside the window", () => {
+    const needs = [need("over", "2026-03", "5000", "9000"), need("far", "2026-09", "10000"), need("done", "2026-03", "5000", "0", "closed")];
+    const r = computeCashflow({ ...base, needs }, "2026-02");
+    expect(r.remainingTotal).toBe(0);
+    expect(r.totalReservedOpen).toBe(9000);
+    expect(r.excess).toBe(21000);
+  });
+});
+
+describe("needs lifecycle", () => {
+  const cf = { businessIn: "10000", lifestyleMonthly: "0", needs: [] };
+
+  it("settles a paid need against what was set aside", () => {
+    const paid = closeNeed(need("taxes", "2026-04", "12000", "12000"), { paidOn: "2026-04-14", actualAmount: "11000", month: "2026-04" });
+    expect(paid.status).toBe("paid");
+    expect(paid.paidMonth).toBe("2026-04");
+    expect(needSettlement(paid)).toEqual({ funded: 12000, actual: 11000, vsTarget: -1000, leftover: 1000, shortfall: 0 });
+  });
+
+  it("drops paid needs from the open reserve and the window", () => {
+    const paid = closeNeed(need("taxes", "2026-04", "12000", "12000"), { paidOn: "2026-04-14", actualAmount: "12500", month: "2026-04" });
+    const r = computeCashflow({ ...cf, needs: [paid, need("trip", "2026-06", "8000", "3000")] }, "2026-04");
+    expect(r.totalReservedOpen).toBe(3000);
+    expect(r.remainingTotal).toBe(5000);
+    expect(r.archivedNeeds.map((n) => n.id)).toEqual(["taxes"]);
+    expect(r.shortfallCovered).toBe(500);
+  });
+
+  it("adds a Wealth Creation transfer for leftovers sent there", () => {
+    const paid = closeNeed(need("trip", "2026-04", "8000", "8000"), { paidOn: "2026-04-02", actualAmount: "6500", leftoverTo: "wealth", month: "2026-04" });
+    const r = computeCashflow({ ...cf, needs: [paid] }, "2026-04");
+    expect(r.releasedToWealth).toBe(1500);
+    expect(r.releasedToFamilyOffice).toBe(0);
+    expect(r.transferRows.at(-1)).toMatchObject({ key: "cf_needsRelease", amount: 1500 });
+
+    const later = computeCashflow({ ...cf, needs: [paid] }, "2026-05");
+    expect(later.releasedToWealth).toBe(0);
+    expect(later.transferRows.some((t) => t.key === "cf_needsRelease")).toBe(false);
+  });
+
+  it("feeds leftovers kept in the Family Office and overpayments into this month's waterfall", () => {
+    const kept = closeNeed(need("trip", "2026-04", "8000", "8000"), { paidOn: "2026-04-02", actualAmount: "7000", month: "2026-04" });
+    const over = closeNeed(need("taxes", "2026-04", "12000", "12000"), { paidOn: "2026-04-14", actualAmount: "12500", month: "2026-04" });
+
+    const released = computeCashflow({ ...cf, needs: [kept] }, "2026-04");
+    expect(released).toMatchObject({ releasedToFamilyOffice: 1000, settledFromNeeds: 1000, availableAfterRequired: 10000, availableForNeeds: 11000, excess: 11000 });
+
+    const overpaid = computeCashflow({ ...cf, needs: [over, need("trip", "2026-05", "2000")] }, "2026-04");
+    expect(overpaid).toMatchObject({ settledFromNeeds: -500, availableForNeeds: 9500, allocateToNeeds: 2000, excess: 7500 });
+    expect(overpaid.transferRows.find((t) => t.key === "cf_wealth").amount).toBe(7500);
+  });
+
+  it("reopens a need without its close-out fields", () => {
+    const paid = closeNeed(need("taxes", "2026-04", "12000"), { paidOn: "2026-04-14", actualAmount: "1", month: "2026-04" });
+    expect(reopenNeed(paid)).toEqual(need("taxes", "2026-04", "12000"));
+  });
+});
+
+describe("recurring needs", () => {
+  const details = { paidOn: "2026-04-15", actualAmount: "9000", month: "2026-04" };
+
+  it("schedules the next occurrence by interval", () => {
+    const base = need("est", "2026-04", "9000");
+    expect(nextOccurrence({ ...base, repeat: "monthly" }, "n").dueMonth).toBe("2026-05");
+    expect(nextOccurrence({ ...base, repeat: "quarterly" }, "n").dueMonth).toBe("2026-07");
+    expect(nextOccurrence({ ...base, repeat: "annual" }, "n").dueMonth).toBe("2027-04");
+    expect(nextOccurrence({ ...base, repeat: "custom", repeatMonths: "4" }, "n").dueMonth).toBe("2026-08");
+    expect(nextOccurrence({ ...base, repeat: "custom", repeatMonths: "" }, "n")).toBeNull();
+    expect(nextOccurrence(base, "n")).toBeNull();
+  });
+
+  it("adds an unfunded open follow-up when a recurring need is closed", () => {
+    const needs = [{ ...need("est", "2026-04", "9000", "9000"), repeat: "quarterly" }, need("trip", "2026-06", "8000")];
+    const next = closeNeedInList(needs, "est", details);
+    expect(next.map((n) => [n.status, n.dueMonth])).toEqual([
+      ["paid", "2026-04"],
+      ["open", "2026-07"],
+      ["open", "2026-06"],
+    ]);
+    expect(next[1]).toMatchObject({ name: "est", target: "9000", funded: "0", repeat: "quarterly", previousId: "est" });
+    expect(isNeedInWindow(next[1], "2026-04")).toBe(true);
+  });
+
+  it("closes one-off needs without a follow-up", () => {
+    expect(closeNeedInList([need("trip", "2026-06", "8000")], "trip", details)).toHaveLength(1);
+  });
+
+  it("drops the untouched follow-up on reopen but keeps a funded one", () => {
+    const closed = closeNeedInList([{ ...need("est", "2026-04", "9000"), repeat: "monthly" }], "est", details);
+    expect(reopenNeedInList(closed, "est").map((n) => n.status)).toEqual(["open"]);
+
+    const funded = closed.map((n, i) => (i === 1 ? { ...n, funded: "100" } : n));
+    expect(reopenNeedInList(funded, "est")).toHaveLength(2);
+  });
+});
+
+describe("isNeedInWindow", () => {
+  it("covers this month and the next five", () => {
+    expect(isNeedInWindow(need("a", "2026-02", "1"), "2026-02")).toBe(true);
+    expect(isNeedInWindow(need("a", "2026-07", "1"), "2026-02")).toBe(true);
+    expect(isNeedInWindow(need("a", "2026-08", "1"), "2026-02")).toBe(false);
+    expect(isNeedInWindow(need("a", "2026-01", "1"), "2026-02")).toBe(false);
+  });
+});
+
+describe("needs horizon", () => {
+  const needs = [need("taxes", "2026-04", "12000"), need("vehicle", "2026-12", "30000")];
+  const cf = { businessIn: "100000", lifestyleMonthly: "0", needs };
+
+  it("defaults to six months", () => {
+    expect(computeCashflow(cf, "2026-02").horizon).toBe(6);
+    expect(computeCashflow(cf, "2026-02").remainingTotal).toBe(12000);
+  });
+
+  it("picks up long-lead needs with a longer horizon", () => {
+    const r = computeCashflow(cf, "2026-02", { settings: { needsHorizonMonths: 12 } });
+    expect(r.horizon).toBe(12);
+    expect(r.remainingTotal).toBe(42000);
+    expect(isNeedInWindow(needs[1], "2026-02", 12)).toBe(true);
+    expect(isNeedInWindow(needs[0], "2026-02", 3)).toBe(true);
+    expect(isNeedInWindow(needs[0], "2026-01", 3)).toBe(false);
+  });
+
+  it("funds only within the horizon", () => {
+    const next = allocateNeeds(needs, "2026-02", 50000, "earliest", 18);
+    expect(next.map((n) => n.funded)).toEqual(["12000", "30000"]);
+    expect(allocateNeeds(needs, "2026-02", 50000, "earliest", 3)[1].funded).toBe("0");
+  });
+});
+
+describe("allocateNeeds", () => {
+  it("fills the earliest due need first and keeps the original order", () => {
+    const needs = [need("trip", "2026-06", "8000"), need("taxes", "2026-04", "12000", "2000")];
+    const next = allocateNeeds(needs, "2026-02", 15000);
+    expect(next.map((n) => n.id)).toEqual(["trip", "taxes"]);
+    expect(next[1].funded).toBe("12000");
+    expect(next[0].funded).toBe("5000");
+  });
+
+  it("leaves needs untouched when the pool is empty or negative", () => {
+    const needs = [need("taxes", "2026-04", "12000")];
+    expect(allocateNeeds(needs, "2026-02", 0)).toEqual(needs);
+    expect(allocateNeeds(needs, "2026-02", -500)).toEqual(needs);
+  });
+
+  it("never funds past the target", () => {
+    const next = allocateNeeds([need("taxes", "2026-04", "12000", "11000")], "2026-02", 5000);
+    expect(next[0].funded).toBe("12000");
+  });
+});
+
+describe("computeBusinesses", () => {
+  const businesses = [
+    { id: "a", name: "Acme" },
+    { id: "b", name: "Beta", transferRules: { wc_familyOffice: { from: "beta_op", to: "acct_familyOffice" } } },
+  ];
+  const plan = {
+    accounts: [
+      { id: "acct_business", name: "Business Checking" },
+      { id: "beta_op", name: "Beta Operating" },
+      { id: "acct_reserve", name: "Business Reserve" },
+      { id: "acct_familyOffice", name: "Family Office" },
+    ],
+  };
+
+  it("sums each business's sweep into a consolidated total", () => {
+    const r = computeBusinesses(businesses, { a: wcExample, b: { ...wcExample, businessChecking: "100000", reserveAccountBalance: "90000" } }, plan);
+    expect(r.byBusiness.map((b) => b.result.moveToFamilyOffice.toFixed(0))).toEqual(["35000", "17500"]);
+    expect(r.totals.moveToFamilyOffice).toBeCloseTo(52500);
+    expect(r.totals.wcGoal).toBeCloseTo(165000);
+    expect(r.totals.businessBalance).toBe(225000);
+  });
+
+  it("uses each business's own accounts on its transfer rows", () => {
+    const r = computeBusinesses(businesses, { a: wcExample, b: wcExample }, plan);
+    expect(r.byBusiness[0].result.transferRows[1].from).toBe("acct_business");
+    expect(r.byBusiness[1].result.transferRows[1].title).toContain("from Beta Operating → Family Office");
+  });
+
+  it("treats a business with no inputs this month as empty", () => {
+    const r = computeBusinesses(businesses, { a: wcExample }, plan);
+    expect(r.byBusiness[1].result.wcGoal).toBe(0);
+    expect(r.totals.moveToFamilyOffice).toBeCloseTo(35000);
+  });
+});
+
+describe("trailing spend", () => {
+  const actuals = {
+    "2025-03": { operating: "80000", inventory: "0" },
+    "2025-12": { operating: "50000", inventory: "10000" },
+    "2026-01": { operating: "40000", inventory: "5000" },
+    "2026-02": { operating: "60000", inventory: "" },
+    "2026-03": { operating: "99999", inventory: "99999" },
+  };
+
+  it("summarises the full months before this one, skipping months with no entry", () => {
+    const t = trailingSpend(actuals, "2026-03", 6);
+    expect(t.months.map((x) => x.month)).toEqual(["2025-12", "2026-01", "2026-02"]);
+    expect(t.stats.average).toEqual({ operating: 50000, inventory: 5000, total: 55000 });
+    expect(t.stats.median).toEqual({ operating: 50000, inventory: 5000, total: 55000 });
+    expect(t.stats.max).toEqual({ operating: 60000, inventory: 10000, total: 70000 });
+    expect(t.months[1].index).toBeCloseTo(45000 / 55000);
+    expect(t.sameMonthLastYear).toMatchObject({ month: "2025-03", total: 80000 });
+    expect(t.sameMonthLastYear.index).toBeCloseTo(80000 / 55000);
+  });
+
+  it("drives perDay from the chosen statistic once there are enough months", () => {
+    const wc = { ...wcExample, expenseBasis: "max", trailingMonths: "6" };
+    expect(resolveSpend(wc, actuals, "2026-03")).toMatchObject({ basis: "max", operatingExpenses: 60000, inventoryCost: 10000 });
+
+    const r = computeBusinesses([{ id: "a", spendActuals: actuals }], { a: wc }, {}, "2026-03");
+    expect(r.byBusiness[0].result.perDay).toBeCloseTo(70000 / 30);
+  });
+
+  it("falls back to the typed figures with too few months or no month", () => {
+    const wc = { ...wcExample, expenseBasis: "average", trailingMonths: "3" };
+    expect(resolveSpend(wc, { "2026-02": { operating: "1" } }, "2026-03")).toMatchObject({
+      requested: "average",
+      basis: "typed",
+      operatingExpenses: 55000,
+    });
+    expect(resolveSpend(wc, actuals, undefined).basis).toBe("typed");
+  });
+});
+
+describe("funding strategies", () => {
+  // Due in 3 months (Apr) and 5 months (Jun) from Feb
+  const needs = [
+    { ...need("taxes", "2026-04", "12000"), priority: "high" },
+    { ...need("trip", "2026-06", "8000"), priority: "low" },
+  ];
+
+  it("straight-line asks for this month's installment only", () => {
+    expect(needsDemand(needs, "2026-02", "straightLine")).toBeCloseTo(4000 + 1600);
+    expect(needsDemand(needs, "2026-02", "earliest")).toBe(20000);
+    expect(planNeedsFunding(needs, "2026-02", 5600, "straightLine")).toEqual({ taxes: 4000, trip: 1600 });
+  });
+
+  it("scales straight-line installments down when the pool is short", () => {
+    const plan = planNeedsFunding(needs, "2026-02", 2800, "straightLine");
+    expect(plan.taxes).toBeCloseTo(2000);
+    expect(plan.trip).toBeCloseTo(800);
+  });
+
+  it("weights by priority and spills over once a need is full", () => {
+    expect(planNeedsFunding(needs, "2026-02", 8000, "priority")).toEqual({ taxes: 6000, trip: 2000 });
+    const capped = planNeedsFunding([{ ...needs[0], funded: "11000" }, needs[1]], "2026-02", 4000, "priority");
+    expect(capped).toEqual({ taxes: 1000, trip: 3000 });
+  });
+
+  it("splits proportionally to what remains", () => {
+    const plan = planNeedsFunding(needs, "2026-02", 10000, "proportional");
+    expect(plan.taxes).toBeCloseTo(6000);
+    expect(plan.trip).toBeCloseTo(4000);
+  });
+
+  it("never hands out more than the pool or than is owed", () => {
+    ["earliest", "straightLine", "priority", "proportional"].forEach((strategy) => {
+      const plan = planNeedsFunding(needs, "2026-02", 50000, strategy);
+      const total = Object.values(plan).reduce((a, b) => a + b, 0);
+      expect(total).toBeLessThanOrEqual(20000 + 1e-9);
+      expect(plan.taxes).toBeLessThanOrEqual(12000 + 1e-9);
+      expect(Object.values(planNeedsFunding(needs, "2026-02", 0, strategy)).every((v) => v === 0)).toBe(true);
+    });
+  });
+
+  it("leaves the rest of the inflow for Wealth Creation under straight-line", () => {
+    const cf = { businessIn: "30000", lifestyleMonthly: "10000", needs, fundingStrategy: "straightLine" };
+    const r = computeCashflow(cf, "2026-02");
+    expect(r.allocateToNeeds).toBeCloseTo(5600);
+    expect(r.excess).toBeCloseTo(14400);
+    expect(r.fundingPlan.taxes).toBeCloseTo(4000);
+  });
+
+  it("applies the chosen strategy when funding", () => {
+    const next = allocateNeeds(needs, "2026-02", 10000, "proportional");
+    expect(next.map((n) => n.funded)).toEqual(["6000", "4000"]);
+  });
+});
+
+describe("computeState", () => {
+  it("computes the selected month from the state object", () => {
+    const state = {
+      month: "2026-02",
+      businesses: [{ id: "biz_main", name: "My Business" }],
+      months: { "2026-02": { workingCapital: { biz_main: wcExample }, cashflow: { businessIn: "1000", needs: [] } } },
+    };
+    const r = computeState(state);
+    expect(r.workingCapital.totals.moveToFamilyOffice).toBeCloseTo(35000);
+    expect(r.cashflow.inflow).toBe(1000);
+  });
+
+  it("returns zeros for a month with no snapshot", () => {
+    const r = computeState({ month: "2027-01", months: {} });
+    expect(r.workingCapital.totals.wcGoal).toBe(0);
+    expect(r.cashflow.excess).toBe(0);
+  });
+});
+
+describe("recorded transfers", () => {
+  const rec = (amount, suggested) => ({ amount, date: "2026-02-03", confirmation: "", note: "", suggested });
+
+  it("uses the suggested amount when the actual is left blank", () => {
+    expect(transferActual(rec("30000", 35000))).toBe(30000);
+    expect(transferActual(rec("", 35000))).toBe(35000);
+    expect(transferActual(rec("", null), 1200)).toBe(1200);
+    expect(transferActual(null, 500)).toBe(0);
+  });
+
+  it("reports variance against the suggestion", () => {
+    expect(transferVariance(rec("30000", 35000))).toBe(-5000);
+    expect(transferVariance(rec("30000", 35000), 28000)).toBe(2000);
+    expect(transferVariance(undefined, 35000)).toBe(0);
+  });
+
+  it("records a row as suggested", () => {
+    expect(recordAsSuggested({ key: "cf_giving", amount: 4000 }, "2026-02-03")).toEqual(rec("4000", 4000));
+  });
+
+  it("starts next month's balances from what actually moved", () => {
+    const wc = { businessChecking: "125000", reserveAccountBalance: "75000", bufferDays: "45" };
+    expect(carryForwardWorkingCapital(wc, { wc_reserve: rec("5000", 7000), wc_familyOffice: rec("30000", 35000) })).toEqual({
+      businessChecking: "90000",
+      reserveAccountBalance: "80000",
+      bufferDays: "45",
+    });
+    expect(carryForwardWorkingCapital(wc, {})).toEqual(wc);
+  });
+
+  it("carries Family Office outflow differences into next month, except the needs set-aside", () => {
+    expect(
+      carryInFromTransfers({
+        cf_giving: rec("4000", 4000),
+        cf_lifestyle: rec("12000", 15000),
+        cf_needs: rec("0", 20000),
+        cf_wealth: rec("1500", 1000),
+      })
+    ).toBe(2500);
+    expect(carryInFromTransfers(undefined)).toBe(0);
+  });
+});
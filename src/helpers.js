@@ -0,0 +1,95 @@
+// ---------- helpers ----------
+export function makeId() {
+  if (typeof crypto !== "undefined" && crypto && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `id_${Math.random().toString(16).slice(2)}_${Date.now()}`;
+}
+
+// Stored amounts are plain numbers as strings ("1234.56"); older saves may hold "1,234.56" as typed.
+// Text typed in the user's locale goes through parseMoney first.
+export function toNumber(maybe) {
+  const n = Number(String(maybe ?? "").replace(/,/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// ---------- money display ----------
+// Formatters take the user's { locale, currency } (see moneyFormat in currency.js); locale undefined
+// means the browser's. `currency` overrides the format's for amounts held in another currency.
+export const DEFAULT_MONEY_FORMAT = { locale: undefined, currency: "USD" };
+
+// Whole amounts show no decimals; anything with cents shows them, so a row never reads a dollar off
+export function fmtMoney(n, format = DEFAULT_MONEY_FORMAT, currency = format.currency) {
+  const value = Number(n || 0);
+  const digits = Math.abs(Math.round(value * 100)) % 100 === 0 ? 0 : 2;
+  return value.toLocaleString(format.locale, {
+    style: "currency",
+    currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+}
+
+export function currencySymbol(format = DEFAULT_MONEY_FORMAT, currency = format.currency) {
+  const parts = new Intl.NumberFormat(format.locale, { style: "currency", currency }).formatToParts(0);
+  return parts.find((p) => p.type === "currency")?.value || currency;
+}
+
+// A stored amount as the user reads it: locale grouping and decimals, no currency ("" stays "")
+export function formatAmount(value, format = DEFAULT_MONEY_FORMAT, decimals = 2) {
+  if (String(value ?? "").trim() === "") return "";
+  return toNumber(value).toLocaleString(format.locale, { maximumFractionDigits: decimals });
+}
+
+function separators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return { group: parts.find((p) => p.type === "group")?.value || ",", decimal: parts.find((p) => p.type === "decimal")?.value || "." };
+}
+
+// Text typed in `locale` ("1.234,56" in de-DE, "1 234,56" in fr-CA, "1,234.56" in en-US) → number;
+// null when it isn't a number. Where the decimal mark is a comma, a lone "." followed by one or two
+// digits ("12.50") is still read as a decimal point, since that is what number pads type.
+export function parseMoney(text, locale) {
+  let t = String(text ?? "").replace(/[\s\u00a0\u202f'’]/g, "");
+  const negative = t.includes("-") || /^\(.*\)$/.test(t);
+  t = t.replace(/[-()]/g, "");
+  if (separators(locale).decimal === ",") {
+    t = !t.includes(",") && /^\d+\.\d{1,2}$/.test(t) ? t : t.replace(/\./g, "").replace(",", ".");
+  } else {
+    t = t.replace(/,/g, "");
+  }
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(t)) return null;
+  const n = Number(t);
+  return negative ? -n : n;
+}
+
+export function todayISO() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+export function currentMonth(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+// Rolling list of months: `back` before and `ahead` after `around`, plus any extra months
+// (e.g. ones with saved data) that fall outside it. Sorted oldest first, no duplicates.
+export function monthRange({ around = currentMonth(), back = 12, ahead = 24, include = [] } = {}) {
+  const out = new Set();
+  for (let i = -back; i <= ahead; i++) out.add(monthAdd(around, i));
+  include.filter(Boolean).forEach((m) => out.add(m));
+  return [...out].sort((a, b) => monthDiff(b, a));
+}
+
+export function monthAdd(yyyymm, add) {
+  const [y, m] = String(yyyymm).split("-").map((x) => Number(x));
+  const d = new Date(y, (m || 1) - 1, 1);
+  d.setMonth(d.getMonth() + add);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+export function monthDiff(a, b) {
+  const [ay, am] = String(a).split("-").map(Number);
+  const [by, bm] = String(b).split("-").map(Number);
+  return (by - ay) * 12 + (bm - am);
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { currencySymbol, currentMonth, fmtMoney, formatAmount, monthAdd, monthDiff, monthRange, parseMoney, toNumber } from "./helpers.js";
+
+describe("toNumber", () => {
+  it("strips thousands separators", () => {
+    expect(toNumber("125,000")).toBe(125000);
+  });
+
+  it("treats blanks and junk as zero", () => {
+    expect(toNumber("")).toBe(0);
+    expect(toNumber(null)).toBe(0);
+    expect(toNumber("abc")).toBe(0);
+  });
+});
+
+describe("parseMoney", () => {
+  it("reads amounts typed in the user's locale", () => {
+    expect(parseMoney("1,234.56", "en-US")).toBe(1234.56);
+    expect(parseMoney("1.234,56", "de-DE")).toBe(1234.56);
+    expect(parseMoney("1 234,56", "fr-CA")).toBe(1234.56);
+    expect(parseMoney("1’234.56", "de-CH")).toBe(1234.56);
+  });
+
+  it("reads a number pad's decimal point in comma locales", () => {
+    expect(parseMoney("12.50", "de-DE")).toBe(12.5);
+    expect(parseMoney("12.500", "de-DE")).toBe(12500);
+  });
+
+  it("handles negatives and rejects junk", () => {
+    expect(parseMoney("-1.000,5", "de-DE")).toBe(-1000.5);
+    expect(parseMoney("(250)", "en-US")).toBe(-250);
+    expect(parseMoney("12abc", "en-US")).toBeNull();
+    expect(parseMoney("", "en-US")).toBeNull();
+  });
+});
+
+describe("money display", () => {
+  it("follows the chosen locale and base currency", () => {
+    const de = { locale: "de-DE", currency: "EUR" };
+    expect(formatAmount("1234.5", de)).toBe("1.234,5");
+    expect(formatAmount("", de)).toBe("");
+    expect(fmtMoney(1234, de)).toBe("1.234\u00a0€");
+    expect(fmtMoney(5, de, "CAD")).toBe("5\u00a0CA$");
+    expect(currencySymbol(de)).toBe("€");
+    const us = { locale: "en-US", currency: "USD" };
+    expect(fmtMoney(1234, us)).toBe("$1,234");
+    expect(fmtMoney(1000.04, us)).toBe("$1,000.04");
+  });
+});
+
+describe("month math", () => {
+  it("adds months", () => {
+    expect(monthAdd("2026-01", 1)).toBe("2026-02");
+    expect(monthAdd("2026-12", 1)).toBe("2027-01");
+    expect(monthAdd("2026-01", -1)).toBe("2025-12");
+  });
+
+  it("diffs months", () => {
+    expect(monthDiff("2026-01", "2026-06")).toBe(5);
+    expect(monthDiff("2026-11", "2027-02")).toBe(3);
+    expect(monthDiff("2026-06", "2026-01")).toBe(-5);
+  });
+});
+
+describe("monthRange", () => {
+  it("rolls around the given month", () => {
+    const range = monthRange({ around: "2026-11", back: 1, ahead: 2 });
+    expect(range).toEqual(["2026-10", "2026-11", "2026-12", "2027-01"]);
+  });
+
+  it("keeps extra months outside the window, sorted and de-duplicated", () => {
+    const range = monthRange({ around: "2026-11", back: 0, ahead: 1, include: ["2025-03", "2026-12", null] });
+    expect(range).toEqual(["2025-03", "2026-11", "2026-12"]);
+  });
+
+  it("defaults to the current month", () => {
+    expect(currentMonth(new Date(2027, 0, 15))).toBe("2027-01");
+    expect(monthRange()).toContain(currentMonth());
+  });
+});
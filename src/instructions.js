@@ -0,0 +1,223 @@
+/**
+ * "This month's instructions" as a printable sheet
+ * - instructionSheet builds the same transfer rows the tools render, with what was recorded against each
+ * - sheetToCSV / sheetToPDF turn that sheet into downloads (the PDF is a single Letter page, no dependencies)
+ */
+
+import { accountLabel } from "./accounts.js";
+import { moneyFormat } from "./currency.js";
+import { computeState, transferActual, transferVariance } from "./engine.js";
+import { fmtMoney } from "./helpers.js";
+import { fromCents, toCents } from "./money.js";
+
+function rowStatus(record, variance) {
+  if (!record) return "To do";
+  return toCents(variance) !== 0 ? "Done (differs)" : "Done";
+}
+
+function sheetRows(rows, records, accounts) {
+  const byId = (id) => (accounts || []).find((a) => a.id === id) || null;
+  return rows.map((r) => {
+    const record = records?.[r.key] || null;
+    const variance = transferVariance(record, r.amount);
+    return {
+      key: r.key,
+      step: r.stepLabel,
+      instruction: r.title,
+      from: accountLabel(byId(r.from)),
+      to: accountLabel(byId(r.to)),
+      suggested: r.amount,
+      converted: r.converted || null,
+      actual: record ? transferActual(record, r.amount) : null,
+      variance,
+      status: rowStatus(record, variance),
+      date: record?.date || "",
+      confirmation: record?.confirmation || "",
+      note: record?.note || "",
+    };
+  });
+}
+
+// { month, format, stats: [{ label, value }], sections: [{ title, rows }] }; `format` is how the PDF shows money
+export function instructionSheet(state, month = state?.month) {
+  const { workingCapital, cashflow } = computeState(state, month);
+  const transfers = state?.months?.[month]?.transfers || {};
+
+  const sections = workingCapital.byBusiness.map(({ business, result }) => ({
+    title: workingCapital.byBusiness.length > 1 ? `Working Capital · ${business.name || "Unnamed business"}` : "Working Capital",
+    rows: sheetRows(result.transferRows, transfers.workingCapital?.[business.id], state?.accounts),
+  }));
+  sections.push({ title: "Cash Flow", rows: sheetRows(cashflow.transferRows, transfers.cashflow, state?.accounts) });
+
+  const { totals } = workingCapital;
+  return {
+    month,
+    format: moneyFormat(state?.settings),
+    stats: [
+      { label: "Working Capital goal", value: totals.wcGoal },
+      { label: "Reserve goal", value: totals.reserveGoal },
+      { label: "To Family Office", value: totals.moveToFamilyOffice },
+      { label: "Total inflow", value: cashflow.inflow },
+      { label: "Giving", value: cashflow.givingAmount },
+      { label: "Lifestyle", value: cashflow.lifestyle },
+      { label: "Set aside for needs", value: cashflow.allocateToNeeds },
+      { label: "Excess to Wealth Creation", value: cashflow.excess },
+    ],
+    sections,
+  };
+}
+
+// ---------- CSV ----------
+const CSV_COLUMNS = [
+  ["Month", (sheet) => sheet.month],
+  ["Section", (sheet, section) => section.title],
+  ["Step", (sheet, section, r) => r.step],
+  ["Instruction", (sheet, section, r) => r.instruction],
+  ["From", (sheet, section, r) => r.from],
+  ["To", (sheet, section, r) => r.to],
+  ["Suggested", (sheet, section, r) => r.suggested],
+  ["Actual", (sheet, section, r) => r.actual ?? ""],
+  ["Variance", (sheet, section, r) => (r.actual === null ? "" : r.variance)],
+  ["Status", (sheet, section, r) => r.status],
+  ["Date", (sheet, section, r) => r.date],
+  ["Confirmation", (sheet, section, r) => r.confirmation],
+  ["Note", (sheet, section, r) => r.note],
+  ["Account currency", (sheet, section, r) => r.converted?.currency ?? ""],
+  ["Suggested in account currency", (sheet, section, r) => (r.converted ? fromCents(toCents(r.converted.amount)) : "")],
+];
+
+function csvCell(v) {
+  const text = String(v ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function sheetToCSV(sheet) {
+  const lines = [CSV_COLUMNS.map(([h]) => h)];
+  sheet.sections.forEach((section) => {
+    section.rows.forEach((r) => lines.push(CSV_COLUMNS.map(([, get]) => get(sheet, section, r))));
+  });
+  return lines.map((cells) => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// ---------- PDF ----------
+const PAGE_W = 612;
+const PAGE_H = 792;
+const MARGIN = 40;
+
+// The built-in PDF fonts only cover Latin-1; swap the typographic characters the app uses
+function pdfText(text) {
+  return String(text ?? "")
+    .replace(/→/g, "->")
+    .replace(/…/g, "...")
+    .replace(/[•·]/g, "-")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[−–—]/g, "-")
+    .replace(/€/g, "EUR ")
+    .replace(/£/g, "GBP ")
+    .replace(/¥/g, "JPY ")
+    .replace(/[\u00a0\u202f]/g, " ")
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/([\\()])/g, "\\$1");
+}
+
+function clip(text, max) {
+  const t = String(text ?? "");
+  return t.length > max ? `${t.slice(0, max - 3)}...` : t;
+}
+
+function signed(n, format) {
+  return `${n > 0 ? "+" : n < 0 ? "-" : ""}${fmtMoney(Math.abs(n), format)}`;
+}
+
+// Lay the sheet out as positioned text runs: { x, y, size, bold, text }
+function pdfRuns(sheet, generatedOn) {
+  const runs = [];
+  let y = PAGE_H - MARGIN;
+  const text = (x, value, size = 9, bold = false) => runs.push({ x, y, size, bold, text: value });
+
+  text(MARGIN, "This month's instructions", 16, true);
+  y -= 18;
+  text(MARGIN, `Month ${sheet.month} - generated ${generatedOn}`, 9);
+  y -= 20;
+
+  sheet.stats.forEach((s, i) => {
+    const col = i % 2;
+    text(MARGIN + col * 270, `${s.label}:`, 9);
+    text(MARGIN + col * 270 + 140, fmtMoney(s.value, sheet.format), 9, true);
+    if (col === 1 || i === sheet.stats.length - 1) y -= 13;
+  });
+
+  const columns = [
+    ["Step", MARGIN],
+    ["Instruction", MARGIN + 30],
+    ["Suggested", MARGIN + 330],
+    ["Actual", MARGIN + 400],
+    ["Status", MARGIN + 470],
+  ];
+
+  let full = false;
+  for (const section of sheet.sections) {
+    y -= 14;
+    if (y < MARGIN + 40) full = true;
+    if (full) break;
+    text(MARGIN, section.title, 12, true);
+    y -= 14;
+    columns.forEach(([label, x]) => text(x, label, 8, true));
+
+    for (const r of section.rows) {
+      y -= 13;
+      if (y < MARGIN + 10) {
+        full = true;
+        break;
+      }
+      text(MARGIN, r.step, 9, true);
+      text(MARGIN + 30, clip(r.instruction, 62), 9);
+      text(MARGIN + 330, fmtMoney(r.suggested, sheet.format), 9);
+      text(MARGIN + 400, r.actual === null ? "-" : fmtMoney(r.actual, sheet.format), 9);
+      text(MARGIN + 470, r.status === "To do" ? "[ ] To do" : "[x] Done", 9);
+
+      const details = [r.date, r.confirmation && `#${r.confirmation}`, r.note, r.status === "Done (differs)" && `${signed(r.variance, sheet.format)} vs. suggested`]
+        .filter(Boolean)
+        .join(" - ");
+      if (details) {
+        y -= 10;
+        text(MARGIN + 30, clip(details, 100), 7);
+      }
+    }
+  }
+  if (full) {
+    y = MARGIN - 10;
+    text(MARGIN, "More rows than fit on one page … see the CSV export.", 9, true);
+  }
+
+  return runs;
+}
+
+// A one-page PDF 1.4 document as a binary string (every character is one byte)
+export function sheetToPDF(sheet, { generatedOn = new Date().toISOString().slice(0, 10) } = {}) {
+  const content = pdfRuns(sheet, generatedOn)
+    .map((r) => `BT /${r.bold ? "F2" : "F1"} ${r.size} Tf ${r.x} ${r.y} Td (${pdfText(r.text)}) Tj ET`)
+    .join("\n");
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xrefAt = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  return pdf;
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { defaultAccounts, defaultTransferRules } from "./accounts.js";
+import { instructionSheet, sheetToCSV, sheetToPDF } from "./instructions.js";
+
+const state = {
+  month: "2026-02",
+  accounts: defaultAccounts(),
+  transferRules: defaultTransferRules(),
+  businesses: [{ id: "biz_main", name: "My Business", transferRules: {} }],
+  months: {
+    "2026-02": {
+      workingCapital: {
+        biz_main: {
+          operatingExpenses: "55000",
+          inventoryCost: "0",
+          daysPerMonth: "30",
+          avgCollectionDays: "0",
+          businessChecking: "125000",
+          reserveAccountBalance: "75000",
+          bufferDays: "45",
+          reserveDays: "45",
+        },
+      },
+      cashflow: { businessIn: "35000", w2In: "5000", givingIsDollar: false, givingPercent: "10", lifestyleMonthly: "15000", needs: [] },
+      transfers: {
+        workingCapital: { biz_main: { wc_familyOffice: { amount: "30000", date: "2026-02-03", confirmation: "AB12", note: "", suggested: 35000 } } },
+        cashflow: { cf_giving: { amount: "", date: "2026-02-04", confirmation: "", note: "church, \"Q1\"", suggested: 4000 } },
+      },
+    },
+  },
+};
+
+describe("instructionSheet", () => {
+  it("lists every transfer row with what was recorded against it", () => {
+    const sheet = instructionSheet(state);
+    expect(sheet.sections.map((s) => s.title)).toEqual(["Working Capital", "Cash Flow"]);
+
+    const [reserve, sweep] = sheet.sections[0].rows;
+    expect(reserve).toMatchObject({ key: "wc_reserve", status: "To do", actual: null });
+    expect(sweep).toMatchObject({
+      key: "wc_familyOffice",
+      from: "Business Checking",
+      to: "Family Office",
+      actual: 30000,
+      status: "Done (differs)",
+      confirmation: "AB12",
+    });
+    expect(sweep.variance).toBeCloseTo(-5000);
+
+    const giving = sheet.sections[1].rows[0];
+    expect(giving).toMatchObject({ key: "cf_giving", suggested: 4000, actual: 4000, status: "Done" });
+    expect(sheet.stats.find((s) => s.label === "Total inflow").value).toBe(40000);
+  });
+
+  it("counts a difference of a few cents as differing", () => {
+    const month = state.months["2026-02"];
+    const cashflow = { cf_giving: { ...month.transfers.cashflow.cf_giving, amount: "3999.70" } };
+    const sheet = instructionSheet({ ...state, months: { "2026-02": { ...month, transfers: { ...month.transfers, cashflow } } } });
+    const giving = sheet.sections[1].rows[0];
+    expect(giving).toMatchObject({ actual: 3999.7, status: "Done (differs)" });
+    expect(giving.variance).toBeCloseTo(-0.3);
+  });
+
+  it("names each business when there are several", () => {
+    const sheet = instructionSheet({ ...state, businesses: [...state.businesses, { id: "b2", name: "Shop" }] });
+    expect(sheet.sections.map((s) => s.title)).toEqual(["Working Capital · My Business", "Working Capital · Shop", "Cash Flow"]);
+  });
+});
+
+describe("sheetToCSV", () => {
+  it("writes one line per row with quoted cells where needed", () => {
+    const lines = sheetToCSV(instructionSheet(state)).trim().split("\r\n");
+    expect(lines[0]).toBe("Month,Section,Step,Instruction,From,To,Suggested,Actual,Variance,Status,Date,Confirmation,Note,Account currency,Suggested in account currency");
+    expect(lines).toHaveLength(1 + 2 + 4);
+    expect(lines[3]).toMatch(/^2026-02,Cash Flow,1,.*,4000,4000,0,Done,2026-02-04,,"church, ""Q1""",,$/);
+  });
+});
+
+describe("sheetToPDF", () => {
+  it("produces a single-page PDF with a valid cross-reference table", () => {
+    const pdf = sheetToPDF(instructionSheet(state), { generatedOn: "2026-02-05" });
+    expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+    expect(pdf).toContain("/Count 1");
+    expect(pdf).toContain("(Month 2026-02 - generated 2026-02-05) Tj");
+    expect(pdf).toContain("Business Checking -> Business Reserve");
+    expect([...pdf].every((c) => c.charCodeAt(0) < 128)).toBe(true);
+
+    const xrefAt = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefAt, xrefAt + 4)).toBe("xref");
+    const offsets = [...pdf.slice(xrefAt).matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+    offsets.forEach((at, i) => expect(pdf.slice(at).startsWith(`${i + 1} 0 obj`)).toBe(true));
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Saved-state schema + migrations
+ * - Every saved state carries a schemaVersion; saves from before versioning count as 0
+ * - Migrations run in order on load (and on import), each taking the state from version - 1 to version
+ * - Each migration spells out the shapes it writes instead of borrowing today's defaults,
+ *   so old saves upgrade the same way no matter how the defaults change later
+ */
+
+import { DEFAULT_RULES } from "./engine.js";
+import { currentMonth } from "./helpers.js";
+
+const MAIN_BUSINESS_ID = "biz_main";
+
+const WC_FIELDS = [
+  "operatingExpenses",
+  "inventoryCost",
+  "daysPerMonth",
+  "avgCollectionDays",
+  "businessChecking",
+  "reserveAccountBalance",
+  "bufferDays",
+  "reserveDays",
+];
+
+function blankWorkingCapital() {
+  return Object.fromEntries(WC_FIELDS.map((k) => [k, ""]));
+}
+
+function blankCashflow() {
+  return {
+    businessIn: "",
+    w2In: "",
+    givingIsDollar: true,
+    givingPercent: "",
+    givingDollar: "",
+    lifestyleMonthly: "",
+    fundingStrategy: "earliest",
+    needs: [],
+  };
+}
+
+// 1: one global workingCapital/cashflow and a month-keyed transferDone → per-month snapshots
+function toMonthSnapshots(saved) {
+  if (saved.months) return saved;
+  const { workingCapital, cashflow, transferDone, suggestedBusinessIn, ...rest } = saved;
+  const month = rest.month || currentMonth();
+  const blankMonth = (done) => ({
+    suggestedBusinessIn: 0,
+    transferDone: done || {},
+    results: {},
+    workingCapital: blankWorkingCapital(),
+    cashflow: blankCashflow(),
+  });
+
+  const months = {};
+  Object.entries(transferDone || {}).forEach(([m, done]) => {
+    months[m] = blankMonth(done);
+  });
+  months[month] = {
+    ...blankMonth(transferDone?.[month]),
+    suggestedBusinessIn: suggestedBusinessIn || 0,
+    workingCapital: { ...blankWorkingCapital(), ...(workingCapital || {}) },
+    cashflow: { ...blankCashflow(), ...(cashflow || {}) },
+  };
+
+  return { ...rest, month, months };
+}
+
+// 2: one set of Working Capital inputs (and checkboxes) per month → keyed by business
+function toBusinesses(saved) {
+  if (saved.businesses) return saved;
+  const months = {};
+  Object.entries(saved.months || {}).forEach(([m, d]) => {
+    const wc = d.workingCapital || {};
+    const wcDone = d.transferDone?.workingCapital || {};
+    months[m] = {
+      ...d,
+      workingCapital: WC_FIELDS.some((k) => k in wc) ? { [MAIN_BUSINESS_ID]: wc } : wc,
+      transferDone: {
+        ...(d.transferDone || {}),
+        workingCapital: Object.keys(wcDone).some((k) => k.startsWith("wc_")) ? { [MAIN_BUSINESS_ID]: wcDone } : wcDone,
+      },
+    };
+  });
+  return { ...saved, months, businesses: [{ id: MAIN_BUSINESS_ID, name: "My Business", transferRules: {} }] };
+}
+
+// 3: fill nested fields added since (per-business inputs, cashflow options, need status/recurrence, settings)
+function fillNestedDefaults(saved) {
+  const months = {};
+  Object.entries(saved.months || {}).forEach(([m, d]) => {
+    const workingCapital = {};
+    Object.entries(d.workingCapital || {}).forEach(([id, wc]) => {
+      workingCapital[id] = { ...blankWorkingCapital(), ...(wc || {}) };
+    });
+    const cashflow = { ...blankCashflow(), ...(d.cashflow || {}) };
+    cashflow.needs = (cashflow.needs || []).map((n) => ({
+      ...n,
+      id: String(n.id),
+      funded: n.funded ?? "0",
+      status: n.status || "open",
+      repeat: n.repeat || "",
+    }));
+    months[m] = {
+      ...d,
+      suggestedBusinessIn: d.suggestedBusinessIn || 0,
+      transferDone: d.transferDone || {},
+      results: d.results || {},
+      workingCapital,
+      cashflow,
+    };
+  });
+
+  return {
+    ...saved,
+    months,
+    settings: { needsHorizonMonths: 6, ...(saved.settings || {}) },
+    businesses: (saved.businesses || []).map((b) => ({ ...b, transferRules: b.transferRules || {} })),
+  };
+}
+
+export class NewerSchemaError extends Error {
+  constructor(version) {
+    super(`This data was saved by a newer version of the app (schema ${version}). Reload the page to update.`);
+    this.name = "NewerSchemaError";
+  }
+}
+
+// 4: Done checkboxes → recorded transfers (a ticked box becomes "moved as suggested", date unknown)
+function toTransferRecords(saved) {
+  const toRecords = (done) =>
+    Object.fromEntries(
+      Object.entries(done || {})
+        .filter(([, v]) => v === true)
+        .map(([key]) => [key, { amount: "", date: "", confirmation: "", note: "", suggested: null }])
+    );
+
+  const months = {};
+  Object.entries(saved.months || {}).forEach(([m, d]) => {
+    const { transferDone, ...rest } = d;
+    const wcDone = transferDone?.workingCapital || {};
+    months[m] = {
+      ...rest,
+      transfers: {
+        workingCapital: Object.fromEntries(Object.entries(wcDone).map(([id, done]) => [id, toRecords(done)])),
+        cashflow: toRecords(transferDone?.cashflow),
+      },
+      cashflow: { carryIn: "", ...(rest.cashflow || {}) },
+    };
+  });
+  return { ...saved, months };
+}
+
+// 5: spend basis per month's Working Capital inputs (typed figures, as before) + per-business spend history
+function toSpendBasis(saved) {
+  const months = {};
+  Object.entries(saved.months || {}).forEach(([m, d]) => {
+    const workingCapital = {};
+    Object.entries(d.workingCapital || {}).forEach(([id, wc]) => {
+      workingCapital[id] = { expenseBasis: "typed", trailingMonths: "6", ...(wc || {}) };
+    });
+    months[m] = { ...d, workingCapital };
+  });
+  return {
+    ...saved,
+    months,
+    businesses: (saved.businesses || []).map((b) => ({ ...b, spendActuals: b.spendActuals || {} })),
+  };
+}
+
+// 6: named what-if scenarios, kept beside the plan
+function toScenarios(saved) {
+  return { ...saved, scenarios: Array.isArray(saved.scenarios) ? saved.scenarios : [] };
+}
+
+// 7: currencies — everything so far was in US dollars, formatted the browser's way
+function toCurrencies(saved) {
+  const withCurrency = (settings) => ({ baseCurrency: "USD", locale: "", exchangeRates: {}, ...(settings || {}) });
+  return {
+    ...saved,
+    settings: withCurrency(saved.settings),
+    accounts: (saved.accounts || []).map((a) => ({ currency: "", ...a })),
+    scenarios: (saved.scenarios || []).map((sc) => ({ ...sc, settings: withCurrency(sc.settings) })),
+  };
+}
+
+// 8: rounding rule for computed amounts — suggestions had been shown to the dollar
+function toRounding(saved) {
+  const withRounding = (settings) => ({ rounding: { unit: "dollar", transfers: "down" }, ...(settings || {}) });
+  return {
+    ...saved,
+    settings: withRounding(saved.settings),
+    scenarios: (saved.scenarios || []).map((sc) => ({ ...sc, settings: withRounding(sc.settings) })),
+  };
+}
+
+// 9: today's Family Office and Lifestyle balances (blank = not tracked) + the emergency top-up step,
+// kept in whichever account Family Office giving leaves from
+function toBalanceTracking(saved) {
+  const withBalances = (d) => ({ ...d, cashflow: { familyOfficeBalance: "", lifestyleBalance: "", ...(d?.cashflow || {}) } });
+  const months = Object.fromEntries(Object.entries(saved.months || {}).map(([m, d]) => [m, withBalances(d)]));
+  const familyOffice = saved.transferRules?.cf_giving?.from || "acct_familyOffice";
+  return {
+    ...saved,
+    months,
+    transferRules: { cf_emergency: { from: familyOffice, to: familyOffice }, ...(saved.transferRules || {}) },
+    scenarios: (saved.scenarios || []).map((sc) => ({ ...sc, data: withBalances(sc.data) })),
+  };
+}
+
+// 10: planning rules, starting from the values that had been fixed (DEFAULT_RULES, written in so a later
+// change to the defaults leaves upgraded saves alone). A blank buffer or reserve days input had meant
+// 0 days and now stands for the default, so blanks become an explicit "0".
+function toPlanningRules(saved) {
+  const rules = Object.fromEntries(Object.entries(DEFAULT_RULES).map(([k, v]) => [k, String(v)]));
+  const withRules = (settings) => ({ ...(settings || {}), rules: { ...rules, ...(settings?.rules || {}) } });
+  const zeroIfBlank = (v) => (String(v ?? "").trim() === "" ? "0" : v);
+  const withDays = (d) => {
+    if (!d?.workingCapital) return d;
+    const workingCapital = Object.fromEntries(
+      Object.entries(d.workingCapital).map(([id, wc]) => [id, { ...wc, bufferDays: zeroIfBlank(wc?.bufferDays), reserveDays: zeroIfBlank(wc?.reserveDays) }])
+    );
+    return { ...d, workingCapital };
+  };
+  const months = Object.fromEntries(Object.entries(saved.months || {}).map(([m, d]) => [m, withDays(d)]));
+  return {
+    ...saved,
+    months,
+    settings: withRules(saved.settings),
+    scenarios: (saved.scenarios || []).map((sc) => ({ ...sc, settings: withRules(sc.settings), data: withDays(sc.data) })),
+  };
+}
+
+// Ordered; a migration's index + 1 is the schemaVersion it produces
+export const MIGRATIONS = [
+  toMonthSnapshots,
+  toBusinesses,
+  fillNestedDefaults,
+  toTransferRecords,
+  toSpendBasis,
+  toScenarios,
+  toCurrencies,
+  toRounding,
+  toBalanceTracking,
+  toPlanningRules,
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+// Bring a saved state up to SCHEMA_VERSION. Throws for saves from a newer version of the app.
+export function migrateState(saved) {
+  if (!saved) return saved;
+  const from = Number(saved.schemaVersion) || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new NewerSchemaError(from);
+  }
+  const migrated = MIGRATIONS.slice(from).reduce((state, migrate) => migrate(state), saved);
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+}
@@ -0,0 +1,221 @@
+import { describe, expect, it } from "vitest";
+import { computeWorkingCapital } from "./engine.js";
+import { MIGRATIONS, NewerSchemaError, SCHEMA_VERSION, migrateState } from "./migrations.js";
+
+const [
+  toMonthSnapshots,
+  toBusinesses,
+  fillNestedDefaults,
+  toTransferRecords,
+  toSpendBasis,
+  toScenarios,
+  toCurrencies,
+  toRounding,
+  toBalanceTracking,
+  toPlanningRules,
+] = MIGRATIONS;
+
+describe("migration 1: per-month snapshots", () => {
+  it("moves global inputs into the saved month and keeps other months' checkboxes", () => {
+    const out = toMonthSnapshots({
+      month: "2025-06",
+      workingCapital: { operatingExpenses: "9000" },
+      cashflow: { businessIn: "5000", needs: [{ id: "1", name: "Taxes" }] },
+      transferDone: { "2025-05": { cf_giving: true }, "2025-06": { wc_reserve: true } },
+      suggestedBusinessIn: 1200,
+    });
+
+    expect(Object.keys(out.months).sort()).toEqual(["2025-05", "2025-06"]);
+    expect(out.months["2025-06"]).toMatchObject({
+      suggestedBusinessIn: 1200,
+      transferDone: { wc_reserve: true },
+      workingCapital: { operatingExpenses: "9000", bufferDays: "" },
+      cashflow: { businessIn: "5000", needs: [{ id: "1", name: "Taxes" }] },
+    });
+    expect(out.months["2025-05"].transferDone).toEqual({ cf_giving: true });
+    expect(out).not.toHaveProperty("workingCapital");
+  });
+
+  it("leaves month-keyed saves alone", () => {
+    const saved = { month: "2025-06", months: { "2025-06": {} } };
+    expect(toMonthSnapshots(saved)).toBe(saved);
+  });
+});
+
+describe("migration 2: businesses", () => {
+  it("files single-business inputs and wc checkboxes under the main business", () => {
+    const out = toBusinesses({
+      months: {
+        "2025-06": {
+          workingCapital: { operatingExpenses: "9000" },
+          transferDone: { workingCapital: { wc_reserve: true }, cashflow: { cf_giving: true } },
+        },
+      },
+    });
+
+    expect(out.businesses).toEqual([{ id: "biz_main", name: "My Business", transferRules: {} }]);
+    expect(out.months["2025-06"].workingCapital).toEqual({ biz_main: { operatingExpenses: "9000" } });
+    expect(out.months["2025-06"].transferDone).toEqual({
+      workingCapital: { biz_main: { wc_reserve: true } },
+      cashflow: { cf_giving: true },
+    });
+  });
+});
+
+describe("migration 3: nested defaults", () => {
+  it("fills missing fields inside each month without touching saved values", () => {
+    const out = fillNestedDefaults({
+      businesses: [{ id: "biz_main", name: "Shop" }],
+      months: {
+        "2025-06": {
+          workingCapital: { biz_main: { operatingExpenses: "9000" } },
+          cashflow: { businessIn: "5000", needs: [{ id: 7, name: "Roof", target: "4000" }] },
+        },
+      },
+    });
+
+    const m = out.months["2025-06"];
+    expect(m.workingCapital.biz_main).toMatchObject({ operatingExpenses: "9000", reserveDays: "" });
+    expect(m.cashflow).toMatchObject({ businessIn: "5000", fundingStrategy: "earliest", givingIsDollar: true });
+    expect(m.cashflow.needs).toEqual([{ id: "7", name: "Roof", target: "4000", funded: "0", status: "open", repeat: "" }]);
+    expect(m).toMatchObject({ transferDone: {}, results: {}, suggestedBusinessIn: 0 });
+    expect(out.settings).toEqual({ needsHorizonMonths: 6 });
+    expect(out.businesses).toEqual([{ id: "biz_main", name: "Shop", transferRules: {} }]);
+  });
+
+  it("keeps chosen settings", () => {
+    expect(fillNestedDefaults({ settings: { needsHorizonMonths: 12 } }).settings).toEqual({ needsHorizonMonths: 12 });
+  });
+});
+
+describe("migration 4: recorded transfers", () => {
+  it("turns ticked boxes into as-suggested records and drops unticked ones", () => {
+    const out = toTransferRecords({
+      months: {
+        "2025-06": {
+          transferDone: { workingCapital: { biz_main: { wc_reserve: true, wc_familyOffice: false } }, cashflow: { cf_giving: true } },
+          cashflow: { w2In: "100" },
+        },
+      },
+    });
+
+    const asSuggested = { amount: "", date: "", confirmation: "", note: "", suggested: null };
+    expect(out.months["2025-06"]).not.toHaveProperty("transferDone");
+    expect(out.months["2025-06"].transfers).toEqual({
+      workingCapital: { biz_main: { wc_reserve: asSuggested } },
+      cashflow: { cf_giving: asSuggested },
+    });
+    expect(out.months["2025-06"].cashflow).toEqual({ carryIn: "", w2In: "100" });
+  });
+});
+
+describe("migration 5: spend basis", () => {
+  it("keeps typed figures as the basis and gives every business an empty spend history", () => {
+    const out = toSpendBasis({
+      months: { "2025-06": { workingCapital: { biz_main: { operatingExpenses: "9000", expenseBasis: "median" }, b2: null } } },
+      businesses: [{ id: "biz_main" }, { id: "b2", spendActuals: { "2025-05": { operating: "1", inventory: "" } } }],
+    });
+    expect(out.months["2025-06"].workingCapital).toEqual({
+      biz_main: { expenseBasis: "median", trailingMonths: "6", operatingExpenses: "9000" },
+      b2: { expenseBasis: "typed", trailingMonths: "6" },
+    });
+    expect(out.businesses.map((b) => b.spendActuals)).toEqual([{}, { "2025-05": { operating: "1", inventory: "" } }]);
+  });
+});
+
+describe("migration 6: scenarios", () => {
+  it("starts an empty scenario list and keeps an existing one", () => {
+    expect(toScenarios({ months: {} }).scenarios).toEqual([]);
+    expect(toScenarios({ scenarios: [{ id: "s1" }] }).scenarios).toEqual([{ id: "s1" }]);
+  });
+});
+
+describe("migration 7: currencies", () => {
+  it("sets US dollars as the base, with every account in it, for the plan and its scenarios", () => {
+    const out = toCurrencies({
+      settings: { needsHorizonMonths: 3 },
+      accounts: [{ id: "a1", name: "Checking" }, { id: "a2", currency: "EUR" }],
+      scenarios: [{ id: "s1", settings: { needsHorizonMonths: 6 } }],
+    });
+    expect(out.settings).toEqual({ needsHorizonMonths: 3, baseCurrency: "USD", locale: "", exchangeRates: {} });
+    expect(out.accounts.map((a) => a.currency)).toEqual(["", "EUR"]);
+    expect(out.scenarios[0].settings.baseCurrency).toBe("USD");
+  });
+});
+
+describe("migration 8: rounding", () => {
+  it("rounds transfers down to the dollar unless a rule is already set", () => {
+    const out = toRounding({ settings: {}, scenarios: [{ id: "s1", settings: { rounding: { unit: "cent", transfers: "nearest" } } }] });
+    expect(out.settings.rounding).toEqual({ unit: "dollar", transfers: "down" });
+    expect(out.scenarios[0].settings.rounding).toEqual({ unit: "cent", transfers: "nearest" });
+  });
+});
+
+describe("migration 9: balance tracking", () => {
+  it("leaves balances untracked and keeps the emergency top-up in the Family Office", () => {
+    const out = toBalanceTracking({
+      months: { "2026-03": { cashflow: { businessIn: "1" } } },
+      transferRules: { cf_giving: { from: "fo2", to: "give" } },
+      scenarios: [{ id: "s1", data: { cashflow: { lifestyleBalance: "900" } } }],
+    });
+    expect(out.months["2026-03"].cashflow).toEqual({ familyOfficeBalance: "", lifestyleBalance: "", businessIn: "1" });
+    expect(out.transferRules.cf_emergency).toEqual({ from: "fo2", to: "fo2" });
+    expect(out.scenarios[0].data.cashflow.lifestyleBalance).toBe("900");
+  });
+});
+
+describe("migration 10: planning rules", () => {
+  it("writes the rules that used to be fixed without overriding chosen ones", () => {
+    const out = toPlanningRules({ settings: { rules: { emergencyMonths: "3" } }, scenarios: [{ id: "s1", settings: {} }] });
+    expect(out.settings.rules).toEqual({ emergencyMonths: "3", lifestyleTargetMonths: "2", needsThreshold: "5000", bufferDays: "45", reserveDays: "45" });
+    expect(out.scenarios[0].settings.rules.emergencyMonths).toBe("1");
+  });
+
+  it("keeps an old save's blank buffer and reserve days at 0, so its goals don't move", () => {
+    // before the rules existed, a blank days input counted as 0 days: no buffer, no reserve goal
+    const wc = { operatingExpenses: "30000", inventoryCost: "0", daysPerMonth: "30", bufferDays: "", reserveDays: "", businessChecking: "50000" };
+    const typed = { ...wc, bufferDays: "30" };
+    const old = {
+      months: { "2026-03": { workingCapital: { biz_main: wc, b2: typed } } },
+      scenarios: [{ id: "s1", data: { workingCapital: { biz_main: wc } } }],
+    };
+
+    const out = toPlanningRules(old);
+    const upgraded = out.months["2026-03"].workingCapital;
+    expect(upgraded.biz_main).toMatchObject({ bufferDays: "0", reserveDays: "0" });
+    expect(upgraded.b2.bufferDays).toBe("30");
+    expect(out.scenarios[0].data.workingCapital.biz_main.bufferDays).toBe("0");
+
+    const after = computeWorkingCapital(upgraded.biz_main, { settings: out.settings });
+    expect(after).toMatchObject({ baseBuffer: 0, wcGoal: 0, reserveGoal: 0, moveToFamilyOffice: 50000 });
+    expect(computeWorkingCapital(upgraded.b2, { settings: out.settings }).baseBuffer).toBe(30000);
+  });
+});
+
+describe("migrateState", () => {
+  it("runs every migration on an unversioned legacy save", () => {
+    const out = migrateState({ month: "2025-06", workingCapital: { operatingExpenses: "9000" }, cashflow: {} });
+    expect(out.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(out.months["2025-06"].workingCapital.biz_main.operatingExpenses).toBe("9000");
+    expect(out.months["2025-06"].cashflow.fundingStrategy).toBe("earliest");
+  });
+
+  it("only runs migrations newer than the saved version", () => {
+    const saved = { schemaVersion: 2, months: { "2025-06": { workingCapital: { operatingExpenses: "1" } } }, businesses: [] };
+    // migration 2 would have wrapped this flat shape; only migration 3 may run
+    expect(migrateState(saved).months["2025-06"].workingCapital).not.toHaveProperty("biz_main");
+  });
+
+  it("is a no-op on current saves apart from the version stamp", () => {
+    const current = migrateState({ month: "2025-06", cashflow: {} });
+    expect(migrateState(current)).toEqual(current);
+  });
+
+  it("refuses saves from a newer schema", () => {
+    expect(() => migrateState({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow(NewerSchemaError);
+  });
+
+  it("passes empty saves through", () => {
+    expect(migrateState(null)).toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Money arithmetic
+ * - Calculations run in integer cents (toCents / fromCents) so sums and splits come out exact; amounts
+ *   leave the engine as numbers with at most two decimals
+ * - Suggested amounts follow the user's rounding rule, settings.rounding = { unit, transfers }:
+ *   unit is what a computed amount rounds to, transfers "down" never suggests moving the part of a
+ *   unit that isn't there, "nearest" rounds either way (but never past what is available)
+ * - Typed amounts are taken as typed; only what the engine works out (a percentage, a sweep, a split
+ *   of the needs pool) is rounded
+ */
+
+import { toNumber } from "./helpers.js";
+
+export const ROUNDING_UNITS = [
+  { value: "cent", label: "Nearest cent", cents: 1 },
+  { value: "dollar", label: "Nearest dollar", cents: 100 },
+  { value: "hundred", label: "Nearest 100", cents: 10000 },
+];
+
+export const TRANSFER_ROUNDING = [
+  { value: "down", label: "Round transfers down" },
+  { value: "nearest", label: "Round transfers to nearest" },
+];
+
+export const DEFAULT_ROUNDING = { unit: "dollar", transfers: "down" };
+
+// "1234.5" → 123450. Shifting the decimal in the number's text avoids 1.005 * 100 = 100.49999…
+export function toCents(amount) {
+  const n = toNumber(amount);
+  const shifted = /e/i.test(String(n)) ? n * 100 : Number(`${n}e2`);
+  return Math.round(shifted);
+}
+
+export function fromCents(cents) {
+  return cents / 100;
+}
+
+export function sumCents(values) {
+  return values.reduce((sum, v) => sum + toCents(v), 0);
+}
+
+export function roundingRule(settings) {
+  const rounding = { ...DEFAULT_ROUNDING, ...(settings?.rounding || {}) };
+  const unit = ROUNDING_UNITS.find((u) => u.value === rounding.unit) || ROUNDING_UNITS[1];
+  return { unit: unit.cents, transfers: rounding.transfers === "nearest" ? "nearest" : "down" };
+}
+
+// Round `cents` to a multiple of `unit`; "down" goes toward zero
+export function roundCents(cents, unit, direction = "nearest") {
+  if (unit <= 1) return Math.round(cents);
+  const steps = cents / unit;
+  return (direction === "down" ? Math.trunc(steps) : Math.round(steps)) * unit;
+}
+
+// A suggested transfer under the user's rule, never more than `cap` cents when one is given
+export function roundTransfer(cents, settings, cap) {
+  const { unit, transfers } = roundingRule(settings);
+  const rounded = roundCents(cents, unit, transfers);
+  return cap !== undefined && rounded > cap ? roundCents(Math.min(cents, cap), unit, "down") : rounded;
+}
+
+// Turn { key: amount } (fractional cents allowed) into whole cents that add up to exactly `totalCents`:
+// everyone gets their floor, then cents left over (or missing) go to (or come from) the largest
+// (smallest) remainders
+export function splitCents(amounts, totalCents) {
+  const entries = Object.entries(amounts || {}).map(([key, amount]) => {
+    const exact = Math.max(0, amount * 100);
+    return { key, cents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let left = totalCents - entries.reduce((sum, e) => sum + e.cents, 0);
+  const byRemainder = [...entries].sort((a, b) => b.remainder - a.remainder);
+  for (let i = 0; left > 0 && byRemainder.length; i = (i + 1) % byRemainder.length) {
+    byRemainder[i].cents += 1;
+    left -= 1;
+  }
+  const takeFrom = [...byRemainder].reverse();
+  for (let i = 0; left < 0 && takeFrom.some((e) => e.cents > 0); i = (i + 1) % takeFrom.length) {
+    if (takeFrom[i].cents > 0) {
+      takeFrom[i].cents -= 1;
+      left += 1;
+    }
+  }
+  return Object.fromEntries(entries.map((e) => [e.key, e.cents]));
+}
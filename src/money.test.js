@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { fromCents, roundCents, roundTransfer, roundingRule, splitCents, sumCents, toCents } from "./money.js";
+
+describe("cents", () => {
+  it("converts without float drift", () => {
+    expect(toCents("1.005")).toBe(101);
+    expect(toCents("1,234.56")).toBe(123456);
+    expect(toCents("")).toBe(0);
+    expect(fromCents(sumCents(["0.1", "0.2"]))).toBe(0.3);
+  });
+});
+
+describe("rounding rules", () => {
+  it("defaults to rounding transfers down to the dollar", () => {
+    expect(roundingRule({})).toEqual({ unit: 100, transfers: "down" });
+    expect(roundTransfer(123456, {})).toBe(123400);
+  });
+
+  it("rounds to the chosen unit and direction", () => {
+    expect(roundCents(123456, 10000, "nearest")).toBe(120000);
+    expect(roundCents(125000, 10000, "nearest")).toBe(130000);
+    expect(roundCents(129999, 10000, "down")).toBe(120000);
+    expect(roundTransfer(123456, { rounding: { unit: "cent" } })).toBe(123456);
+  });
+
+  it("never rounds a transfer past what is available", () => {
+    const nearestHundred = { rounding: { unit: "hundred", transfers: "nearest" } };
+    expect(roundTransfer(15000, nearestHundred)).toBe(20000);
+    expect(roundTransfer(15000, nearestHundred, 15000)).toBe(10000);
+  });
+});
+
+describe("splitCents", () => {
+  it("hands out leftover cents so the parts add up to the total", () => {
+    const parts = splitCents({ a: 33.333, b: 33.333, c: 33.334 }, 10000);
+    expect(parts).toEqual({ a: 3333, b: 3333, c: 3334 });
+    expect(Object.values(splitCents({ a: 10.005, b: 5.005 }, 1501)).reduce((x, y) => x + y, 0)).toBe(1501);
+  });
+});
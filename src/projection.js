@@ -0,0 +1,123 @@
+/**
+ * Forward projection (pure, no React)
+ * - Rolls this month's inputs and rules forward month by month: same W-2 and Business Cash In, same
+ *   giving and lifestyle, needs funded by the chosen strategy and paid out at target in their due month
+ * - Business reserves keep taking their top-off first until they reach goal; after that the money the
+ *   business frees up each month flows on to the Family Office as extra Business Cash In
+ * - The Family Office balance starts from today's balance when it is tracked (otherwise from what is set
+ *   aside for open needs) and moves with each month's inflow, giving, lifestyle, Wealth Creation sweep
+ *   and need payouts (kept in cents, see money.js); what stays for the emergency minimum stays in it
+ * - Lifestyle is topped up to target in the first month and then takes the monthly rule
+ */
+
+import { moneyFormat } from "./currency.js";
+import { computeBusinesses, computeCashflow, nextOccurrence, repeatInterval } from "./engine.js";
+import { fmtMoney, monthAdd, monthDiff, toNumber } from "./helpers.js";
+import { fromCents, roundTransfer, sumCents, toCents } from "./money.js";
+
+export const PROJECTION_MONTHS = 12;
+
+// Needs due by `month` are paid at target; recurring ones schedule their next occurrence
+function payDueNeeds(needs, month) {
+  const due = needs.filter((n) => n.status === "open" && monthDiff(n.dueMonth, month) >= 0);
+  const dueIds = new Set(due.map((n) => n.id));
+  const next = needs.flatMap((n) => {
+    if (!dueIds.has(n.id)) return [n];
+    // a stable id (original need @ due month), so the same projection renders with the same keys
+    const following = nextOccurrence(n, `${String(n.id).split("@")[0]}@${monthAdd(n.dueMonth, repeatInterval(n))}`);
+    return following ? [{ ...n, status: "paid", paidMonth: month }, following] : [{ ...n, status: "paid", paidMonth: month }];
+  });
+  const payouts = due.map((n) => {
+    const target = toNumber(n.target);
+    const funded = toNumber(n.funded);
+    return { id: n.id, name: n.name, dueMonth: n.dueMonth, target, funded, shortfall: fromCents(Math.max(0, toCents(target) - toCents(funded))) };
+  });
+  return { needs: next, payouts };
+}
+
+/**
+ * { start, startsFrom, months: [{ month, businessIn, w2In, carryIn, inflow, giving, lifestyle, availableAfterRequired,
+ *   needsFunding, payouts, paidOut, moveToReserve, toWealth, setAside, familyOfficeBalance, flags }] }
+ * startsFrom: "balance" (today's Family Office balance) or "setAside" (what open needs have set aside).
+ * flags: [{ kind: "short" | "underfunded" | "emergency" | "overdrawn", message }]. Null when `month` hasn't been started.
+ */
+export function projectCashflow(state, month = state?.month, count = PROJECTION_MONTHS) {
+  const current = state?.months?.[month];
+  if (!current) return null;
+  const plan = { accounts: state.accounts, transferRules: state.transferRules, settings: state.settings };
+  const cf = current.cashflow || {};
+  const money = moneyFormat(plan.settings);
+
+  const { byBusiness } = computeBusinesses(state.businesses, current.workingCapital, plan, month);
+  const businesses = byBusiness.map(({ result }) => ({ available: toCents(result.availableFromBusiness), reserveShort: toCents(result.reserveShort) }));
+  const baseBusinessIn = toCents(cf.businessIn);
+  let firstTopOff = null;
+
+  let needs = (cf.needs || []).map((n) => ({ ...n }));
+  const setAsideCents = () => sumCents(needs.filter((n) => n.status === "open").map((n) => n.funded));
+  const familyOfficeTracked = String(cf.familyOfficeBalance ?? "").trim() !== "";
+  let balanceCents = familyOfficeTracked ? toCents(cf.familyOfficeBalance) : setAsideCents();
+  const start = fromCents(balanceCents);
+
+  const months = [];
+  for (let i = 0; i < count; i++) {
+    const m = monthAdd(month, i);
+
+    let reserveCents = 0;
+    businesses.forEach((b) => {
+      const topOff = roundTransfer(Math.min(b.available, b.reserveShort), plan.settings, b.available);
+      b.reserveShort -= topOff;
+      reserveCents += topOff;
+    });
+    if (firstTopOff === null) firstTopOff = reserveCents;
+    // once a reserve is full, what used to top it off sweeps to the Family Office instead
+    const businessIn = fromCents(i === 0 ? baseBusinessIn : baseBusinessIn + firstTopOff - reserveCents);
+    const moveToReserve = fromCents(reserveCents);
+
+    const later = { carryIn: "", lifestyleBalance: "", familyOfficeBalance: familyOfficeTracked ? String(fromCents(balanceCents)) : "" };
+    const r = computeCashflow({ ...cf, ...(i === 0 ? {} : later), businessIn: String(businessIn), needs }, m, plan);
+    needs = needs.map((n) => (r.fundingPlan[n.id] > 0 ? { ...n, funded: String(fromCents(toCents(n.funded) + toCents(r.fundingPlan[n.id]))) } : n));
+    const paid = payDueNeeds(needs, m);
+    needs = paid.needs;
+
+    const toWealth = Math.max(0, r.excess);
+    const paidOutCents = sumCents(paid.payouts.map((p) => p.target));
+    balanceCents += sumCents([r.inflow, -r.givingAmount, -r.lifestyle, -toWealth]) - paidOutCents;
+    const balance = fromCents(balanceCents);
+    const paidOut = fromCents(paidOutCents);
+    const setAside = fromCents(setAsideCents());
+
+    const flags = [];
+    if (r.availableAfterRequired < 0) {
+      flags.push({ kind: "short", message: `Inflow is ${fmtMoney(-r.availableAfterRequired, money)} short of giving + lifestyle` });
+    }
+    paid.payouts
+      .filter((p) => p.shortfall > 0.5)
+      .forEach((p) => flags.push({ kind: "underfunded", message: `${p.name || "Unnamed need"} is ${fmtMoney(p.shortfall, money)} short when due` }));
+    if (r.emergencyShortAfter > 0.5) {
+      flags.push({ kind: "emergency", message: `Family Office stays ${fmtMoney(r.emergencyShortAfter, money)} below the emergency minimum` });
+    }
+    if (balance < -0.5) flags.push({ kind: "overdrawn", message: "Family Office balance goes negative" });
+
+    months.push({
+      month: m,
+      businessIn,
+      w2In: toNumber(cf.w2In),
+      carryIn: r.carryIn,
+      inflow: r.inflow,
+      giving: r.givingAmount,
+      lifestyle: r.lifestyle,
+      availableAfterRequired: r.availableAfterRequired,
+      needsFunding: r.allocateToNeeds,
+      payouts: paid.payouts,
+      paidOut,
+      moveToReserve,
+      toWealth,
+      setAside,
+      familyOfficeBalance: balance,
+      flags,
+    });
+  }
+
+  return { start, startsFrom: familyOfficeTracked ? "balance" : "setAside", months };
+}
@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { defaultAccounts, defaultTransferRules } from "./accounts.js";
+import { projectCashflow } from "./projection.js";
+
+function makeState({ workingCapital = {}, cashflow }) {
+  return {
+    month: "2026-03",
+    settings: { needsHorizonMonths: 6 },
+    accounts: defaultAccounts(),
+    transferRules: defaultTransferRules(),
+    businesses: [{ id: "biz_main", name: "My Business", transferRules: {} }],
+    months: {
+      "2026-03": {
+        workingCapital: { biz_main: workingCapital },
+        cashflow: { givingIsDollar: true, givingDollar: "0", carryIn: "", fundingStrategy: "earliest", ...cashflow },
+      },
+    },
+  };
+}
+
+describe("projectCashflow", () => {
+  it("rolls the month forward: reserve top-off first, needs funded then paid, the rest to Wealth Creation", () => {
+    const state = makeState({
+      workingCapital: {
+        operatingExpenses: "30000",
+        inventoryCost: "0",
+        daysPerMonth: "30",
+        avgCollectionDays: "0",
+        businessChecking: "70000",
+        reserveAccountBalance: "10000",
+        bufferDays: "30",
+        reserveDays: "30",
+      },
+      cashflow: {
+        businessIn: "20000",
+        w2In: "5000",
+        givingDollar: "1000",
+        lifestyleMonthly: "20000",
+        needs: [{ id: "tax", name: "Taxes", target: "9000", dueMonth: "2026-05", funded: "0", status: "open" }],
+      },
+    });
+
+    const { start, startsFrom, months } = projectCashflow(state);
+    expect(start).toBe(0);
+    expect(startsFrom).toBe("setAside");
+    expect(months).toHaveLength(12);
+    expect(months.map((r) => r.month).slice(0, 3)).toEqual(["2026-03", "2026-04", "2026-05"]);
+
+    const [march, april, may] = months;
+    expect(march).toMatchObject({ inflow: 25000, moveToReserve: 20000, needsFunding: 4000, toWealth: 0, familyOfficeBalance: 4000 });
+    // the reserve is full after March, so its top-off joins Business Cash In
+    expect(april).toMatchObject({ businessIn: 40000, moveToReserve: 0, needsFunding: 5000, toWealth: 19000, familyOfficeBalance: 9000 });
+    expect(may.payouts).toEqual([{ id: "tax", name: "Taxes", dueMonth: "2026-05", target: 9000, funded: 9000, shortfall: 0 }]);
+    expect(may).toMatchObject({ paidOut: 9000, toWealth: 24000, setAside: 0, familyOfficeBalance: 0 });
+    expect(months.every((r) => r.flags.length === 0)).toBe(true);
+  });
+
+  it("flags months that fall short, needs that aren't funded by their due month and an overdrawn Family Office", () => {
+    const state = makeState({
+      cashflow: {
+        businessIn: "20000",
+        w2In: "0",
+        lifestyleMonthly: "19000",
+        needs: [{ id: "roof", name: "Roof", target: "5000", dueMonth: "2026-04", funded: "0", status: "open" }],
+      },
+    });
+
+    const april = projectCashflow(state).months[1];
+    expect(april.payouts[0]).toMatchObject({ funded: 2000, shortfall: 3000 });
+    expect(april.familyOfficeBalance).toBe(-3000);
+    expect(april.flags.map((f) => f.kind)).toEqual(["underfunded", "overdrawn"]);
+
+    state.months["2026-03"].cashflow.lifestyleMonthly = "21000";
+    expect(projectCashflow(state).months[0].flags.map((f) => f.kind)).toEqual(["short", "overdrawn"]);
+  });
+
+  it("schedules the next occurrence of recurring needs", () => {
+    const state = makeState({
+      cashflow: {
+        businessIn: "10000",
+        lifestyleMonthly: "5000",
+        needs: [{ id: "q", name: "Estimated tax", target: "3000", dueMonth: "2026-03", funded: "3000", status: "open", repeat: "quarterly" }],
+      },
+    });
+
+    const paid = projectCashflow(state).months.filter((r) => r.payouts.length);
+    expect(paid.map((r) => [r.month, r.payouts[0].id])).toEqual([
+      ["2026-03", "q"],
+      ["2026-06", "q@2026-06"],
+      ["2026-09", "q@2026-09"],
+      ["2026-12", "q@2026-12"],
+    ]);
+  });
+
+  it("starts from today's Family Office balance and flags months below the emergency minimum", () => {
+    const state = makeState({ cashflow: { businessIn: "6000", w2In: "0", lifestyleMonthly: "5000", familyOfficeBalance: "0", needs: [] } });
+
+    const { start, startsFrom, months } = projectCashflow(state);
+    expect(start).toBe(0);
+    expect(startsFrom).toBe("balance");
+    expect(months.slice(0, 5).map((r) => r.familyOfficeBalance)).toEqual([1000, 2000, 3000, 4000, 5000]);
+    expect(months.map((r) => r.flags.map((f) => f.kind).join())).toEqual(["emergency", "emergency", "emergency", "emergency", ...Array(8).fill("")]);
+  });
+
+  it("needs the month to be started", () => {
+    expect(projectCashflow(makeState({ cashflow: {} }), "2026-09")).toBeNull();
+  });
+});
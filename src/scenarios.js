@@ -0,0 +1,91 @@
+/**
+ * What-if scenarios
+ * - A scenario is a named copy of one month's inputs plus the businesses and settings they run with:
+ *   { id, name, month, createdAt, businesses, settings, data }
+ * - While a scenario is open the tools edit that copy; the plan's own month is never touched
+ * - compareScenario lines up key outputs (this month and the 12-month projection) against the plan
+ * - Promoting copies the scenario's inputs into the plan; what was recorded (transfers, actual spend)
+ *   stays as the plan has it
+ */
+
+import { computeState } from "./engine.js";
+import { projectCashflow } from "./projection.js";
+
+export function createScenario(state, month, { id, name, createdAt = new Date().toISOString() }) {
+  const base = state?.months?.[month];
+  if (!base) return null;
+  return {
+    id,
+    name,
+    month,
+    createdAt,
+    businesses: structuredClone(state.businesses || []),
+    settings: structuredClone(state.settings || {}),
+    data: { ...structuredClone(base), results: {} },
+  };
+}
+
+// The plan as the scenario would have it, for computing and projecting
+export function scenarioState(state, scenario) {
+  if (!scenario) return state;
+  return {
+    ...state,
+    businesses: scenario.businesses,
+    settings: scenario.settings,
+    months: { ...state.months, [scenario.month]: scenario.data },
+  };
+}
+
+export const SCENARIO_METRICS = [
+  { key: "wcGoal", label: "Working Capital goal", group: "This month" },
+  { key: "reserveGoal", label: "Reserve goal", group: "This month" },
+  { key: "moveToReserve", label: "Move to reserve", group: "This month" },
+  { key: "moveToFamilyOffice", label: "Sweep to Family Office", group: "This month" },
+  { key: "inflow", label: "Total inflow", group: "This month" },
+  { key: "givingAmount", label: "Giving", group: "This month" },
+  { key: "lifestyle", label: "Lifestyle", group: "This month" },
+  { key: "allocateToNeeds", label: "Set aside for needs", group: "This month" },
+  { key: "excess", label: "Excess to Wealth Creation", group: "This month" },
+  { key: "toWealth12", label: "To Wealth Creation", group: "Next 12 months" },
+  { key: "endBalance", label: "Family Office at the end", group: "Next 12 months" },
+  { key: "flaggedMonths", label: "Months flagged", group: "Next 12 months", count: true },
+];
+
+export function scenarioMetrics(state, month) {
+  const { workingCapital, cashflow } = computeState(state, month);
+  const projection = projectCashflow(state, month);
+  const months = projection?.months || [];
+  return {
+    ...workingCapital.totals,
+    inflow: cashflow.inflow,
+    givingAmount: cashflow.givingAmount,
+    lifestyle: cashflow.lifestyle,
+    allocateToNeeds: cashflow.allocateToNeeds,
+    excess: cashflow.excess,
+    toWealth12: months.reduce((sum, r) => sum + r.toWealth, 0),
+    endBalance: months.length ? months[months.length - 1].familyOfficeBalance : 0,
+    flaggedMonths: months.filter((r) => r.flags.length).length,
+  };
+}
+
+// [{ key, label, group, count, baseline, scenario, delta }]
+export function compareScenario(state, scenario) {
+  const baseline = scenarioMetrics(state, scenario.month);
+  const whatIf = scenarioMetrics(scenarioState(state, scenario), scenario.month);
+  return SCENARIO_METRICS.map((m) => ({ ...m, baseline: baseline[m.key], scenario: whatIf[m.key], delta: whatIf[m.key] - baseline[m.key] }));
+}
+
+// Adopt the scenario as the plan and drop it from the list
+export function promoteScenario(state, scenarioId) {
+  const scenario = (state.scenarios || []).find((s) => s.id === scenarioId);
+  const current = scenario && state.months?.[scenario.month];
+  if (!current) return state;
+  const actualsOf = (id) => (state.businesses || []).find((b) => b.id === id)?.spendActuals;
+  return {
+    ...state,
+    businesses: scenario.businesses.map((b) => ({ ...b, spendActuals: actualsOf(b.id) ?? b.spendActuals ?? {} })),
+    settings: scenario.settings,
+    months: { ...state.months, [scenario.month]: { ...scenario.data, transfers: current.transfers } },
+    scenarios: state.scenarios.filter((s) => s.id !== scenarioId),
+  };
+}
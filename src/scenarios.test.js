@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { defaultAccounts, defaultTransferRules } from "./accounts.js";
+import { compareScenario, createScenario, promoteScenario, scenarioState } from "./scenarios.js";
+
+const state = {
+  month: "2026-03",
+  settings: { needsHorizonMonths: 6 },
+  accounts: defaultAccounts(),
+  transferRules: defaultTransferRules(),
+  businesses: [{ id: "biz_main", name: "My Business", transferRules: {}, spendActuals: { "2026-02": { operating: "100", inventory: "" } } }],
+  scenarios: [],
+  months: {
+    "2026-03": {
+      results: { cashflow: { excess: 1 } },
+      transfers: { cashflow: { cf_giving: { amount: "500", date: "2026-03-02", confirmation: "", note: "", suggested: 500 } } },
+      workingCapital: {
+        biz_main: {
+          operatingExpenses: "30000",
+          inventoryCost: "0",
+          daysPerMonth: "30",
+          avgCollectionDays: "0",
+          businessChecking: "100000",
+          reserveAccountBalance: "45000",
+          bufferDays: "45",
+          reserveDays: "45",
+        },
+      },
+      cashflow: { businessIn: "10000", w2In: "10000", givingIsDollar: true, givingDollar: "500", lifestyleMonthly: "15000", needs: [] },
+    },
+  },
+};
+
+describe("createScenario", () => {
+  it("copies the month, businesses and settings without sharing objects with the plan", () => {
+    const s = createScenario(state, "2026-03", { id: "s1", name: "W-2 down", createdAt: "2026-03-10T00:00:00.000Z" });
+    expect(s).toMatchObject({ id: "s1", name: "W-2 down", month: "2026-03", settings: { needsHorizonMonths: 6 } });
+    expect(s.data.results).toEqual({});
+    s.data.cashflow.w2In = "7000";
+    s.businesses[0].name = "Changed";
+    expect(state.months["2026-03"].cashflow.w2In).toBe("10000");
+    expect(state.businesses[0].name).toBe("My Business");
+    expect(createScenario(state, "2026-09", { id: "s2", name: "x" })).toBeNull();
+  });
+});
+
+describe("compareScenario", () => {
+  it("lines up this month's outputs and the projection against the plan", () => {
+    const s = createScenario(state, "2026-03", { id: "s1", name: "W-2 down, 60 buffer days" });
+    s.data.cashflow.w2In = "7000";
+    s.data.workingCapital.biz_main.bufferDays = "60";
+
+    const rows = Object.fromEntries(compareScenario(state, s).map((r) => [r.key, r]));
+    expect(rows.wcGoal).toMatchObject({ baseline: 45000, scenario: 60000, delta: 15000 });
+    expect(rows.moveToFamilyOffice.delta).toBeCloseTo(-15000);
+    expect(rows.inflow).toMatchObject({ baseline: 20000, scenario: 17000 });
+    expect(rows.excess.delta).toBe(-3000);
+    expect(rows.flaggedMonths.baseline).toBe(0);
+    // the plan is untouched by looking at the scenario
+    expect(scenarioState(state, s).months["2026-03"].cashflow.w2In).toBe("7000");
+    expect(state.months["2026-03"].cashflow.w2In).toBe("10000");
+  });
+});
+
+describe("promoteScenario", () => {
+  it("adopts the scenario's inputs but keeps recorded transfers and actual spend", () => {
+    const s = createScenario(state, "2026-03", { id: "s1", name: "Leaner lifestyle" });
+    s.data.cashflow.lifestyleMonthly = "12000";
+    s.data.transfers = {};
+    s.businesses[0].spendActuals = {};
+    s.settings.needsHorizonMonths = 12;
+
+    const next = promoteScenario({ ...state, scenarios: [s] }, "s1");
+    expect(next.months["2026-03"].cashflow.lifestyleMonthly).toBe("12000");
+    expect(next.months["2026-03"].transfers).toBe(state.months["2026-03"].transfers);
+    expect(next.businesses[0].spendActuals).toEqual(state.businesses[0].spendActuals);
+    expect(next.settings.needsHorizonMonths).toBe(12);
+    expect(next.scenarios).toEqual([]);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Where a user's state lives. Every backend exposes the same async interface:
+ * - load()                        → { state, version, savedAt } or null when nothing is saved yet (throws on read errors)
+ * - save(state, expectedVersion)  → new version; throws SaveConflictError when someone else saved since
+ *                                   `expectedVersion` (null means "nothing saved yet")
+ * - subscribe(onChange)           → live { state, version, savedAt } updates from other sessions; returns unsubscribe
+ * - appendLog(entries)            → add change-log entries (see audit.js); never edits them (local mode drops the
+ *                                   oldest past LOCAL_AUDIT_LIMIT or when the browser's quota runs out)
+ * - loadLog({ month, limit })     → newest-first entries for one month plus plan-wide ones
+ * - label                         → short description for the top bar
+ *
+ * The version is a counter the database keeps, so a save only lands if nobody else wrote in between, whatever
+ * the clocks on either device say. Versions are only ever compared for equality.
+ * The tables, trigger, policies and Realtime setup are in supabase/migrations.
+ */
+
+const LOCAL_KEY = "cashflow-foundation:state";
+const LOCAL_AUDIT_KEY = "cashflow-foundation:audit";
+// Newest change-log entries kept in local mode; the log shares the browser's quota with the state
+export const LOCAL_AUDIT_LIMIT = 2000;
+
+export class SaveConflictError extends Error {
+  constructor(message = "Your data was changed in another session.") {
+    super(message);
+    this.name = "SaveConflictError";
+  }
+}
+
+// Supabase table: cashflow_states (user_id, state jsonb, version, updated_at); version and updated_at are set by the database
+export function createSupabaseStorage(client, userId) {
+  const table = () => client.from("cashflow_states");
+
+  return {
+    label: "Saved to your account",
+
+    async load() {
+      const { data, error } = await table().select("state, version, updated_at").eq("user_id", userId).maybeSingle();
+      if (error) throw error;
+      return data?.state ? { state: data.state, version: data.version, savedAt: data.updated_at } : null;
+    },
+
+    async save(state, expectedVersion = null) {
+      if (expectedVersion === null) {
+        const { data, error } = await table().insert({ user_id: userId, state }).select("version");
+        // unique violation: another session created the row first
+        if (error?.code === "23505") throw new SaveConflictError();
+        if (error) throw error;
+        return data?.[0]?.version ?? 1;
+      }
+
+      const { data, error } = await table().update({ state }).eq("user_id", userId).eq("version", expectedVersion).select("version");
+      if (error) throw error;
+      if (!data?.length) throw new SaveConflictError();
+      return data[0].version;
+    },
+
+    subscribe(onChange) {
+      const channel = client
+        .channel(`cashflow_states:${userId}`)
+        .on(
+          "postgres_changes",
+          { event: "*", schema: "public", table: "cashflow_states", filter: `user_id=eq.${userId}` },
+          (payload) => {
+            if (payload.new?.state) onChange({ state: payload.new.state, version: payload.new.version, savedAt: payload.new.updated_at });
+          }
+        )
+        .subscribe();
+      return () => client.removeChannel(channel);
+    },
+
+    async appendLog(entries) {
+      if (!entries?.length) return;
+      const rows = entries.map((e) => ({
+        user_id: userId,
+        at: e.at,
+        actor: e.actor,
+        month: e.month,
+        path: e.path,
+        old_value: e.from,
+        new_value: e.to,
+      }));
+      const { error } = await client.from("cashflow_audit").insert(rows);
+      if (error) throw error;
+    },
+
+    async loadLog({ month, limit = 200 } = {}) {
+      const { data, error } = await client
+        .from("cashflow_audit")
+        .select("at, actor, month, path, old_value, new_value")
+        .eq("user_id", userId)
+        .or(`month.eq.${month},month.is.null`)
+        .order("at", { ascending: false })
+        .limit(limit);
+      if (error) throw error;
+      return (data || []).map((r) => ({ at: r.at, actor: r.actor, month: r.month, path: r.path, from: r.old_value, to: r.new_value }));
+    },
+  };
+}
+
+// Browser-only storage for local mode (no backend). `store` is any Web Storage–like object;
+// other tabs of the same browser are the "other sessions". The version counts saves; updated_at is only shown.
+export function createLocalStorage(store = globalThis.localStorage, key = LOCAL_KEY, auditKey = LOCAL_AUDIT_KEY) {
+  function read() {
+    const raw = store?.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // saves from before the counter carry only their timestamp
+  function versionOf(saved) {
+    return saved?.version ?? saved?.updated_at ?? null;
+  }
+
+  function readLog() {
+    const raw = store?.getItem(auditKey);
+    return raw ? JSON.parse(raw) : [];
+  }
+
+  // Keep the newest entries that fit; halving until they do
+  function writeLog(entries) {
+    let kept = entries.slice(-LOCAL_AUDIT_LIMIT);
+    for (;;) {
+      try {
+        store.setItem(auditKey, JSON.stringify(kept));
+        return;
+      } catch (e) {
+        if (!kept.length) throw e;
+        kept = kept.slice(Math.ceil(kept.length / 2));
+      }
+    }
+  }
+
+  // The state always wins over the log: when the quota is full the log gives up its oldest half until the save fits
+  function writeState(value) {
+    let log = null;
+    for (;;) {
+      try {
+        store.setItem(key, value);
+        return;
+      } catch (e) {
+        log = log ?? readLog();
+        if (!log.length) throw e;
+        log = log.slice(Math.ceil(log.length / 2));
+        if (log.length) store.setItem(auditKey, JSON.stringify(log));
+        else store.removeItem(auditKey);
+      }
+    }
+  }
+
+  return {
+    label: "Saved in this browser only",
+
+    async load() {
+      const saved = read();
+      return saved?.state ? { state: saved.state, version: versionOf(saved), savedAt: saved.updated_at || null } : null;
+    },
+
+    async save(state, expectedVersion = null) {
+      if (!store) throw new Error("Local storage is not available in this browser.");
+      const current = read();
+      if (versionOf(current) !== expectedVersion) throw new SaveConflictError();
+      const version = (Number.isInteger(current?.version) ? current.version : 0) + 1;
+      writeState(JSON.stringify({ state, version, updated_at: new Date().toISOString() }));
+      return version;
+    },
+
+    subscribe(onChange) {
+      if (typeof window === "undefined") return () => {};
+      const handler = (e) => {
+        if (e.key !== key || !e.newValue) return;
+        const saved = JSON.parse(e.newValue);
+        if (saved?.state) onChange({ state: saved.state, version: versionOf(saved), savedAt: saved.updated_at || null });
+      };
+      window.addEventListener("storage", handler);
+      return () => window.removeEventListener("storage", handler);
+    },
+
+    async appendLog(entries) {
+      if (!entries?.length || !store) return;
+      writeLog([...readLog(), ...entries]);
+    },
+
+    async loadLog({ month, limit = 200 } = {}) {
+      return readLog()
+        .filter((e) => e.month === month || e.month === null)
+        .reverse()
+        .slice(0, limit);
+    },
+
+    savedAt() {
+      try {
+        return read()?.updated_at || null;
+      } catch {
+        return null;
+      }
+    },
+
+    clear() {
+      store?.removeItem(key);
+      store?.removeItem(auditKey);
+    },
+  };
+}
+
+// ---------- conflicts ----------
+// Keys that only describe what this tab is looking at; never shared between sessions
+const VIEW_KEYS = ["month", "activeTool"];
+
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function withoutView(state) {
+  const out = { ...(state || {}) };
+  VIEW_KEYS.forEach((k) => delete out[k]);
+  return out;
+}
+
+// True when `state` has data changes (not just navigation) compared to `base`
+export function hasDataChanges(state, base) {
+  return !sameJSON(withoutView(state), withoutView(base));
+}
+
+// Take `incoming` data but stay on the month/tool this tab is showing
+export function keepView(incoming, current) {
+  const out = { ...incoming };
+  VIEW_KEYS.forEach((k) => {
+    if (current && k in current) out[k] = current[k];
+  });
+  return out;
+}
+
+// Three-way merge against the last state both sides agreed on (`base`). Start from theirs, then
+// re-apply each top-level setting and each month that changed on this side; when both sides
+// changed the same month, this side wins for that month.
+export function mergeStates(base, mine, theirs) {
+  const out = keepView(theirs, mine);
+  Object.keys(mine || {}).forEach((k) => {
+    if (k === "months" || VIEW_KEYS.includes(k)) return;
+    if (!sameJSON(mine[k], base?.[k])) out[k] = mine[k];
+  });
+
+  const months = { ...(theirs?.months || {}) };
+  Object.keys(mine?.months || {}).forEach((m) => {
+    if (!sameJSON(mine.months[m], base?.months?.[m])) months[m] = mine.months[m];
+  });
+  out.months = months;
+  return out;
+}
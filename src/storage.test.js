@@ -0,0 +1,205 @@
+import { describe, expect, it } from "vitest";
+import {
+  LOCAL_AUDIT_LIMIT,
+  SaveConflictError,
+  createLocalStorage,
+  createSupabaseStorage,
+  hasDataChanges,
+  keepView,
+  mergeStates,
+} from "./storage.js";
+
+// `quota` is the total characters the store holds, like the browser's localStorage limit
+function memoryStore(quota = Infinity) {
+  const data = new Map();
+  const used = () => [...data.values()].reduce((sum, v) => sum + v.length, 0);
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => {
+      if (used() - (data.get(k)?.length || 0) + String(v).length > quota) throw new Error("QuotaExceededError");
+      data.set(k, String(v));
+    },
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+describe("createLocalStorage", () => {
+  it("round-trips the full state with a version", async () => {
+    const local = createLocalStorage(memoryStore());
+    expect(await local.load()).toBeNull();
+    expect(local.savedAt()).toBeNull();
+
+    const version = await local.save({ month: "2026-03", months: { "2026-03": { cashflow: { needs: [] } } } }, null);
+    expect(version).toBe(1);
+    expect(await local.load()).toEqual({
+      state: { month: "2026-03", months: { "2026-03": { cashflow: { needs: [] } } } },
+      version,
+      savedAt: local.savedAt(),
+    });
+    expect(local.savedAt()).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(await local.save({ month: "2026-04" }, version)).toBe(2);
+
+    local.clear();
+    expect(await local.load()).toBeNull();
+  });
+
+  it("rejects a save based on an out-of-date version", async () => {
+    const store = memoryStore();
+    const tabA = createLocalStorage(store);
+    const tabB = createLocalStorage(store);
+    const v1 = await tabA.save({ month: "2026-03" }, null);
+
+    const v2 = await tabA.save({ month: "2026-04" }, v1);
+    await expect(tabB.save({ month: "2026-05" }, v1)).rejects.toBeInstanceOf(SaveConflictError);
+    await expect(tabB.save({ month: "2026-05" }, null)).rejects.toBeInstanceOf(SaveConflictError);
+    expect(await tabB.save({ month: "2026-05" }, v2)).toBe(3);
+  });
+
+  it("takes over a save from before the version counter by its timestamp", async () => {
+    const store = memoryStore();
+    store.setItem("cashflow-foundation:state", JSON.stringify({ state: { month: "2026-04" }, updated_at: "2026-03-01T00:00:00.000Z" }));
+    const local = createLocalStorage(store);
+    const saved = await local.load();
+    expect(saved.version).toBe("2026-03-01T00:00:00.000Z");
+    expect(await local.save({ month: "2026-05" }, saved.version)).toBe(1);
+  });
+
+  it("appends to the change log and reads one month plus plan-wide entries, newest first", async () => {
+    const local = createLocalStorage(memoryStore());
+    await local.appendLog([
+      { at: "1", month: "2026-03", path: "a" },
+      { at: "2", month: null, path: "b" },
+    ]);
+    await local.appendLog([{ at: "3", month: "2026-04", path: "c" }]);
+
+    expect((await local.loadLog({ month: "2026-03" })).map((e) => e.path)).toEqual(["b", "a"]);
+    expect((await local.loadLog({ month: "2026-04", limit: 1 })).map((e) => e.path)).toEqual(["c"]);
+  });
+
+  it("keeps only the newest change-log entries", async () => {
+    const local = createLocalStorage(memoryStore());
+    const entries = Array.from({ length: LOCAL_AUDIT_LIMIT + 5 }, (_, i) => ({ at: String(i), month: null, path: "p" }));
+    await local.appendLog(entries);
+    const log = await local.loadLog({ month: "2026-03", limit: Infinity });
+    expect(log).toHaveLength(LOCAL_AUDIT_LIMIT);
+    expect(log[0].at).toBe(String(LOCAL_AUDIT_LIMIT + 4));
+  });
+
+  it("never lets a full change log block saving the state", async () => {
+    const local = createLocalStorage(memoryStore(4000));
+    const entry = (i) => ({ at: String(i), month: null, path: "months.2026-03.cashflow.w2In", from: "1", to: "2" });
+    await local.appendLog(Array.from({ length: 200 }, (_, i) => entry(i)));
+    const kept = await local.loadLog({ month: null, limit: Infinity });
+    expect(kept.length).toBeGreaterThan(0);
+    expect(kept.length).toBeLessThan(200);
+    expect(kept[0].at).toBe("199");
+
+    const state = { month: "2026-03", notes: "x".repeat(2000) };
+    expect(await local.save(state, null)).toBe(1);
+    expect((await local.load()).state).toEqual(state);
+    expect((await local.loadLog({ month: null, limit: Infinity })).length).toBeLessThan(kept.length);
+  });
+
+  it("fails loudly when the browser has no storage", async () => {
+    const local = createLocalStorage(null);
+    expect(await local.load()).toBeNull();
+    await expect(local.save({}, null)).rejects.toThrow(/not available/);
+  });
+});
+
+describe("createSupabaseStorage", () => {
+  function fakeClient({ row = null, error = null, updated = [{ version: 2 }] } = {}) {
+    const calls = [];
+    const query = {
+      select: (cols) => (calls.push(["select", cols]), query),
+      eq: (col, val) => (calls.push(["eq", col, val]), query),
+      maybeSingle: async () => ({ data: row, error }),
+      insert: (payload) => (calls.push(["insert", payload]), query),
+      update: (payload) => (calls.push(["update", payload]), query),
+      then: (resolve) => resolve({ data: error ? null : updated, error }),
+    };
+    return { calls, from: (table) => (calls.push(["from", table]), query) };
+  }
+
+  it("reads the user's row and its version", async () => {
+    const client = fakeClient({ row: { state: { month: "2026-04" }, version: 1, updated_at: "2026-04-02T10:00:00Z" } });
+    expect(await createSupabaseStorage(client, "u1").load()).toEqual({ state: { month: "2026-04" }, version: 1, savedAt: "2026-04-02T10:00:00Z" });
+    expect(client.calls).toContainEqual(["eq", "user_id", "u1"]);
+  });
+
+  it("inserts the first save", async () => {
+    const client = fakeClient();
+    expect(await createSupabaseStorage(client, "u1").save({ month: "2026-04" }, null)).toBe(2);
+    const [, payload] = client.calls.find((c) => c[0] === "insert");
+    // the database stamps version and updated_at, never this device's clock
+    expect(payload).toEqual({ user_id: "u1", state: { month: "2026-04" } });
+  });
+
+  it("only updates the row when it is still at the expected version", async () => {
+    const client = fakeClient();
+    expect(await createSupabaseStorage(client, "u1").save({ month: "2026-04" }, 1)).toBe(2);
+    expect(client.calls).toContainEqual(["eq", "version", 1]);
+    expect(client.calls).toContainEqual(["update", { state: { month: "2026-04" } }]);
+  });
+
+  it("reports a conflict when nothing matched or the row already exists", async () => {
+    await expect(
+      createSupabaseStorage(fakeClient({ updated: [] }), "u1").save({}, 1)
+    ).rejects.toBeInstanceOf(SaveConflictError);
+    await expect(
+      createSupabaseStorage(fakeClient({ error: { code: "23505", message: "duplicate" } }), "u1").save({}, null)
+    ).rejects.toBeInstanceOf(SaveConflictError);
+  });
+
+  it("writes change-log entries as rows of cashflow_audit", async () => {
+    const client = fakeClient();
+    await createSupabaseStorage(client, "u1").appendLog([
+      { at: "t", actor: "me", month: "2026-04", path: "months.2026-04.cashflow.w2In", from: "1", to: "2" },
+    ]);
+    expect(client.calls).toContainEqual(["from", "cashflow_audit"]);
+    expect(client.calls).toContainEqual([
+      "insert",
+      [{ user_id: "u1", at: "t", actor: "me", month: "2026-04", path: "months.2026-04.cashflow.w2In", old_value: "1", new_value: "2" }],
+    ]);
+  });
+
+  it("surfaces errors", async () => {
+    const client = fakeClient({ error: new Error("offline") });
+    await expect(createSupabaseStorage(client, "u1").load()).rejects.toThrow("offline");
+    await expect(createSupabaseStorage(client, "u1").save({}, 1)).rejects.toThrow("offline");
+  });
+});
+
+describe("conflict helpers", () => {
+  const base = {
+    month: "2026-03",
+    activeTool: "home",
+    settings: { needsHorizonMonths: 6 },
+    months: { "2026-02": { n: 1 }, "2026-03": { n: 1 } },
+  };
+
+  it("ignores navigation when looking for unsaved changes", () => {
+    expect(hasDataChanges({ ...base, month: "2026-01", activeTool: "history" }, base)).toBe(false);
+    expect(hasDataChanges({ ...base, settings: { needsHorizonMonths: 12 } }, base)).toBe(true);
+  });
+
+  it("keeps this tab's month and tool when taking remote data", () => {
+    const next = keepView({ ...base, month: "2025-01", activeTool: "accounts" }, base);
+    expect(next).toMatchObject({ month: "2026-03", activeTool: "home" });
+  });
+
+  it("merges months and settings changed on either side, preferring this side on overlap", () => {
+    const mine = { ...base, months: { ...base.months, "2026-03": { n: 2 } } };
+    const theirs = {
+      ...base,
+      month: "2025-12",
+      settings: { needsHorizonMonths: 12 },
+      months: { ...base.months, "2026-02": { n: 9 }, "2026-03": { n: 3 }, "2026-04": { n: 1 } },
+    };
+    expect(mergeStates(base, mine, theirs)).toEqual({
+      ...base,
+      settings: { needsHorizonMonths: 12 },
+      months: { "2026-02": { n: 9 }, "2026-03": { n: 2 }, "2026-04": { n: 1 } },
+    });
+  });
+});
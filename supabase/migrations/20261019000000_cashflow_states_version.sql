@@ -0,0 +1,57 @@
+-- cashflow_states: one row per user holding the whole plan.
+-- Saves only land when the row still has the version the client loaded (see src/storage.js),
+-- so the database owns the counter: every update bumps version and stamps updated_at.
+
+create table if not exists public.cashflow_states (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  state jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.cashflow_states
+  add column if not exists version bigint not null default 1;
+
+alter table public.cashflow_states
+  alter column updated_at set default now();
+
+create or replace function public.cashflow_states_bump_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version := old.version + 1;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists cashflow_states_bump_version on public.cashflow_states;
+create trigger cashflow_states_bump_version
+  before update on public.cashflow_states
+  for each row execute function public.cashflow_states_bump_version();
+
+alter table public.cashflow_states enable row level security;
+
+drop policy if exists "cashflow_states_select_own" on public.cashflow_states;
+create policy "cashflow_states_select_own" on public.cashflow_states
+  for select using (auth.uid() = user_id);
+
+drop policy if exists "cashflow_states_insert_own" on public.cashflow_states;
+create policy "cashflow_states_insert_own" on public.cashflow_states
+  for insert with check (auth.uid() = user_id);
+
+drop policy if exists "cashflow_states_update_own" on public.cashflow_states;
+create policy "cashflow_states_update_own" on public.cashflow_states
+  for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- Live updates from other sessions
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'cashflow_states'
+  ) then
+    alter publication supabase_realtime add table public.cashflow_states;
+  end if;
+end;
+$$;
@@ -0,0 +1,25 @@
+-- cashflow_audit: append-only change log (see src/audit.js). Clients may add and read their own
+-- entries; there are no update or delete policies, so entries can't be edited or removed.
+
+create table if not exists public.cashflow_audit (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  at timestamptz not null default now(),
+  actor text,
+  month text,
+  path text not null,
+  old_value jsonb,
+  new_value jsonb
+);
+
+create index if not exists cashflow_audit_user_month_at on public.cashflow_audit (user_id, month, at desc);
+
+alter table public.cashflow_audit enable row level security;
+
+drop policy if exists "cashflow_audit_select_own" on public.cashflow_audit;
+create policy "cashflow_audit_select_own" on public.cashflow_audit
+  for select using (auth.uid() = user_id);
+
+drop policy if exists "cashflow_audit_insert_own" on public.cashflow_audit;
+create policy "cashflow_audit_insert_own" on public.cashflow_audit
+  for insert with check (auth.uid() = user_id);